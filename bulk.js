@@ -0,0 +1,238 @@
+// Exportación e importación masiva del catálogo (GET /admin/export, POST /admin/import).
+// Una fila por producto y otra por variación; solo se importan los tramos ACF (productos) y
+// el stock. Aquí está el formato CSV y el cálculo de la diferencia; la escritura en
+// WooCommerce y en la base de datos está en index.js.
+const crypto = require('crypto');
+
+const EXPORT_COLUMNS = ['type', 'id', 'parent_id', 'sku', 'name', 'precio_1_2', 'precio_3_6', 'precio_7_mais', 'stock_quantity'];
+const PRICE_TIER_FIELDS = ['precio_1_2', 'precio_3_6', 'precio_7_mais'];
+const IMPORT_MAX_ROWS = 5000;
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Los textos que empiezan por =, +, -, @, tabulador o retorno de carro van con ' delante para que
+// Excel no los evalúe como fórmulas (nombres y SKU vienen de WooCommerce). Los números negativos
+// se dejan tal cual.
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns = EXPORT_COLUMNS) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// CSV (RFC 4180) a lista de { line, values }. El separador es ',' o ';' (Excel en portugués),
+// según la cabecera. Lanza con el número de línea si hay comillas sin cerrar.
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      cells.push(cell);
+      records.push({ line: recordLine, values: cells });
+      cells = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error(`Aspas por fechar na linha ${recordLine}`);
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: recordLine, values: cells });
+  }
+  return records.filter(record => record.values.some(value => value.trim() !== ''));
+}
+
+// Quita el ' que csvCell pone delante de las fórmulas, para que el CSV exportado se pueda reimportar
+function unescapeCsvCell(value) {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+// Filas del CSV como objetos por columna. Las columnas desconocidas se ignoran.
+function csvToRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new Error('Ficheiro vazio');
+  const columns = header.values.map(value => value.trim().toLowerCase());
+  if (!columns.includes('id')) throw new Error("Falta a coluna 'id'");
+  return records.map(record => {
+    const row = { line: record.line };
+    columns.forEach((column, index) => {
+      if (EXPORT_COLUMNS.includes(column)) row[column] = record.values[index] !== undefined ? unescapeCsvCell(record.values[index].trim()) : '';
+    });
+    return row;
+  });
+}
+
+function exportProductRow(product) {
+  return {
+    type: 'product',
+    id: product.woocommerce_id,
+    parent_id: null,
+    sku: product.sku || '',
+    name: product.name || '',
+    precio_1_2: product.precio_1_2 !== null ? Number(product.precio_1_2) : null,
+    precio_3_6: product.precio_3_6 !== null ? Number(product.precio_3_6) : null,
+    precio_7_mais: product.precio_7_mais !== null ? Number(product.precio_7_mais) : null,
+    stock_quantity: product.stock_quantity !== null ? Number(product.stock_quantity) : null
+  };
+}
+
+// Las variaciones no tienen tramos propios: se exportan vacíos
+function exportVariationRow(variation, product) {
+  const attributes = Object.values(variation.attributes || {}).filter(Boolean).join(' / ');
+  return {
+    type: 'variation',
+    id: variation.woocommerce_id,
+    parent_id: variation.product_id,
+    sku: variation.sku || '',
+    name: attributes ? `${product.name || ''} - ${attributes}` : (product.name || ''),
+    precio_1_2: null,
+    precio_3_6: null,
+    precio_7_mais: null,
+    stock_quantity: variation.stock_quantity !== null ? Number(variation.stock_quantity) : null
+  };
+}
+
+// Vacío = sin cambios. Acepta coma decimal ("25,50"). NaN si no es un importe válido.
+function parseImportMoney(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? Math.round(number * 100) / 100 : NaN;
+}
+
+function parseImportStock(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+}
+
+function parseImportId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+}
+
+function currentNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+// Compara las filas importadas con el catálogo actual. catalog: { products, variations } (Map por id).
+// Devuelve { items, unchanged, errors }: items solo con los campos que cambian.
+function diffCatalogImport(rows, catalog) {
+  const items = [];
+  const errors = [];
+  const seen = new Set();
+  let unchanged = 0;
+
+  rows.forEach((row, index) => {
+    const line = row.line || index + 1;
+    const rowErrors = [];
+    const fail = message => rowErrors.push({ line, message });
+
+    const id = parseImportId(row.id);
+    const parentId = parseImportId(row.parent_id);
+    const type = row.type ? String(row.type).trim().toLowerCase() : (parentId ? 'variation' : 'product');
+    if (!id) return errors.push({ line, message: "Coluna 'id' inválida" });
+    if (type !== 'product' && type !== 'variation') return errors.push({ line, message: "Coluna 'type' deve ser product ou variation" });
+    if (Number.isNaN(parentId)) return errors.push({ line, message: "Coluna 'parent_id' inválida" });
+    if (seen.has(`${type}:${id}`)) return errors.push({ line, message: `${type === 'product' ? 'Produto' : 'Variação'} ${id} repetido no ficheiro` });
+    seen.add(`${type}:${id}`);
+
+    const current = type === 'product' ? catalog.products.get(id) : catalog.variations.get(id);
+    if (!current) return errors.push({ line, message: `${type === 'product' ? 'Produto' : 'Variação'} ${id} não encontrado` });
+    if (type === 'variation' && parentId && parentId !== current.product_id) {
+      fail(`A variação ${id} não pertence ao produto ${parentId}`);
+    }
+    // El SKU no se importa: sirve para comprobar que la fila es la que se cree
+    const sku = row.sku === undefined || row.sku === null ? '' : String(row.sku).trim();
+    if (sku && sku !== (current.sku || '')) fail(`SKU '${sku}' não corresponde ${type === 'product' ? 'ao produto' : 'à variação'} ${id} ('${current.sku || ''}')`);
+
+    const changes = {};
+    PRICE_TIER_FIELDS.forEach(field => {
+      const value = parseImportMoney(row[field]);
+      if (value === undefined) return;
+      if (Number.isNaN(value)) return fail(`Coluna '${field}' deve ser um número positivo`);
+      if (type === 'variation') return fail(`As variações não têm '${field}': os preços por tramos são do produto`);
+      if (value !== currentNumber(current[field])) changes[field] = { from: currentNumber(current[field]), to: value };
+    });
+
+    const stock = parseImportStock(row.stock_quantity);
+    if (Number.isNaN(stock)) {
+      fail("Coluna 'stock_quantity' deve ser um inteiro positivo");
+    } else if (stock !== undefined && stock !== currentNumber(current.stock_quantity)) {
+      if (type === 'product' && current.has_variations) {
+        fail(`O stock do produto ${id} é a soma das variações: altere-o nas linhas das variações`);
+      } else {
+        changes.stock_quantity = { from: currentNumber(current.stock_quantity), to: stock };
+      }
+    }
+
+    if (rowErrors.length > 0) return errors.push(...rowErrors);
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+      return;
+    }
+    items.push({
+      line,
+      type,
+      id,
+      product_id: type === 'product' ? id : current.product_id,
+      sku: current.sku || '',
+      name: current.name || '',
+      changes
+    });
+  });
+
+  return { items, unchanged, errors };
+}
+
+// Identifica una vista previa: la confirmación solo se aplica si la diferencia sigue siendo la misma
+function importToken(items) {
+  const payload = items.map(item => [item.type, item.id, item.changes]);
+  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  PRICE_TIER_FIELDS,
+  IMPORT_MAX_ROWS,
+  toCsv,
+  parseCsv,
+  csvToRows,
+  exportProductRow,
+  exportVariationRow,
+  diffCatalogImport,
+  importToken
+};
@@ -0,0 +1,58 @@
+// Expresiones cron de 5 campos (minuto hora día mes día-semana) para SYNC_CRON, con *, listas,
+// rangos y pasos, p. ej. "*/30 * * * *". El programador que las usa está en index.js.
+
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 }
+];
+
+function parseCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Expresión cron inválida: "${expression}"`);
+
+  return parts.map((part, index) => {
+    const { min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    for (const chunk of part.split(',')) {
+      const [rangePart, stepPart] = chunk.split('/');
+      const step = stepPart !== undefined ? parseInt(stepPart, 10) : 1;
+      let start;
+      let end;
+      if (rangePart === '*') {
+        start = min;
+        end = max;
+      } else if (rangePart.includes('-')) {
+        [start, end] = rangePart.split('-').map(n => parseInt(n, 10));
+      } else {
+        start = parseInt(rangePart, 10);
+        end = stepPart !== undefined ? max : start;
+      }
+      if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+        throw new Error(`Campo cron inválido: "${chunk}"`);
+      }
+      for (let v = start; v <= end; v += step) values.add(index === 4 && v === 7 ? 0 : v);
+    }
+    return { values, wildcard: part === '*' };
+  });
+}
+
+function cronMatches(fields, date) {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  if (!minute.values.has(date.getMinutes()) || !hour.values.has(date.getHours()) || !month.values.has(date.getMonth() + 1)) {
+    return false;
+  }
+  // Como en cron clásico: si se restringen ambos días, basta con que coincida uno
+  const domMatch = dayOfMonth.values.has(date.getDate());
+  const dowMatch = dayOfWeek.values.has(date.getDay());
+  if (!dayOfMonth.wildcard && !dayOfWeek.wildcard) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+module.exports = {
+  CRON_FIELDS,
+  parseCronExpression,
+  cronMatches
+};
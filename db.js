@@ -0,0 +1,65 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+const { createGauge, dbQueryDuration, dbQueryErrors } = require('./metrics');
+const { logger } = require('./logger');
+
+// Neon exige TLS; DATABASE_SSL=false permite apuntar a un Postgres local sin TLS.
+// Sin límite de conexión una base de datos inalcanzable dejaría las peticiones colgadas
+// en vez de fallar y pasar al snapshot del catálogo.
+const db = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+  connectionTimeoutMillis: parseInt(process.env.DATABASE_CONNECT_TIMEOUT_MS || '10000', 10)
+});
+
+// Un cliente inactivo que pierde la conexión (reinicio de Postgres, corte de red) emite 'error';
+// sin este listener el proceso se cae en vez de dejar que /ready informe del problema.
+db.on('error', err => {
+  logger.error('Conexión inactiva del pool de Postgres perdida', { err });
+});
+
+const QUERY_OPERATIONS = ['select', 'insert', 'update', 'delete', 'with', 'begin', 'commit', 'rollback'];
+
+function queryOperation(query) {
+  const text = typeof query === 'string' ? query : (query && query.text) || '';
+  const match = text.match(/^\s*(\w+)/);
+  const operation = match ? match[1].toLowerCase() : '';
+  return QUERY_OPERATIONS.includes(operation) ? operation : 'other';
+}
+
+// Mide cada consulta de cada cliente del pool (db.query también pasa por client.query).
+// pg admite callback o promesa, así que se envuelven las dos formas.
+db.on('connect', client => {
+  const query = client.query.bind(client);
+  client.query = (...args) => {
+    const operation = queryOperation(args[0]);
+    const end = dbQueryDuration.startTimer({ operation });
+
+    if (typeof args[args.length - 1] === 'function') {
+      const callback = args.pop();
+      return query(...args, (err, result) => {
+        end();
+        if (err) dbQueryErrors.inc({ operation });
+        callback(err, result);
+      });
+    }
+
+    const result = query(...args);
+    if (result && typeof result.then === 'function') {
+      result.then(() => end(), () => {
+        end();
+        dbQueryErrors.inc({ operation });
+      });
+    }
+    return result;
+  };
+});
+
+createGauge({
+  name: 'db_pool_connections',
+  help: 'Conexiones del pool de Postgres por estado',
+  labelNames: ['state'],
+  collect: () => ({ total: db.totalCount, idle: db.idleCount, waiting: db.waitingCount })
+});
+
+module.exports = db;
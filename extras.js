@@ -0,0 +1,103 @@
+// Extras de alquiler (cascos, sillas de niño, candados, GPS, seguro...).
+// Son productos de WooCommerce de la categoría EXTRAS_CATEGORY_ID; el precio y las
+// reglas de compatibilidad se leen de ACF (o de meta_data si ACF no está expuesto).
+
+const PRICING_TYPE_ALIASES = {
+  per_day: ['per_day', 'por_dia', 'dia', 'diario', 'daily', 'day'],
+  flat: ['flat', 'fixo', 'fijo', 'unico', 'por_aluguer', 'por_alquiler', 'once']
+};
+
+const ACF_FIELDS = {
+  pricingType: ['tipo_precio', 'tipo_preco', 'pricing_type'],
+  price: ['precio_extra', 'preco_extra', 'extra_price'],
+  compatibleCategories: ['compatible_categorias', 'compatible_categories'],
+  compatibleProducts: ['compatible_productos', 'compatible_produtos', 'compatible_products']
+};
+
+// Primer valor no vacío entre las claves dadas, en ACF o en meta_data (con o sin "_")
+function readField(acfData, metaData, keys) {
+  if (acfData && typeof acfData === 'object') {
+    for (const key of keys) {
+      const value = acfData[key];
+      if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) return value;
+    }
+  }
+  if (Array.isArray(metaData)) {
+    for (const meta of metaData) {
+      if (!meta || typeof meta !== 'object') continue;
+      const key = String(meta.key || '').replace(/^_/, '');
+      if (keys.includes(key) && meta.value !== undefined && meta.value !== null && meta.value !== '') return meta.value;
+    }
+  }
+  return undefined;
+}
+
+function normalizePricingType(value) {
+  const cleaned = String(value || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\s-]+/g, '_');
+  for (const [type, aliases] of Object.entries(PRICING_TYPE_ALIASES)) {
+    if (aliases.includes(cleaned)) return type;
+  }
+  return 'per_day';
+}
+
+// Acepta array (select múltiple / relación de ACF) o texto separado por comas
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items
+    .map(item => (item && typeof item === 'object' ? (item.slug || item.ID || item.id || item.value) : item))
+    .filter(item => item !== undefined && item !== null && String(item).trim() !== '')
+    .map(item => String(item).trim());
+}
+
+// Fila de la tabla extras a partir de un producto de la API de WooCommerce
+function mapWooExtra(product) {
+  const acfData = product.acf || {};
+  const metaData = product.meta_data || [];
+  const acfPrice = Number(readField(acfData, metaData, ACF_FIELDS.price));
+  const wooPrice = Number(product.price);
+
+  return {
+    woocommerce_id: product.id,
+    name: product.name || '',
+    sku: product.sku || '',
+    pricing_type: normalizePricingType(readField(acfData, metaData, ACF_FIELDS.pricingType)),
+    price: Number.isFinite(acfPrice) && acfPrice >= 0 ? acfPrice : (Number.isFinite(wooPrice) ? wooPrice : 0),
+    stock_quantity: product.stock_quantity !== undefined && product.stock_quantity !== null ? Number(product.stock_quantity) : null,
+    stock_status: product.stock_status || 'instock',
+    status: product.status || 'publish',
+    images: Array.isArray(product.images) ? product.images : [],
+    short_description: product.short_description || '',
+    compatible_categories: parseList(readField(acfData, metaData, ACF_FIELDS.compatibleCategories)).map(slug => slug.toLowerCase()),
+    compatible_product_ids: parseList(readField(acfData, metaData, ACF_FIELDS.compatibleProducts)).map(Number).filter(Number.isInteger),
+    acf_data: acfData
+  };
+}
+
+// Sin reglas el extra vale para cualquier producto. Con reglas basta con coincidir
+// en el id del producto o en alguna de sus categorías (slug).
+function isExtraCompatible(extra, product) {
+  const categories = extra.compatible_categories || [];
+  const productIds = (extra.compatible_product_ids || []).map(Number);
+  if (categories.length === 0 && productIds.length === 0) return true;
+  if (productIds.includes(Number(product.woocommerce_id))) return true;
+  const productSlugs = (Array.isArray(product.categories) ? product.categories : [])
+    .map(category => String(category && category.slug || '').toLowerCase());
+  return categories.some(slug => productSlugs.includes(slug));
+}
+
+// Precio de una unidad para un alquiler de `days` días
+function extraUnitTotal(extra, days) {
+  const price = Number(extra.price) || 0;
+  return extra.pricing_type === 'flat' ? price : price * days;
+}
+
+module.exports = {
+  PRICING_TYPE_ALIASES,
+  readField,
+  parseList,
+  normalizePricingType,
+  mapWooExtra,
+  isExtraCompatible,
+  extraUnitTotal
+};
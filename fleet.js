@@ -0,0 +1,46 @@
+// Flota: cada bicicleta física es una unidad (número de serie, talla, producto/variación) con su
+// estado, su próxima revisión y su historial de mantenimiento. Aquí solo están las reglas; la
+// persistencia y las rutas están en index.js.
+
+const FLEET_STATUSES = ['available', 'rented', 'maintenance', 'retired'];
+// Unidades retenidas: WooCommerce las cuenta en el stock pero no se pueden alquilar. Las
+// alquiladas ya se descuentan como reservas y las retiradas se dan de baja en WooCommerce.
+const FLEET_HOLD_STATUSES = ['maintenance'];
+// Tipos de entrada del historial que se pueden añadir a mano; los cambios de estado se
+// registran solos con tipo 'status'
+const MAINTENANCE_KINDS = ['service', 'repair', 'inspection'];
+
+function isHoldStatus(status) {
+  return FLEET_HOLD_STATUSES.includes(status);
+}
+
+// Stock público: el de WooCommerce menos las unidades retenidas, nunca negativo
+function netStock(stock, held) {
+  return Math.max(0, (Number(stock) || 0) - (Number(held) || 0));
+}
+
+// variations_stock de products ([{ id, stock_quantity, ... }]) con las retenidas de cada variación descontadas.
+// heldByVariation: { <variation_id>: unidades }
+function applyVariationHolds(variationsStock, heldByVariation) {
+  if (!Array.isArray(variationsStock) || !heldByVariation) return variationsStock;
+  return variationsStock.map(variation => {
+    const held = Number(heldByVariation[variation.id]) || 0;
+    const unmanaged = variation.stock_quantity === null || variation.stock_quantity === undefined;
+    return held > 0 && !unmanaged ? { ...variation, stock_quantity: netStock(variation.stock_quantity, held) } : variation;
+  });
+}
+
+// Revisión vencida en la fecha dada ('YYYY-MM-DD'); las retiradas no cuentan
+function isServiceOverdue(unit, today) {
+  return Boolean(unit.service_due_date) && unit.status !== 'retired' && unit.service_due_date <= today;
+}
+
+module.exports = {
+  FLEET_STATUSES,
+  FLEET_HOLD_STATUSES,
+  MAINTENANCE_KINDS,
+  isHoldStatus,
+  netStock,
+  applyVariationHolds,
+  isServiceOverdue
+};
@@ -0,0 +1,75 @@
+// Diferencias de precio, stock y estado entre dos versiones de un producto.
+// Los valores se normalizan antes de comparar: Postgres devuelve NUMERIC como texto
+// ("20.00") y WooCommerce a veces manda números como cadenas.
+
+const PRODUCT_HISTORY_FIELDS = {
+  price: 'number',
+  regular_price: 'number',
+  precio_1_2: 'number',
+  precio_3_6: 'number',
+  precio_7_mais: 'number',
+  stock_quantity: 'number',
+  stock_status: 'text',
+  status: 'text'
+};
+
+const VARIATION_HISTORY_FIELDS = {
+  price: 'number',
+  regular_price: 'number',
+  stock_quantity: 'number',
+  stock_status: 'text'
+};
+
+function normalizeValue(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+  if (type === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return String(value);
+}
+
+function diffFields(fields, before, after, variationId) {
+  const changes = [];
+  for (const [field, type] of Object.entries(fields)) {
+    const oldValue = before ? normalizeValue(before[field], type) : null;
+    const newValue = after ? normalizeValue(after[field], type) : null;
+    if (oldValue !== newValue) {
+      changes.push({ variation_id: variationId, field, old_value: oldValue, new_value: newValue });
+    }
+  }
+  return changes;
+}
+
+// Un producto archivado que vuelve a aparecer cuenta como cambio de estado
+function effectiveStatus(product) {
+  return product.archived_at ? 'archived' : product.status;
+}
+
+// before/after: { product, variations } con las columnas de products y product_variations.
+// Sin versión anterior (alta) no hay nada que comparar y devuelve [].
+function diffProductSnapshots(before, after) {
+  if (!before || !before.product) return [];
+
+  const changes = diffFields(
+    PRODUCT_HISTORY_FIELDS,
+    { ...before.product, status: effectiveStatus(before.product) },
+    { ...after.product, status: effectiveStatus(after.product) },
+    null
+  );
+
+  // Variaciones nuevas o eliminadas aparecen como cambios desde/hacia null
+  const beforeById = new Map((before.variations || []).map(v => [Number(v.woocommerce_id), v]));
+  const afterById = new Map((after.variations || []).map(v => [Number(v.woocommerce_id), v]));
+  const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])].sort((a, b) => a - b);
+  for (const id of ids) {
+    changes.push(...diffFields(VARIATION_HISTORY_FIELDS, beforeById.get(id), afterById.get(id), id));
+  }
+  return changes;
+}
+
+module.exports = {
+  PRODUCT_HISTORY_FIELDS,
+  VARIATION_HISTORY_FIELDS,
+  diffProductSnapshots
+};
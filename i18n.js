@@ -0,0 +1,121 @@
+// Idiomas del catálogo (PT por defecto, EN y ES como traducciones de WPML/Polylang)
+// y mensajes de error localizados de la API pública.
+const DEFAULT_LANGUAGE = 'pt';
+const SUPPORTED_LANGUAGES = ['pt', 'en', 'es'];
+
+const MESSAGES = {
+  internal_error: {
+    pt: 'Erro interno do servidor',
+    en: 'Internal server error',
+    es: 'Error interno del servidor'
+  },
+  product_not_found: {
+    pt: 'Produto não encontrado',
+    en: 'Product not found',
+    es: 'Producto no encontrado'
+  },
+  variation_not_found: {
+    pt: 'Variação não encontrada',
+    en: 'Variation not found',
+    es: 'Variación no encontrada'
+  },
+  booking_not_found: {
+    pt: 'Reserva não encontrada',
+    en: 'Booking not found',
+    es: 'Reserva no encontrada'
+  },
+  sync_job_not_found: {
+    pt: 'Job não encontrado',
+    en: 'Job not found',
+    es: 'Job no encontrado'
+  },
+  invalid_sort: {
+    pt: "Parâmetro 'sort' inválido (valores: {values})",
+    en: "Invalid 'sort' parameter (allowed values: {values})",
+    es: "Parámetro 'sort' inválido (valores: {values})"
+  },
+  invalid_page: {
+    pt: "Parâmetro 'page' deve ser um inteiro positivo",
+    en: "Parameter 'page' must be a positive integer",
+    es: "El parámetro 'page' debe ser un entero positivo"
+  },
+  invalid_limit: {
+    pt: "Parâmetro 'limit' deve estar entre 1 e {max}",
+    en: "Parameter 'limit' must be between 1 and {max}",
+    es: "El parámetro 'limit' debe estar entre 1 y {max}"
+  },
+  invalid_param: {
+    pt: "Parâmetro '{param}' inválido",
+    en: "Invalid '{param}' parameter",
+    es: "Parámetro '{param}' inválido"
+  },
+  invalid_values: {
+    pt: "Parâmetro '{param}' inválido (valores: {values})",
+    en: "Invalid '{param}' parameter (allowed values: {values})",
+    es: "Parámetro '{param}' inválido (valores: {values})"
+  },
+  since_or_cursor_required: {
+    pt: "Indique 'since' (data ISO 8601) ou 'cursor'",
+    en: "Provide 'since' (ISO 8601 date) or 'cursor'",
+    es: "Indique 'since' (fecha ISO 8601) o 'cursor'"
+  },
+  invalid_boolean: {
+    pt: "Parâmetro '{param}' deve ser true ou false",
+    en: "Parameter '{param}' must be true or false",
+    es: "El parámetro '{param}' debe ser true o false"
+  },
+  invalid_request: {
+    pt: 'Pedido inválido',
+    en: 'Invalid request',
+    es: 'Solicitud inválida'
+  }
+};
+
+// 'en-GB' → 'en', 'PT_br' → 'pt'; null si no es un idioma soportado
+function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const primary = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(primary) ? primary : null;
+}
+
+// Idiomas de Accept-Language ordenados por q (los de q=0 se descartan)
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(p => p.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+// ?lang= tiene prioridad sobre Accept-Language; si ninguno es soportado se usa PT.
+function resolveLanguage(req) {
+  const fromQuery = normalizeLanguage(req.query && req.query.lang);
+  if (fromQuery) return fromQuery;
+  for (const tag of parseAcceptLanguage(req.get('Accept-Language'))) {
+    const lang = normalizeLanguage(tag);
+    if (lang) return lang;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+function translate(lang, key, params = {}) {
+  const entry = MESSAGES[key];
+  if (!entry) return key;
+  const template = entry[lang] || entry[DEFAULT_LANGUAGE];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  translate
+};
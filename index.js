@@ -2,10 +2,100 @@ require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const db = require('./db');
+const { migrationStatus, migrateUp } = require('./migrate');
+const { mapWooVariation } = require('./variations');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, normalizeLanguage, resolveLanguage, translate } = require('./i18n');
+const { mapWooExtra, isExtraCompatible, extraUnitTotal } = require('./extras');
+const { mapWooTour } = require('./tours');
+const {
+  FLEET_STATUSES,
+  FLEET_HOLD_STATUSES,
+  MAINTENANCE_KINDS,
+  isHoldStatus,
+  netStock,
+  applyVariationHolds,
+  isServiceOverdue
+} = require('./fleet');
+const {
+  PRICE_TIER_FIELDS,
+  IMPORT_MAX_ROWS,
+  toCsv,
+  csvToRows,
+  exportProductRow,
+  exportVariationRow,
+  diffCatalogImport,
+  importToken
+} = require('./bulk');
+const { diffProductSnapshots } = require('./history');
+const {
+  RULE_ADJUSTMENTS,
+  PROMO_DISCOUNT_TYPES,
+  addDays,
+  priceRuleForDate,
+  applyRule,
+  seasonMinimum,
+  seasonalPeriods,
+  promoDiscountAmount,
+  promoUnavailableReason,
+  normalizePromoCode
+} = require('./pricing');
+const { logger, runWithContext } = require('./logger');
+const metrics = require('./metrics');
+const { woo } = require('./woocommerce');
+const { buildOpenApiDocument } = require('./openapi');
+const { createValidator } = require('./validation');
+const { catalogSnapshot, filterSnapshotProducts, sortSnapshotProducts } = require('./snapshot');
+const { stockStream } = require('./stream');
+const { parseCronExpression, cronMatches } = require('./cron');
 
 const app = express();
 
+// ===== REQUEST ID, LOG DE ACCESO Y MÉTRICAS HTTP =====
+// Va antes de CORS para que también las peticiones rechazadas lleven id y se midan.
+const REQUEST_ID_RE = /^[\w.:-]{1,100}$/;
+// Sondas y scraping: solo se registran en debug si van bien
+const QUIET_PATHS = ['/metrics', '/live', '/ready', '/health', '/status'];
+// Parámetros que son credenciales: su valor no llega a los logs aunque un cliente los mande en la URL
+const REDACTED_QUERY_PARAMS = ['token', 'access_token', 'api_key', 'confirm'];
+
+function redactUrl(url) {
+  const start = url.indexOf('?');
+  if (start === -1) return url;
+  const params = new URLSearchParams(url.slice(start + 1));
+  REDACTED_QUERY_PARAMS.forEach(name => {
+    if (params.has(name)) params.set(name, 'REDACTED');
+  });
+  return `${url.slice(0, start)}?${params}`;
+}
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    // Ruta declarada (/products/:id) y no la URL, para no disparar la cardinalidad
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = endTimer({ route, status: res.statusCode });
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+    logger[level](`${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode}`, {
+      request_id: requestId,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      origin: req.get('Origin') || undefined
+    });
+  });
+
+  runWithContext({ request_id: requestId }, next);
+});
+
 const allowedOrigins = [
   'https://app.bikesultoursgest.com',
   'https://api.bikesultoursgest.com'
@@ -15,40 +105,55 @@ app.use(cors({
   origin: function (origin, callback) {
     if (!origin) return callback(null, true);
     if (allowedOrigins.includes(origin)) return callback(null, true);
-    console.log(`❌ CORS blocked for origin: ${origin}`);
+    logger.warn(`CORS blocked for origin: ${origin}`);
     return callback(new Error('Not allowed by CORS: ' + origin));
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH'],
   allowedHeaders: [
     'Content-Type','Authorization','User-Agent','Cache-Control','Pragma',
     'Accept','Accept-Encoding','Accept-Language','X-Requested-With',
-    'Origin','Referer','If-None-Match','If-Modified-Since'
+    'Origin','Referer','If-None-Match','If-Modified-Since','X-API-Key',
+    'X-Booking-Token','X-Request-Id','Last-Event-ID'
   ],
-  exposedHeaders: ['Cache-Control','ETag','Last-Modified','X-Cache-Status','CF-Cache-Tag'],
+  exposedHeaders: ['Cache-Control','ETag','Last-Modified','X-Cache-Status','CF-Cache-Tag','X-Total-Count','Content-Language','X-Request-Id',
+    'X-Data-Source','X-Snapshot-Age','X-Snapshot-Taken-At'],
   credentials: true,
   optionsSuccessStatus: 200
 }));
 
 app.options('*', cors());
 
-app.use((req, res, next) => {
-  const origin = req.get('Origin');
-  const method = req.method;
-  if (method === 'OPTIONS' || origin) {
-    console.log(`🌐 ${method} ${req.path} from ${origin || 'no-origin'}`);
-  }
-  next();
+const jsonBodyParser = express.json({
+  // Guardamos el cuerpo original para poder verificar firmas HMAC (webhooks)
+  verify: (req, res, buf) => { req.rawBody = buf; }
 });
+// /admin/import lee su cuerpo en la ruta, con un límite mayor y después de la autenticación.
+// Express enruta sin distinguir mayúsculas ni la barra final: la comparación tampoco.
+const isImportPath = path => path.replace(/\/+$/, '').toLowerCase() === '/admin/import';
+app.use((req, res, next) => (isImportPath(req.path) ? next() : jsonBodyParser(req, res, next)));
 
-app.use(express.json());
-
-const db = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+// Cuerpo mal formado o demasiado grande: mismo formato que los errores de validación de la API
+function handleBodyError(err, req, res, next) {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: translate(resolveLanguage(req), 'invalid_request'),
+      details: [{ location: 'body', name: '(body)', message: `Corpo demasiado grande (máximo ${err.limit} bytes)` }]
+    });
+  }
+  if (err.type !== 'entity.parse.failed') return next(err);
+  res.status(400).json({
+    error: translate(resolveLanguage(req), 'invalid_request'),
+    details: [{ location: 'body', name: '(body)', message: 'JSON inválido' }]
+  });
+}
+app.use(handleBodyError);
 
 const PORT = process.env.PORT || 4000;
 const ALUGUERES_CATEGORY_ID = parseInt(process.env.ALUGUERES_CATEGORY_ID || '319', 10);
+// Sin EXTRAS_CATEGORY_ID no se sincronizan extras
+const EXTRAS_CATEGORY_ID = process.env.EXTRAS_CATEGORY_ID ? parseInt(process.env.EXTRAS_CATEGORY_ID, 10) : null;
+// Sin TOURS_CATEGORY_ID no se sincronizan tours
+const TOURS_CATEGORY_ID = process.env.TOURS_CATEGORY_ID ? parseInt(process.env.TOURS_CATEGORY_ID, 10) : null;
 
 function parseJSONSafe(value, fallback) {
   if (value === undefined || value === null) return fallback;
@@ -101,7 +206,6 @@ function extractACFPricing(acfData, metaData = []) {
     });
   }
   
-  console.log(`🔍 ACF Pricing extraído:`, pricing);
   return pricing;
 }
 
@@ -112,7 +216,10 @@ function processProductForResponse(dbProduct) {
     const acfData = parseJSONSafe(dbProduct.acf_data, {});
     const metaData = parseJSONSafe(dbProduct.meta_data, []);
     const variationsIds = parseJSONSafe(dbProduct.variations_ids, []);
-    const variationsStock = parseJSONSafe(dbProduct.variations_stock, []);
+    // Las unidades de la flota en el taller (held_units de FLEET_HOLD_JOIN) no se ofrecen
+    const heldUnits = Number(dbProduct.held_units) || 0;
+    const variationsStock = applyVariationHolds(parseJSONSafe(dbProduct.variations_stock, []), parseJSONSafe(dbProduct.held_variations, null));
+    const stock = netStock(dbProduct.stock_quantity, heldUnits);
 
     const subcategory = Array.isArray(categories) ? categories.find(cat => cat && cat.slug && cat.slug !== 'alugueres') : undefined;
     const primaryCategory = subcategory ? subcategory.slug : 'general';
@@ -131,18 +238,19 @@ function processProductForResponse(dbProduct) {
     }
 
     return {
-      id: dbProduct.woocommerce_id ? dbProduct.woocommerce_id.toString() : (dbProduct.id ? dbProduct.id.toString() : '0'),
-      name: dbProduct.name || '',
+      id: String(dbProduct.woocommerce_id),
+      name: dbProduct.tr_name || dbProduct.name || '',
+      lang: dbProduct.tr_lang || DEFAULT_LANGUAGE,
       type: primaryCategory,
       price: calculatedPrice,
       regular_price: parseFloat(dbProduct.regular_price || 0),
-      available: dbProduct.stock_quantity || 0,
-      stock_quantity: dbProduct.stock_quantity || 0,
-      stock_status: dbProduct.stock_status || 'instock',
+      available: stock,
+      stock_quantity: stock,
+      stock_status: heldUnits > 0 && stock === 0 ? 'outofstock' : (dbProduct.stock_status || 'instock'),
       image: mainImage,
       images: images,
-      description: dbProduct.short_description || dbProduct.description || '',
-      short_description: dbProduct.short_description || '',
+      description: dbProduct.tr_short_description || dbProduct.tr_description || dbProduct.short_description || dbProduct.description || '',
+      short_description: dbProduct.tr_short_description || dbProduct.short_description || '',
       categories: categories,
       status: dbProduct.status || 'publish',
       woocommerce_id: dbProduct.woocommerce_id,
@@ -155,465 +263,4730 @@ function processProductForResponse(dbProduct) {
       category: primaryCategory
     };
   } catch (err) {
-    console.error('Error procesando producto:', err);
+    // Mismo formato que la respuesta normal (esquema Product), sin los datos que no se pudieron leer
+    logger.error(`Error procesando producto ${dbProduct.woocommerce_id}`, { err });
     return {
-      id: dbProduct.id?.toString() || 'unknown',
-      name: dbProduct.name || 'Produto sem nome',
+      id: String(dbProduct.woocommerce_id),
+      name: dbProduct.tr_name || dbProduct.name || 'Produto sem nome',
+      lang: dbProduct.tr_lang || DEFAULT_LANGUAGE,
       type: 'general',
-      price: parseFloat(dbProduct.price || 0),
-      available: dbProduct.stock_quantity || 0,
+      price: parseFloat(dbProduct.price || 0) || 0,
+      regular_price: parseFloat(dbProduct.regular_price || 0) || 0,
+      available: netStock(dbProduct.stock_quantity, dbProduct.held_units),
+      stock_quantity: netStock(dbProduct.stock_quantity, dbProduct.held_units),
+      stock_status: dbProduct.stock_status || 'instock',
       image: '/placeholder.svg',
+      images: [],
       description: dbProduct.description || '',
+      short_description: '',
+      categories: [],
       status: dbProduct.status || 'publish',
-      woocommerce_id: dbProduct.woocommerce_id
+      woocommerce_id: dbProduct.woocommerce_id,
+      acf_data: {},
+      acf_pricing: {},
+      meta_data: [],
+      variations_ids: [],
+      variations_stock: [],
+      sku: dbProduct.sku || '',
+      category: 'general'
     };
   }
 }
 
-async function fetchVariationsFromWoo(productId) {
-  const base = process.env.WOOCOMMERCE_API_BASE;
-  const auth = {
-    username: process.env.WOOCOMMERCE_CONSUMER_KEY,
-    password: process.env.WOOCOMMERCE_CONSUMER_SECRET
-  };
-  const per_page = 100;
-  let page = 1;
-  let all = [];
+// Lee todas las variaciones de un producto. Lanza si la lectura falla o si faltan
+// variaciones de las que el producto anuncia: con datos parciales no se toca su stock.
+async function fetchVariationsFromWoo(productId, expectedIds = []) {
+  const variations = await woo.getAllPages(`/products/${productId}/variations`);
+  const fetchedIds = new Set(variations.map(v => Number(v.id)));
+  const missing = (expectedIds || []).map(Number).filter(id => !fetchedIds.has(id));
+  if (missing.length > 0) {
+    const err = new Error(`Variaciones incompletas del producto ${productId}: faltan ${missing.join(',')}`);
+    err.code = 'WOO_INCOMPLETE_VARIATIONS';
+    throw err;
+  }
+  return variations;
+}
+
+async function fetchProductFromWoo(productId) {
+  const resp = await woo.get(`/products/${productId}`);
+  return resp.data;
+}
+
+async function createWooOrder(order) {
+  const resp = await woo.post('/orders', order);
+  return resp.data;
+}
+
+async function updateWooOrder(orderId, changes) {
+  const resp = await woo.put(`/orders/${orderId}`, changes);
+  return resp.data;
+}
 
+function belongsToAlugueres(product) {
+  return Array.isArray(product.categories) && product.categories.some(c => Number(c.id) === ALUGUERES_CATEGORY_ID);
+}
+
+// ===== EXTRAS (CASCOS, SILLAS, CANDADOS, GPS, SEGURO...) =====
+const EXTRAS_CACHE_TAG = 'extras';
+
+async function purgeExtrasCache() {
   try {
-    while (true) {
-      const resp = await axios.get(`${base}/products/${productId}/variations`, {
-        params: { per_page, page },
-        auth,
-        timeout: 30000
-      });
-      if (!Array.isArray(resp.data) || resp.data.length === 0) break;
-      all = all.concat(resp.data);
-      if (resp.data.length < per_page) break;
-      page++;
-    }
+    await purgeCloudflareTags([EXTRAS_CACHE_TAG]);
   } catch (err) {
-    console.error(`❌ Error fetching variations for product ${productId}:`, err.response?.data || err.message || err);
+    logger.error('Error purgando Cloudflare', { err });
   }
-  return all;
 }
 
-// ===== RUTA HEALTH =====
-app.get('/health', (req, res) => {
-  console.log('💓 Health check solicitado');
+function belongsToExtras(product) {
+  return EXTRAS_CATEGORY_ID !== null && Array.isArray(product.categories) &&
+    product.categories.some(c => Number(c.id) === EXTRAS_CATEGORY_ID);
+}
 
-  // Headers CORS explícitos para health check
-  res.set({
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'X-Health-Check': 'true'
-  });
+// Devuelve true si el extra es nuevo o cambió
+async function upsertExtraFromWoo(product) {
+  const extra = mapWooExtra(product);
+  const values = [
+    extra.woocommerce_id,
+    extra.name,
+    extra.sku,
+    extra.pricing_type,
+    extra.price,
+    extra.stock_quantity,
+    extra.stock_status,
+    extra.status,
+    JSON.stringify(extra.images),
+    extra.short_description,
+    JSON.stringify(extra.compatible_categories),
+    JSON.stringify(extra.compatible_product_ids),
+    JSON.stringify(extra.acf_data)
+  ];
+  const contentHash = crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+  values.push(contentHash);
 
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    message: 'Backend Render está operacional'
-  });
-});
+  const { rows } = await db.query(
+    `INSERT INTO extras (
+       woocommerce_id, name, sku, pricing_type, price, stock_quantity, stock_status, status,
+       images, short_description, compatible_categories, compatible_product_ids, acf_data, content_hash
+     ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+     ON CONFLICT (woocommerce_id) DO UPDATE SET
+       name = EXCLUDED.name,
+       sku = EXCLUDED.sku,
+       pricing_type = EXCLUDED.pricing_type,
+       price = EXCLUDED.price,
+       stock_quantity = EXCLUDED.stock_quantity,
+       stock_status = EXCLUDED.stock_status,
+       status = EXCLUDED.status,
+       images = EXCLUDED.images,
+       short_description = EXCLUDED.short_description,
+       compatible_categories = EXCLUDED.compatible_categories,
+       compatible_product_ids = EXCLUDED.compatible_product_ids,
+       acf_data = EXCLUDED.acf_data,
+       content_hash = EXCLUDED.content_hash,
+       updated_at = NOW(),
+       archived_at = NULL
+     WHERE extras.content_hash IS DISTINCT FROM EXCLUDED.content_hash OR extras.archived_at IS NOT NULL
+     RETURNING woocommerce_id`,
+    values
+  );
+  logger.debug(`Extra sincronizado: ${extra.woocommerce_id} - ${extra.name} (${extra.pricing_type}, ${extra.price})${rows.length ? '' : ' (sin cambios)'}`);
+  return rows.length > 0;
+}
 
-// ===== RUTA STATUS (ALIAS DE HEALTH) =====
-app.get('/status', (req, res) => {
-  console.log('📊 Status check solicitado');
+async function isActiveExtra(extraId) {
+  const { rows } = await db.query('SELECT 1 FROM extras WHERE woocommerce_id = $1 AND archived_at IS NULL', [extraId]);
+  return rows.length > 0;
+}
 
-  res.set({
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Cache-Control': 'no-cache, no-store, must-revalidate',
-    'X-Status-Check': 'true'
-  });
+async function archiveExtra(extraId) {
+  const result = await db.query(
+    'UPDATE extras SET archived_at = NOW(), updated_at = NOW() WHERE woocommerce_id = $1 AND archived_at IS NULL',
+    [extraId]
+  );
+  if (result.rowCount > 0) logger.info(`Extra ${extraId} archivado`);
+  return result.rowCount > 0;
+}
 
-  res.json({
-    status: 'ok',
-    health: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    message: 'Backend Render está operacional'
-  });
-});
+// Sincroniza la categoría de extras. En modo full archiva los que ya no aparecen.
+// Devuelve { fetched, synced, changed, errors }.
+async function syncExtras({ modifiedAfter = null, full = false } = {}) {
+  const summary = { fetched: 0, synced: 0, changed: 0, errors: [] };
+  if (EXTRAS_CATEGORY_ID === null) return summary;
 
-// ===== RUTA GET PRODUCTS =====
-app.get('/products', async (req, res) => {
-  console.log('📦 Solicitando productos desde la base de datos...');
+  const params = { category: EXTRAS_CATEGORY_ID, status: 'publish' };
+  if (modifiedAfter) {
+    params.modified_after = modifiedAfter.toISOString();
+    params.dates_are_gmt = true;
+  }
+  const seenIds = [];
 
   try {
-    const category = req.query.category;
-    let query;
-    let queryParams = [];
+    // getAllPages falla si el listado llega incompleto: el modo full no archiva extras que no vio
+    const products = await woo.getAllPages('/products', params);
+    summary.fetched = products.length;
 
-    // Headers para cache en Cloudflare
-    res.set({
-      'Cache-Control': 'public, max-age=300, s-maxage=600', // 5min browser, 10min CDN
-      'ETag': `products-${Date.now()}`,
-      'X-Cache-Strategy': 'cloudflare-cache',
-      'CF-Cache-Tag': 'products,alugueres,bikesul'
-    });
+    for (const product of products) {
+      if (!belongsToExtras(product)) continue;
+      seenIds.push(Number(product.id));
+      try {
+        if (await upsertExtraFromWoo(product)) summary.changed++;
+        summary.synced++;
+      } catch (err) {
+        summary.errors.push({ product_id: product.id, name: product.name || '', message: err.message || String(err) });
+        logger.error(`Error sincronizando extra ${product.id}`, { err });
+      }
+    }
 
-    if (category) {
-      // Filtrar por categoría específica
-      query = `
-        SELECT * FROM products
-        WHERE categories::text ILIKE $1
-        AND status = 'publish'
-        ORDER BY name ASC
-      `;
-      queryParams = [`%"slug":"${category}"%`];
-      console.log(`🔍 Filtrando por categoría: ${category}`);
-    } else {
-      // Obtener todos los productos de la categoría "alugueres"
-      query = `
-        SELECT * FROM products
-        WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
-        AND status = 'publish'
-        ORDER BY name ASC
-      `;
-      console.log(`📋 Obteniendo todos los productos de ALUGUERES (${ALUGUERES_CATEGORY_ID})`);
+    if (full) {
+      const result = await db.query(
+        `UPDATE extras SET archived_at = NOW(), updated_at = NOW()
+         WHERE archived_at IS NULL AND NOT (woocommerce_id = ANY($1::int[]))`,
+        [seenIds]
+      );
+      if (result.rowCount > 0) logger.info(`${result.rowCount} extras archivados (ya no están en la categoría)`);
+      summary.changed += result.rowCount;
     }
+  } catch (err) {
+    logger.error('Error sincronizando extras', { err });
+    summary.errors.push({ product_id: null, name: 'extras', message: err.message || String(err) });
+  }
 
-    const { rows } = await db.query(query, queryParams);
-    console.log(`✅ ${rows.length} productos encontrados en la base de datos`);
+  return summary;
+}
 
-    const responseProducts = rows.map(processProductForResponse);
+// ===== TOURS GUIADOS =====
+const TOURS_CACHE_TAG = 'tours';
 
-    res.json(responseProducts);
-  } catch (error) {
-    console.error('❌ Error obteniendo productos:', error);
-    res.status(500).json({
-      error: 'Error interno del servidor',
-      message: error.message
-    });
+async function purgeToursCache(tourIds = []) {
+  try {
+    await purgeCloudflareTags([TOURS_CACHE_TAG, ...tourIds.map(id => `tour-${id}`)]);
+  } catch (err) {
+    logger.error('Error purgando Cloudflare', { err });
   }
-});
-
-// ===== RUTA GET PRODUCT BY ID =====
-app.get('/products/:id', async (req, res) => {
-  console.log(`🔍 Solicitando producto con ID: ${req.params.id}`);
+}
 
-  try {
-    const productId = req.params.id;
+function belongsToTours(product) {
+  return TOURS_CATEGORY_ID !== null && Array.isArray(product.categories) &&
+    product.categories.some(c => Number(c.id) === TOURS_CATEGORY_ID);
+}
 
-    // Headers para cache individualizado
-    res.set({
-      'Cache-Control': 'public, max-age=600, s-maxage=1200', // 10min browser, 20min CDN
-      'ETag': `product-${productId}-${Date.now()}`,
-      'CF-Cache-Tag': `product-${productId},products,alugueres`
-    });
+// Devuelve true si el tour o sus salidas son nuevos o cambiaron. Las salidas futuras que
+// ya no vienen de ACF se cancelan (no se borran: pueden tener reservas).
+async function upsertTourFromWoo(product) {
+  const tour = mapWooTour(product);
+  const values = [
+    tour.woocommerce_id,
+    tour.name,
+    tour.sku,
+    tour.status,
+    JSON.stringify(tour.images),
+    tour.short_description,
+    tour.description,
+    tour.duration_minutes,
+    tour.meeting_point ? JSON.stringify(tour.meeting_point) : null,
+    tour.capacity,
+    tour.price_per_person,
+    tour.child_price,
+    JSON.stringify(tour.acf_data)
+  ];
+  const contentHash = crypto.createHash('sha1').update(JSON.stringify([values, tour.departures])).digest('hex');
+  values.push(contentHash);
 
-    const { rows } = await db.query(
-      'SELECT * FROM products WHERE woocommerce_id = $1 OR id = $1',
-      [productId]
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO tours (
+         woocommerce_id, name, sku, status, images, short_description, description, duration_minutes,
+         meeting_point, capacity, price_per_person, child_price, acf_data, content_hash
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+       ON CONFLICT (woocommerce_id) DO UPDATE SET
+         name = EXCLUDED.name,
+         sku = EXCLUDED.sku,
+         status = EXCLUDED.status,
+         images = EXCLUDED.images,
+         short_description = EXCLUDED.short_description,
+         description = EXCLUDED.description,
+         duration_minutes = EXCLUDED.duration_minutes,
+         meeting_point = EXCLUDED.meeting_point,
+         capacity = EXCLUDED.capacity,
+         price_per_person = EXCLUDED.price_per_person,
+         child_price = EXCLUDED.child_price,
+         acf_data = EXCLUDED.acf_data,
+         content_hash = EXCLUDED.content_hash,
+         updated_at = NOW(),
+         archived_at = NULL
+       WHERE tours.content_hash IS DISTINCT FROM EXCLUDED.content_hash OR tours.archived_at IS NOT NULL
+       RETURNING woocommerce_id`,
+      values
     );
 
-    if (rows.length === 0) {
-      console.log(`❌ Producto ${productId} no encontrado`);
-      return res.status(404).json({ error: 'Produto não encontrado' });
+    if (rows.length > 0) {
+      for (const departure of tour.departures) {
+        await client.query(
+          `INSERT INTO tour_departures (tour_id, departure_date, departure_time, capacity)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (tour_id, departure_date, departure_time) DO UPDATE SET
+             capacity = EXCLUDED.capacity,
+             status = 'scheduled',
+             updated_at = NOW()
+           WHERE tour_departures.capacity <> EXCLUDED.capacity OR tour_departures.status <> 'scheduled'`,
+          [tour.woocommerce_id, departure.date, departure.time, departure.capacity]
+        );
+      }
+      const keys = tour.departures.map(departure => `${departure.date} ${departure.time}`);
+      const cancelled = await client.query(
+        `UPDATE tour_departures SET status = 'cancelled', updated_at = NOW()
+         WHERE tour_id = $1 AND status = 'scheduled' AND departure_date >= CURRENT_DATE
+         AND NOT (to_char(departure_date, 'YYYY-MM-DD') || ' ' || departure_time = ANY($2::text[]))`,
+        [tour.woocommerce_id, keys]
+      );
+      if (cancelled.rowCount > 0) logger.info(`${cancelled.rowCount} salidas del tour ${tour.woocommerce_id} canceladas (ya no están en ACF)`);
     }
+    await client.query('COMMIT');
 
-    const responseProduct = processProductForResponse(rows[0]);
-    console.log(`✅ Producto ${productId} encontrado: ${responseProduct.name}`);
-
-    res.json(responseProduct);
-  } catch (error) {
-    console.error(`❌ Error obteniendo producto ${req.params.id}:`, error);
-    res.status(500).json({
-      error: 'Error interno del servidor',
-      message: error.message
-    });
+    logger.debug(`Tour sincronizado: ${tour.woocommerce_id} - ${tour.name} (${tour.departures.length} salidas)${rows.length ? '' : ' (sin cambios)'}`);
+    return rows.length > 0;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
-});
+}
 
-app.get('/sync-products', async (req, res) => {
-  console.log('🔄 Iniciando sincronización de productos (incluye variaciones)...');
+async function isActiveTour(tourId) {
+  const { rows } = await db.query('SELECT 1 FROM tours WHERE woocommerce_id = $1 AND archived_at IS NULL', [tourId]);
+  return rows.length > 0;
+}
 
-  const base = process.env.WOOCOMMERCE_API_BASE;
-  const auth = {
-    username: process.env.WOOCOMMERCE_CONSUMER_KEY,
-    password: process.env.WOOCOMMERCE_CONSUMER_SECRET
-  };
-  const per_page = 100;
-  let page = 1;
-  let totalSynced = 0;
-  let totalErrors = 0;
-  let totalFetched = 0;
+async function archiveTour(tourId) {
+  const result = await db.query(
+    'UPDATE tours SET archived_at = NOW(), updated_at = NOW() WHERE woocommerce_id = $1 AND archived_at IS NULL',
+    [tourId]
+  );
+  if (result.rowCount > 0) logger.info(`Tour ${tourId} archivado`);
+  return result.rowCount > 0;
+}
+
+// Sincroniza la categoría de tours. En modo full archiva los que ya no aparecen.
+// Devuelve { fetched, synced, changedIds, errors }.
+async function syncTours({ modifiedAfter = null, full = false } = {}) {
+  const summary = { fetched: 0, synced: 0, changedIds: [], errors: [] };
+  if (TOURS_CATEGORY_ID === null) return summary;
+
+  const params = { category: TOURS_CATEGORY_ID, status: 'publish' };
+  if (modifiedAfter) {
+    params.modified_after = modifiedAfter.toISOString();
+    params.dates_are_gmt = true;
+  }
+  const seenIds = [];
 
   try {
-    try {
-      await db.query(`CREATE INDEX IF NOT EXISTS idx_products_categories_gin ON products USING gin (categories jsonb_path_ops)`);
-      console.log('✅ Índice GIN en categories asegurado.');
-    } catch (indexErr) {
-      console.warn('⚠️ No se pudo crear índice GIN (posible privilegios).', indexErr.message || indexErr);
+    // getAllPages falla si el listado llega incompleto: el modo full no archiva tours que no vio
+    const products = await woo.getAllPages('/products', params);
+    summary.fetched = products.length;
+
+    for (const product of products) {
+      if (!belongsToTours(product)) continue;
+      seenIds.push(Number(product.id));
+      try {
+        if (await upsertTourFromWoo(product)) summary.changedIds.push(Number(product.id));
+        summary.synced++;
+      } catch (err) {
+        summary.errors.push({ product_id: product.id, name: product.name || '', message: err.message || String(err) });
+        logger.error(`Error sincronizando tour ${product.id}`, { err });
+      }
     }
 
-    while (true) {
-      const resp = await axios.get(`${base}/products`, {
-        params: { category: ALUGUERES_CATEGORY_ID, status: 'publish', per_page, page },
-        auth,
-        timeout: 30000
-      });
+    if (full) {
+      const { rows } = await db.query(
+        `UPDATE tours SET archived_at = NOW(), updated_at = NOW()
+         WHERE archived_at IS NULL AND NOT (woocommerce_id = ANY($1::int[]))
+         RETURNING woocommerce_id`,
+        [seenIds]
+      );
+      if (rows.length > 0) logger.info(`${rows.length} tours archivados (ya no están en la categoría)`);
+      summary.changedIds.push(...rows.map(row => row.woocommerce_id));
+    }
+  } catch (err) {
+    logger.error('Error sincronizando tours', { err });
+    summary.errors.push({ product_id: null, name: 'tours', message: err.message || String(err) });
+  }
+
+  return summary;
+}
+
+// ===== TRADUCCIONES (WPML / POLYLANG) =====
+// Las traducciones son productos propios en WooCommerce; se enlazan con el original
+// mediante product.translations[pt]. Devuelve el id del original si el texto cambió.
+async function upsertProductTranslation(product, lang) {
+  const originalId = Number(product.translations && product.translations[DEFAULT_LANGUAGE]);
+  if (!Number.isInteger(originalId) || originalId <= 0 || originalId === Number(product.id)) {
+    return null;
+  }
+
+  // Solo se guardan traducciones de productos que ya están en el catálogo local
+  const { rows } = await db.query(
+    `INSERT INTO product_translations (product_id, lang, woocommerce_id, name, short_description, description)
+     SELECT $1, $2, $3, $4, $5, $6
+     WHERE EXISTS (SELECT 1 FROM products WHERE woocommerce_id = $1)
+     ON CONFLICT (product_id, lang) DO UPDATE SET
+       woocommerce_id = EXCLUDED.woocommerce_id,
+       name = EXCLUDED.name,
+       short_description = EXCLUDED.short_description,
+       description = EXCLUDED.description,
+       updated_at = NOW()
+     WHERE (product_translations.woocommerce_id, product_translations.name, product_translations.short_description, product_translations.description)
+       IS DISTINCT FROM (EXCLUDED.woocommerce_id, EXCLUDED.name, EXCLUDED.short_description, EXCLUDED.description)
+     RETURNING product_id`,
+    [originalId, lang, product.id, product.name || '', product.short_description || '', product.description || '']
+  );
+  if (rows.length > 0) {
+    logger.debug(`Traducción ${lang} del producto ${originalId} actualizada (${product.id})`);
+  }
+  return rows.length > 0 ? originalId : null;
+}
+
+// Recorre los productos de cada idioma secundario (?lang=en, ?lang=es). En modo full
+// además borra las traducciones que ya no existen. Devuelve { changedIds, errors }.
+async function syncProductTranslations({ modifiedAfter = null, full = false } = {}) {
+  const changedIds = new Set();
+  const errors = [];
+
+  for (const lang of SUPPORTED_LANGUAGES.filter(l => l !== DEFAULT_LANGUAGE)) {
+    // Sin filtro de categoría: en WPML las categorías traducidas tienen otro id
+    const params = { lang, status: 'publish' };
+    if (modifiedAfter) {
+      params.modified_after = modifiedAfter.toISOString();
+      params.dates_are_gmt = true;
+    }
+    const seenTranslationIds = [];
 
-      const products = Array.isArray(resp.data) ? resp.data : [];
-      if (products.length === 0) break;
-      totalFetched += products.length;
+    try {
+      // getAllPages falla si el listado llega incompleto: el modo full no borra traducciones que no vio
+      const products = await woo.getAllPages('/products', params);
 
       for (const product of products) {
-        try {
-          const belongs = Array.isArray(product.categories) && product.categories.some(c => Number(c.id) === ALUGUERES_CATEGORY_ID);
-          if (!belongs) {
-            console.log(`⏭️ Producto ${product.id} no pertenece a ALUGUERES, saltando.`);
-            continue;
-          }
-
-          console.log(`📝 Procesando producto ${product.id}: ${product.name}`);
-          console.log(`🔍 ACF Data recibido:`, JSON.stringify(product.acf, null, 2));
-          console.log(`🔍 Meta Data recibido:`, JSON.stringify(product.meta_data, null, 2));
-
-          let variationsStock = [];
-          let variationsIds = [];
-
-          if (product.type === 'variable' || (Array.isArray(product.variations) && product.variations.length > 0)) {
-            const variations = await fetchVariationsFromWoo(product.id);
-            variationsIds = variations.map(v => v.id);
-            variationsStock = variations.map(v => ({
-              id: v.id,
-              sku: v.sku || null,
-              stock_quantity: v.stock_quantity !== undefined && v.stock_quantity !== null ? Number(v.stock_quantity) : null,
-              stock_status: v.stock_status || null,
-              price: v.price !== undefined ? v.price : null,
-              regular_price: v.regular_price !== undefined ? v.regular_price : null,
-              attributes: v.attributes || []
-            }));
-          } else {
-            variationsIds = product.variations || [];
-            variationsStock = [];
-          }
-
-          let aggregatedStock = 0;
-          if (variationsStock.length > 0) {
-            aggregatedStock = variationsStock.reduce((acc, vs) => {
-              const q = Number.isFinite(Number(vs.stock_quantity)) ? Number(vs.stock_quantity) : 0;
-              return acc + q;
-            }, 0);
-          } else {
-            aggregatedStock = product.stock_quantity !== undefined && product.stock_quantity !== null ? Number(product.stock_quantity) : 0;
-          }
-
-          const acfData = product.acf || {};
-          const metaData = product.meta_data || [];
-
-          const acfPricing = extractACFPricing(acfData, metaData);
-          console.log(`💰 ACF Pricing extraído para ${product.id}:`, acfPricing);
-
-          const priceToUse = acfPricing.precio_1_2 !== undefined ? Number(acfPricing.precio_1_2)
-                            : (product.price !== undefined ? Number(product.price) : 0);
-
-          const queryText = `
-            INSERT INTO products (
-              woocommerce_id, name, price, regular_price, stock_quantity,
-              stock_status, categories, images, description, short_description,
-              status, acf_data, meta_data, variations_ids, variations_stock,
-              sku, precio_1_2, precio_3_6, precio_7_mais
-            ) VALUES (
-              $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19
-            )
-            ON CONFLICT (woocommerce_id) DO UPDATE SET
-              name = EXCLUDED.name,
-              price = EXCLUDED.price,
-              regular_price = EXCLUDED.regular_price,
-              stock_quantity = EXCLUDED.stock_quantity,
-              stock_status = EXCLUDED.stock_status,
-              categories = EXCLUDED.categories,
-              images = EXCLUDED.images,
-              description = EXCLUDED.description,
-              short_description = EXCLUDED.short_description,
-              status = EXCLUDED.status,
-              acf_data = EXCLUDED.acf_data,
-              meta_data = EXCLUDED.meta_data,
-              variations_ids = EXCLUDED.variations_ids,
-              variations_stock = EXCLUDED.variations_stock,
-              sku = EXCLUDED.sku,
-              precio_1_2 = EXCLUDED.precio_1_2,
-              precio_3_6 = EXCLUDED.precio_3_6,
-              precio_7_mais = EXCLUDED.precio_7_mais
-          `;
-
-          const values = [
-            product.id,
-            product.name || '',
-            priceToUse,
-            product.regular_price !== undefined ? Number(product.regular_price) : 0,
-            aggregatedStock,
-            product.stock_status || 'instock',
-            JSON.stringify(product.categories || []),
-            JSON.stringify(product.images || []),
-            product.description || '',
-            product.short_description || '',
-            product.status || 'publish',
-            JSON.stringify(acfData),
-            JSON.stringify(metaData),
-            JSON.stringify(variationsIds),
-            JSON.stringify(variationsStock),
-            product.sku || '',
-            acfPricing.precio_1_2 || null,
-            acfPricing.precio_3_6 || null,
-            acfPricing.precio_7_mais || null
-          ];
-
-          console.log(`💾 Guardando en BD - precios ACF: 1-2: ${values[16]}, 3-6: ${values[17]}, 7+: ${values[18]}`);
-
-          await db.query(queryText, values);
-          totalSynced++;
-          console.log(`✅ Producto sincronizado: ${product.id} - ${product.name}`);
-
-        } catch (prodErr) {
-          totalErrors++;
-          console.error(`❌ Error sincronizando producto ${product.id}:`, prodErr.message || prodErr);
-        }
+        // Si el plugin ignora ?lang= nos llegan productos en PT: no son traducciones
+        if (normalizeLanguage(product.lang) !== lang) continue;
+        seenTranslationIds.push(Number(product.id));
+        const changedId = await upsertProductTranslation(product, lang);
+        if (changedId) changedIds.add(changedId);
       }
 
-      if (products.length < per_page) break;
-      page++;
+      // Ningún producto en el idioma suele ser un plugin que ignora ?lang=: no se borra nada
+      if (full && seenTranslationIds.length === 0) {
+        logger.warn(`Ningún producto en ${lang} en el listado: no se borran traducciones`);
+      } else if (full) {
+        const { rows } = await db.query(
+          'DELETE FROM product_translations WHERE lang = $1 AND NOT (woocommerce_id = ANY($2::int[])) RETURNING product_id',
+          [lang, seenTranslationIds]
+        );
+        rows.forEach(row => changedIds.add(row.product_id));
+      }
+    } catch (err) {
+      logger.error(`Error sincronizando traducciones (${lang})`, { err });
+      errors.push({ product_id: null, name: `translations:${lang}`, message: err.message || String(err) });
     }
+  }
 
-    // Obtener los productos de la categoría "alugueres" desde DB para responder
-    const { rows } = await db.query(`SELECT * FROM products WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'`);
-    const responseProducts = rows.map(processProductForResponse);
-
-    res.json({
-      message: `Sincronización completada: ${totalSynced} productos sincronizados, ${totalErrors} errores, ${totalFetched} productos recuperados.`,
-      products: responseProducts
-    });
+  return { changedIds, errors };
+}
 
-  } catch (err) {
-    console.error('❌ Error en sincronización general:', err.message || err);
-    res.status(500).json({ error: 'Error interno en la sincronización' });
+// Guarda las variaciones de un producto y elimina las que ya no existen en WooCommerce
+async function replaceProductVariations(client, productId, variations) {
+  for (const variation of variations) {
+    const row = mapWooVariation(variation, productId);
+    await client.query(
+      `INSERT INTO product_variations (
+         woocommerce_id, product_id, sku, price, regular_price, stock_quantity, stock_status,
+         size, color, attributes, raw_attributes, menu_order
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+       ON CONFLICT (woocommerce_id) DO UPDATE SET
+         product_id = EXCLUDED.product_id,
+         sku = EXCLUDED.sku,
+         price = EXCLUDED.price,
+         regular_price = EXCLUDED.regular_price,
+         stock_quantity = EXCLUDED.stock_quantity,
+         stock_status = EXCLUDED.stock_status,
+         size = EXCLUDED.size,
+         color = EXCLUDED.color,
+         attributes = EXCLUDED.attributes,
+         raw_attributes = EXCLUDED.raw_attributes,
+         menu_order = EXCLUDED.menu_order,
+         updated_at = NOW()
+       WHERE (product_variations.product_id, product_variations.sku, product_variations.price, product_variations.regular_price,
+              product_variations.stock_quantity, product_variations.stock_status, product_variations.attributes,
+              product_variations.raw_attributes, product_variations.menu_order)
+         IS DISTINCT FROM
+             (EXCLUDED.product_id, EXCLUDED.sku, EXCLUDED.price, EXCLUDED.regular_price,
+              EXCLUDED.stock_quantity, EXCLUDED.stock_status, EXCLUDED.attributes,
+              EXCLUDED.raw_attributes, EXCLUDED.menu_order)`,
+      [row.woocommerce_id, row.product_id, row.sku, row.price, row.regular_price, row.stock_quantity, row.stock_status,
+        row.size, row.color, JSON.stringify(row.attributes), JSON.stringify(row.raw_attributes), row.menu_order]
+    );
   }
-});
+  await client.query(
+    'DELETE FROM product_variations WHERE product_id = $1 AND NOT (woocommerce_id = ANY($2::int[]))',
+    [productId, variations.map(v => v.id)]
+  );
+}
 
-// ===== ENDPOINT SYNC-STATUS =====
-app.get('/sync-status', async (req, res) => {
-  console.log('📊 Verificando status da sincronização...');
+// Guarda en product_changes las diferencias calculadas por diffProductSnapshots
+async function recordProductChanges(queryable, productId, changes, { source, syncRunId = null }) {
+  if (changes.length === 0) return;
+  await queryable.query(
+    `INSERT INTO product_changes (product_id, variation_id, field, old_value, new_value, source, sync_run_id)
+     SELECT $1, c.variation_id, c.field, c.old_value, c.new_value, $3, $4
+     FROM jsonb_to_recordset($2::jsonb) AS c(variation_id INTEGER, field TEXT, old_value JSONB, new_value JSONB)`,
+    [productId, JSON.stringify(changes), source, syncRunId]
+  );
+}
 
-  try {
-    // Headers para no-cache (siempre datos frescos)
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'X-Sync-Status-Check': 'true'
-    });
+// Mapea un producto de WooCommerce (incluidas sus variaciones) a products y product_variations,
+// registrando en product_changes los cambios de precio, stock y estado.
+// Devuelve { productId, changed, changes } o null si el producto no pertenece a ALUGUERES.
+async function upsertProductFromWoo(product, { source = 'sync', syncRunId = null } = {}) {
+  // Las versiones traducidas van a product_translations, nunca a products
+  if (product.lang && normalizeLanguage(product.lang) !== DEFAULT_LANGUAGE) {
+    logger.debug(`Producto ${product.id} es una traducción (${product.lang}), saltando.`);
+    return null;
+  }
+  if (!belongsToAlugueres(product)) {
+    logger.debug(`Producto ${product.id} no pertenece a ALUGUERES, saltando.`);
+    return null;
+  }
 
-    // Contar productos en BD
-    const totalCount = await db.query('SELECT COUNT(*) as total FROM products');
-    const alugueresCount = await db.query(
-      `SELECT COUNT(*) as alugueres_total FROM products
-       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'`
-    );
+  logger.debug(`Procesando producto ${product.id}: ${product.name}`);
 
-    const syncStatus = {
-      last_check: new Date().toISOString(),
-      total_products_in_db: parseInt(totalCount.rows[0].total),
-      alugueres_products: parseInt(alugueresCount.rows[0].alugueres_total),
-      category_filter: ALUGUERES_CATEGORY_ID,
-      sync_healthy: parseInt(alugueresCount.rows[0].alugueres_total) > 0
-    };
+  let variations = [];
+  let variationsStock = [];
+  let variationsIds = [];
 
-    console.log('✅ Sync status:', syncStatus);
-    res.json(syncStatus);
-  } catch (error) {
-    console.error('❌ Error verificando sync status:', error);
-    res.status(500).json({
-      error: 'Error verificando status de sincronização',
-      message: error.message
-    });
+  if (product.type === 'variable' || (Array.isArray(product.variations) && product.variations.length > 0)) {
+    variations = await fetchVariationsFromWoo(product.id, product.variations);
+    variationsIds = variations.map(v => v.id);
+    variationsStock = variations.map(v => ({
+      id: v.id,
+      sku: v.sku || null,
+      stock_quantity: v.stock_quantity !== undefined && v.stock_quantity !== null ? Number(v.stock_quantity) : null,
+      stock_status: v.stock_status || null,
+      price: v.price !== undefined ? v.price : null,
+      regular_price: v.regular_price !== undefined ? v.regular_price : null,
+      attributes: v.attributes || []
+    }));
+  } else {
+    variationsIds = product.variations || [];
+    variationsStock = [];
   }
-});
 
-// ===== ENDPOINT CORS-TEST =====
-app.get('/cors-test', (req, res) => {
-  console.log('🧪 CORS Test request received');
-  console.log('Origin:', req.get('Origin'));
-  console.log('User-Agent:', req.get('User-Agent'));
+  let aggregatedStock = 0;
+  if (variationsStock.length > 0) {
+    aggregatedStock = variationsStock.reduce((acc, vs) => {
+      const q = Number.isFinite(Number(vs.stock_quantity)) ? Number(vs.stock_quantity) : 0;
+      return acc + q;
+    }, 0);
+  } else {
+    aggregatedStock = product.stock_quantity !== undefined && product.stock_quantity !== null ? Number(product.stock_quantity) : 0;
+  }
 
-  // Headers explícitos para teste CORS
-  res.set({
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
-    'Cache-Control': 'no-cache',
-    'X-CORS-Test': 'success'
-  });
+  // Sin gestión de stock (manage_stock desactivado, stock_quantity null) el stock no limita las reservas
+  const manageStock = variationsStock.length > 0
+    ? variationsStock.every(vs => vs.stock_quantity !== null)
+    : product.manage_stock !== false && product.stock_quantity !== undefined && product.stock_quantity !== null;
 
-  res.json({
-    message: 'CORS test successful',
-    origin: req.get('Origin') || 'No origin header',
-    method: req.method,
-    timestamp: new Date().toISOString(),
-    headers_received: req.headers
-  });
-});
+  const acfData = product.acf || {};
+  const metaData = product.meta_data || [];
 
-// ===== ENDPOINT DEBUG-PRODUCTS =====
-app.get('/debug-products', async (req, res) => {
-  console.log('🐛 Debug de productos solicitado...');
+  const acfPricing = extractACFPricing(acfData, metaData);
 
-  try {
-    // Headers para no-cache
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'X-Debug-Endpoint': 'true'
-    });
+  const priceToUse = acfPricing.precio_1_2 !== undefined ? Number(acfPricing.precio_1_2)
+                    : (product.price !== undefined ? Number(product.price) : 0);
 
-    // Contar total de productos
-    const totalCount = await db.query('SELECT COUNT(*) as total FROM products');
+  const queryText = `
+    INSERT INTO products (
+      woocommerce_id, name, price, regular_price, stock_quantity,
+      stock_status, categories, images, description, short_description,
+      status, acf_data, meta_data, variations_ids, variations_stock,
+      sku, precio_1_2, precio_3_6, precio_7_mais, manage_stock, content_hash
+    ) VALUES (
+      $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21
+    )
+    ON CONFLICT (woocommerce_id) DO UPDATE SET
+      name = EXCLUDED.name,
+      price = EXCLUDED.price,
+      regular_price = EXCLUDED.regular_price,
+      stock_quantity = EXCLUDED.stock_quantity,
+      stock_status = EXCLUDED.stock_status,
+      categories = EXCLUDED.categories,
+      images = EXCLUDED.images,
+      description = EXCLUDED.description,
+      short_description = EXCLUDED.short_description,
+      status = EXCLUDED.status,
+      acf_data = EXCLUDED.acf_data,
+      meta_data = EXCLUDED.meta_data,
+      variations_ids = EXCLUDED.variations_ids,
+      variations_stock = EXCLUDED.variations_stock,
+      sku = EXCLUDED.sku,
+      precio_1_2 = EXCLUDED.precio_1_2,
+      precio_3_6 = EXCLUDED.precio_3_6,
+      precio_7_mais = EXCLUDED.precio_7_mais,
+      manage_stock = EXCLUDED.manage_stock,
+      content_hash = EXCLUDED.content_hash,
+      updated_at = CASE
+        WHEN products.content_hash IS DISTINCT FROM EXCLUDED.content_hash OR products.archived_at IS NOT NULL THEN NOW()
+        ELSE products.updated_at
+      END,
+      archived_at = NULL,
+      archive_reason = NULL
+  `;
 
-    // Contar productos ALUGUERES
-    const alugueresCount = await db.query(
-      `SELECT COUNT(*) as alugueres_total FROM products
-       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'`
-    );
+  const values = [
+    product.id,
+    product.name || '',
+    priceToUse,
+    product.regular_price !== undefined ? Number(product.regular_price) : 0,
+    aggregatedStock,
+    product.stock_status || 'instock',
+    JSON.stringify(product.categories || []),
+    JSON.stringify(product.images || []),
+    product.description || '',
+    product.short_description || '',
+    product.status || 'publish',
+    JSON.stringify(acfData),
+    JSON.stringify(metaData),
+    JSON.stringify(variationsIds),
+    JSON.stringify(variationsStock),
+    product.sku || '',
+    acfPricing.precio_1_2 || null,
+    acfPricing.precio_3_6 || null,
+    acfPricing.precio_7_mais || null,
+    manageStock
+  ];
 
-    // Contar productos ALUGUERES por status
-    const statusBreakdown = await db.query(
-      `SELECT
-         status,
-         stock_status,
-         COUNT(*) as count,
-         AVG(stock_quantity) as avg_stock
-       FROM products
-       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
-       GROUP BY status, stock_status
-       ORDER BY count DESC`
-    );
+  const contentHash = crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+  values.push(contentHash);
 
-    // Ejemplo de productos ALUGUERES (primeros 5)
-    const sampleProducts = await db.query(
-      `SELECT
-         woocommerce_id, name, status, stock_status, stock_quantity,
-         categories::text as categories_preview
-       FROM products
-       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
-       LIMIT 5`
-    );
+  logger.debug(`Guardando producto ${product.id}`, { precio_1_2: values[16], precio_3_6: values[17], precio_7_mais: values[18] });
 
-    const debugInfo = {
-      total_products_in_db: parseInt(totalCount.rows[0].total),
-      alugueres_products_total: parseInt(alugueresCount.rows[0].alugueres_total),
-      status_breakdown: statusBreakdown.rows,
-      sample_products: sampleProducts.rows,
-      category_filter: `ID: ${ALUGUERES_CATEGORY_ID}`,
+  const client = await db.connect();
+  let previous;
+  let changes = [];
+  try {
+    await client.query('BEGIN');
+    ({ rows: [previous] } = await client.query(
+      `SELECT content_hash, archived_at, price, regular_price, precio_1_2, precio_3_6, precio_7_mais,
+              stock_quantity, stock_status, status
+       FROM products WHERE woocommerce_id = $1 FOR UPDATE`,
+      [product.id]
+    ));
+    // Con el mismo hash no hay nada que comparar
+    if (previous && (previous.content_hash !== contentHash || previous.archived_at !== null)) {
+      const { rows: previousVariations } = await client.query(
+        'SELECT woocommerce_id, price, regular_price, stock_quantity, stock_status FROM product_variations WHERE product_id = $1',
+        [product.id]
+      );
+      changes = diffProductSnapshots(
+        { product: previous, variations: previousVariations },
+        {
+          product: {
+            price: priceToUse,
+            regular_price: values[3],
+            precio_1_2: acfPricing.precio_1_2,
+            precio_3_6: acfPricing.precio_3_6,
+            precio_7_mais: acfPricing.precio_7_mais,
+            stock_quantity: aggregatedStock,
+            stock_status: values[5],
+            status: values[10],
+            archived_at: null
+          },
+          variations: variations.map(v => mapWooVariation(v, product.id))
+        }
+      );
+    }
+    await client.query(queryText, values);
+    await replaceProductVariations(client, product.id, variations);
+    await recordProductChanges(client, product.id, changes, { source, syncRunId });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const changed = !previous || previous.content_hash !== contentHash || previous.archived_at !== null;
+  logger.debug(`Producto sincronizado: ${product.id} - ${product.name}${changed ? '' : ' (sin cambios)'}`);
+  if (changes.length > 0) logger.info(`Producto ${product.id}: ${changes.length} cambios de precio/stock registrados`);
+  return { productId: product.id, changed, changes: changes.length };
+}
+
+const MAX_RENTAL_DAYS = 365;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'YYYY-MM-DD' que además sea una fecha real (descarta 2025-02-30); si no, null
+function parseDateOnly(value) {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value ? value : null;
+}
+
+// Valida un rango de alquiler YYYY-MM-DD (ambos días incluidos).
+// Devuelve { from, to, days } o { error } con el mensaje para el cliente.
+function parseRentalRange(from, to) {
+  if (!from || !to) {
+    return { error: "Parâmetros 'from' e 'to' são obrigatórios (YYYY-MM-DD)" };
+  }
+  if (!DATE_RE.test(String(from)) || !DATE_RE.test(String(to))) {
+    return { error: 'Formato de data inválido, use YYYY-MM-DD' };
+  }
+  const start = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  if (isNaN(start) || isNaN(end) || start.toISOString().slice(0, 10) !== from || end.toISOString().slice(0, 10) !== to) {
+    return { error: 'Data inválida' };
+  }
+  if (end < start) {
+    return { error: "A data 'to' deve ser igual ou posterior a 'from'" };
+  }
+  const days = Math.round((end - start) / 86400000) + 1;
+  if (days > MAX_RENTAL_DAYS) {
+    return { error: `O período máximo é de ${MAX_RENTAL_DAYS} dias` };
+  }
+  return { from, to, days };
+}
+
+// ===== PRECIOS POR TRAMOS =====
+const VAT_RATE = parseFloat(process.env.VAT_RATE || '0.23');
+const PRICES_INCLUDE_VAT = process.env.PRICES_INCLUDE_VAT !== 'false';
+const CURRENCY = process.env.CURRENCY || 'EUR';
+const MAX_QUOTE_ITEMS = 50;
+
+function roundMoney(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+// IVA de un importe ya descontado según PRICES_INCLUDE_VAT. Devuelve { vat, total }.
+function vatBreakdown(amount) {
+  if (PRICES_INCLUDE_VAT) {
+    const netAmount = roundMoney(amount / (1 + VAT_RATE));
+    return { vat: { rate: VAT_RATE, included: true, net_amount: netAmount, amount: roundMoney(amount - netAmount) }, total: amount };
+  }
+  const vatAmount = roundMoney(amount * VAT_RATE);
+  return { vat: { rate: VAT_RATE, included: false, net_amount: amount, amount: vatAmount }, total: roundMoney(amount + vatAmount) };
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Tarifa diaria según la duración: 1-2 días, 3-6 días o 7 o más.
+// Si el tramo que corresponde no está definido se usa el inmediatamente inferior.
+function pickDailyRate(pricing, days, fallbackPrice) {
+  const tiers = days >= 7 ? ['precio_7_mais', 'precio_3_6', 'precio_1_2']
+              : days >= 3 ? ['precio_3_6', 'precio_1_2']
+              : ['precio_1_2'];
+  for (const tier of tiers) {
+    const rate = Number(pricing[tier]);
+    if (pricing[tier] !== null && pricing[tier] !== undefined && Number.isFinite(rate) && rate > 0) {
+      return { tier, rate };
+    }
+  }
+  const fallback = Number(fallbackPrice);
+  return { tier: 'price', rate: Number.isFinite(fallback) ? fallback : 0 };
+}
+
+// ===== REGLAS DE TEMPORADA Y CÓDIGOS PROMOCIONALES =====
+const PRICING_RULE_COLUMNS = `id, name, product_id, category_id,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  adjustment_type, adjustment_value, min_days, priority, active, created_at, updated_at`;
+
+// Reglas activas que tocan el rango [from, to]
+async function loadPricingRules(queryable, from, to) {
+  const { rows } = await queryable.query(
+    `SELECT ${PRICING_RULE_COLUMNS} FROM pricing_rules
+     WHERE active AND start_date <= $2 AND end_date >= $1`,
+    [from, to]
+  );
+  return rows;
+}
+
+// Usos de un código: solo cuentan las reservas pendientes o confirmadas
+async function countPromoUses(queryable, promoId, email = null) {
+  const { rows: [usage] } = await queryable.query(
+    `SELECT COUNT(*)::int AS uses, COUNT(*) FILTER (WHERE r.customer_email = $2)::int AS customer_uses
+     FROM promo_code_redemptions r
+     JOIN bookings b ON b.id = r.booking_id
+     WHERE r.promo_code_id = $1 AND b.status IN ('pending', 'confirmed')`,
+    [promoId, email]
+  );
+  return usage;
+}
+
+// Busca y valida un código promocional. Lanza httpError(400) si no se puede usar.
+// Con forUpdate (dentro de una transacción) serializa los canjes del mismo código.
+async function loadUsablePromo(queryable, code, { email = null, forUpdate = false } = {}) {
+  const normalized = normalizePromoCode(code);
+  const { rows: [promo] } = normalized
+    ? await queryable.query(`SELECT * FROM promo_codes WHERE code = $1${forUpdate ? ' FOR UPDATE' : ''}`, [normalized])
+    : { rows: [] };
+  const usage = promo ? await countPromoUses(queryable, promo.id, email) : { uses: 0, customer_uses: 0 };
+  const reason = promoUnavailableReason(promo, { uses: usage.uses, customerUses: usage.customer_uses });
+  if (reason) throw httpError(400, reason);
+  return promo;
+}
+
+// Precio efectivo de un producto en un día con las reglas de temporada (para /products/:id?date=)
+function effectivePricing(product, rules, date) {
+  const target = { woocommerce_id: product.woocommerce_id, categories: parseJSONSafe(product.categories, []) };
+  const rule = priceRuleForDate(rules, target, date);
+  const minimum = seasonMinimum(rules, target, date, date);
+  const adjust = value => (value === null || value === undefined ? null : roundMoney(applyRule(Number(value), rule)));
+  return {
+    date,
+    price: adjust(product.price),
+    precio_1_2: adjust(product.precio_1_2),
+    precio_3_6: adjust(product.precio_3_6),
+    precio_7_mais: adjust(product.precio_7_mais),
+    min_days: minimum ? minimum.min_days : null,
+    rule: rule ? { id: rule.id, name: rule.name, adjustment_type: rule.adjustment_type, adjustment_value: Number(rule.adjustment_value) } : null
+  };
+}
+
+// Calcula el presupuesto de un carrito para un rango ya validado con parseRentalRange,
+// aplicando las reglas de temporada día a día y, si se indica, un código promocional.
+// Lanza httpError(400|404) si el carrito o el código no son válidos.
+async function calculateQuote(range, items, { promoCode = null } = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, "O campo 'items' deve ser uma lista não vazia");
+  }
+  if (items.length > MAX_QUOTE_ITEMS) {
+    throw httpError(400, `Máximo de ${MAX_QUOTE_ITEMS} linhas por pedido`);
+  }
+
+  const normalized = items.map((item, index) => {
+    const productId = Number(item && item.product_id);
+    const variationId = item && item.variation_id !== undefined && item.variation_id !== null ? Number(item.variation_id) : null;
+    const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+    if (!Number.isInteger(productId) || productId <= 0) {
+      throw httpError(400, `Linha ${index + 1}: 'product_id' inválido`);
+    }
+    if (variationId !== null && (!Number.isInteger(variationId) || variationId <= 0)) {
+      throw httpError(400, `Linha ${index + 1}: 'variation_id' inválido`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, `Linha ${index + 1}: 'quantity' deve ser um inteiro positivo`);
+    }
+    return { product_id: productId, variation_id: variationId, quantity };
+  });
+
+  const productIds = [...new Set(normalized.map(item => item.product_id))];
+  const { rows } = await db.query(
+    `SELECT * FROM products
+     WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
+     AND status = 'publish' AND archived_at IS NULL AND woocommerce_id = ANY($1::int[])`,
+    [productIds]
+  );
+  const productsById = new Map(rows.map(row => [Number(row.woocommerce_id), row]));
+  const rules = await loadPricingRules(db, range.from, range.to);
+
+  const lines = normalized.map(item => {
+    const product = productsById.get(item.product_id);
+    if (!product) {
+      throw httpError(404, `Produto ${item.product_id} não encontrado`);
+    }
+
+    let fallbackPrice = product.price;
+    if (item.variation_id !== null) {
+      const variations = parseJSONSafe(product.variations_stock, []);
+      const variation = Array.isArray(variations) ? variations.find(v => Number(v.id) === item.variation_id) : undefined;
+      if (!variation) {
+        throw httpError(404, `Variação ${item.variation_id} não encontrada no produto ${item.product_id}`);
+      }
+      if (variation.price !== null && variation.price !== undefined && variation.price !== '') {
+        fallbackPrice = variation.price;
+      }
+    }
+
+    const pricing = {
+      precio_1_2: product.precio_1_2,
+      precio_3_6: product.precio_3_6,
+      precio_7_mais: product.precio_7_mais
+    };
+    const target = { woocommerce_id: product.woocommerce_id, categories: parseJSONSafe(product.categories, []) };
+    const minimum = seasonMinimum(rules, target, range.from, range.to);
+    if (minimum && range.days < minimum.min_days) {
+      throw httpError(400, `${product.name || `Produto ${item.product_id}`}: aluguer mínimo de ${minimum.min_days} dias entre ${minimum.start_date} e ${minimum.end_date}`);
+    }
+
+    // El tramo depende de la duración total; la temporada, de cada día
+    const { tier, rate } = pickDailyRate(pricing, range.days, fallbackPrice);
+    const periods = seasonalPeriods(rules, target, range.from, range.to, rate);
+    const dayUnits = periods.reduce((acc, period) => acc + roundMoney(period.daily_rate) * period.days, 0);
+    const lineTotal = roundMoney(dayUnits * item.quantity);
+
+    const line = {
+      product_id: item.product_id,
+      variation_id: item.variation_id,
+      name: product.name || '',
+      quantity: item.quantity,
+      days: range.days,
+      tier,
+      // Con varias temporadas en el rango es la media diaria
+      daily_rate: periods.length === 1 ? roundMoney(periods[0].daily_rate) : roundMoney(dayUnits / range.days),
+      line_total: lineTotal
+    };
+    if (periods.some(period => period.rule)) {
+      line.seasons = periods.map(period => ({
+        from: period.from,
+        to: period.to,
+        days: period.days,
+        daily_rate: roundMoney(period.daily_rate),
+        rule_id: period.rule ? period.rule.id : null,
+        rule_name: period.rule ? period.rule.name : null
+      }));
+    }
+    return line;
+  });
+
+  const subtotal = roundMoney(lines.reduce((acc, line) => acc + line.line_total, 0));
+
+  let discount = null;
+  if (promoCode !== null && promoCode !== undefined && promoCode !== '') {
+    const promo = await loadUsablePromo(db, promoCode);
+    discount = {
+      code: promo.code,
+      type: promo.discount_type,
+      value: Number(promo.discount_value),
+      amount: roundMoney(promoDiscountAmount(promo, subtotal))
+    };
+  }
+  const discounted = roundMoney(subtotal - (discount ? discount.amount : 0));
+  const { vat, total } = vatBreakdown(discounted);
+
+  return {
+    from: range.from,
+    to: range.to,
+    days: range.days,
+    currency: CURRENCY,
+    lines,
+    subtotal,
+    discount,
+    vat,
+    total
+  };
+}
+
+// ===== CACHÉ HTTP Y PURGA DE CLOUDFLARE =====
+// ETag derivado del contenido de la respuesta: dos peticiones con los mismos datos
+// devuelven el mismo ETag y el cliente/CDN puede revalidar con 304.
+function sendCacheable(req, res, payload, lastModified) {
+  const body = JSON.stringify(payload);
+  res.set('ETag', `"${crypto.createHash('sha1').update(body).digest('base64url')}"`);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.type('application/json').send(body);
+}
+
+// Cloudflare purga por la cabecera Cache-Tag de la respuesta del origen (y no la reenvía al
+// cliente). CF-Cache-Tag se mantiene porque está expuesta por CORS y el frontend puede leerla.
+function cacheTagHeaders(tags) {
+  return { 'Cache-Tag': tags, 'CF-Cache-Tag': tags };
+}
+
+const CLOUDFLARE_API_BASE = process.env.CLOUDFLARE_API_BASE || 'https://api.cloudflare.com/client/v4';
+const CLOUDFLARE_TAGS_PER_REQUEST = 30;
+
+// Purga por Cache-Tag. Sin CLOUDFLARE_ZONE_ID/CLOUDFLARE_API_TOKEN solo se registra.
+async function purgeCloudflareTags(tags) {
+  const uniqueTags = [...new Set(tags)].filter(Boolean);
+  const zoneId = process.env.CLOUDFLARE_ZONE_ID;
+  const token = process.env.CLOUDFLARE_API_TOKEN;
+
+  if (uniqueTags.length === 0) return { purged: [], skipped: false };
+  if (!zoneId || !token) {
+    logger.info(`Purga Cloudflare no configurada, tags omitidos: ${uniqueTags.join(',')}`);
+    return { purged: [], skipped: true };
+  }
+
+  for (let i = 0; i < uniqueTags.length; i += CLOUDFLARE_TAGS_PER_REQUEST) {
+    const chunk = uniqueTags.slice(i, i + CLOUDFLARE_TAGS_PER_REQUEST);
+    const resp = await axios.post(
+      `${CLOUDFLARE_API_BASE}/zones/${zoneId}/purge_cache`,
+      { tags: chunk },
+      { headers: { Authorization: `Bearer ${token}` }, timeout: 15000 }
+    );
+    if (!resp.data || resp.data.success !== true) {
+      throw new Error(`Cloudflare rechazó la purga: ${JSON.stringify(resp.data && resp.data.errors)}`);
+    }
+  }
+  logger.info(`Cloudflare purgado: ${uniqueTags.join(',')}`);
+  return { purged: uniqueTags, skipped: false };
+}
+
+// Invalida las fichas de los productos indicados y los listados. Nunca lanza.
+async function purgeProductCache(productIds) {
+  const ids = [...new Set(productIds)];
+  if (ids.length === 0) return;
+  try {
+    await purgeCloudflareTags(['products-list', ...ids.map(id => `product-${id}`)]);
+  } catch (err) {
+    logger.error('Error purgando Cloudflare', { err });
+  }
+}
+
+// ===== AUTENTICACIÓN Y ROLES =====
+// Credenciales aceptadas: API key (X-API-Key o Authorization: Bearer <clave>) o un
+// JWT HS256 firmado con JWT_SECRET y con claim "role". ADMIN_API_KEY es una clave
+// admin de arranque para poder emitir las primeras claves.
+const ROLE_LEVELS = { public: 0, staff: 1, admin: 2 };
+const API_KEY_PREFIX = 'bks_';
+
+// Solo claves propias: 'constructor' o 'toString' no son roles
+function isKnownRole(role) {
+  return typeof role === 'string' && Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function verifyJwt(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3 || !secret) return null;
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  const header = parseJSONSafe(Buffer.from(encodedHeader, 'base64url').toString('utf8'), null);
+  if (!header || header.alg !== 'HS256') return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  if (!safeEqual(expected, signature)) return null;
+
+  const payload = parseJSONSafe(Buffer.from(encodedPayload, 'base64url').toString('utf8'), null);
+  if (!payload || typeof payload !== 'object') return null;
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && Number(payload.exp) <= now) return null;
+  if (payload.nbf !== undefined && Number(payload.nbf) > now) return null;
+  return payload;
+}
+
+function extractCredential(req) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return apiKey.trim();
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Devuelve { role, subject, method } o null si la credencial no es válida.
+async function authenticate(credential) {
+  if (credential.split('.').length === 3) {
+    const claims = verifyJwt(credential, process.env.JWT_SECRET);
+    if (!claims || !isKnownRole(claims.role)) return null;
+    return { role: claims.role, subject: claims.sub || null, method: 'jwt' };
+  }
+
+  if (process.env.ADMIN_API_KEY && safeEqual(hashApiKey(credential), hashApiKey(process.env.ADMIN_API_KEY))) {
+    return { role: 'admin', subject: 'bootstrap', method: 'api_key' };
+  }
+
+  const { rows } = await db.query(
+    'SELECT id, name, role FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hashApiKey(credential)]
+  );
+  if (rows.length === 0) return null;
+
+  db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [rows[0].id])
+    .catch(err => logger.warn('No se pudo actualizar last_used_at de la API key', { err }));
+  return { role: rows[0].role, subject: rows[0].name, keyId: rows[0].id, method: 'api_key' };
+}
+
+function requireRole(role) {
+  return async (req, res, next) => {
+    const credential = extractCredential(req);
+    if (!credential) {
+      return res.status(401).json({ error: 'Autenticação necessária' });
+    }
+
+    try {
+      const auth = await authenticate(credential);
+      if (!auth) {
+        logger.warn(`Credencial inválida en ${req.method} ${req.path}`);
+        return res.status(401).json({ error: 'Credenciais inválidas' });
+      }
+      if (ROLE_LEVELS[auth.role] < ROLE_LEVELS[role]) {
+        logger.warn(`${auth.subject || auth.method} (${auth.role}) sin permiso para ${req.method} ${req.path}`);
+        return res.status(403).json({ error: 'Permissões insuficientes' });
+      }
+      req.auth = auth;
+      next();
+    } catch (error) {
+      logger.error('Error verificando credenciales', { err: error });
+      res.status(500).json({ error: 'Error interno del servidor', message: error.message });
+    }
+  };
+}
+
+// ===== OPENAPI Y VALIDACIÓN =====
+// El documento usa límites que se declaran más abajo (sorts, tamaños de página...), así que
+// se construye al primer uso; start() lo prepara antes de escuchar para fallar al arrancar
+// si alguna ruta cita un operationId que no existe.
+let apiSpec = null;
+const validatedOperations = [];
+
+function getApiSpec() {
+  if (!apiSpec) {
+    const document = buildOpenApiDocument({
+      productSorts: Object.keys(PRODUCT_SORTS),
+      productsMaxLimit: PRODUCTS_MAX_LIMIT,
+      historyTypes: HISTORY_TYPES,
+      historyMaxLimit: HISTORY_MAX_LIMIT,
+      maxQuoteItems: MAX_QUOTE_ITEMS,
+      maxNotesLength: MAX_BOOKING_NOTES_LENGTH
+    });
+    const validator = createValidator(document);
+    const middlewares = new Map(validatedOperations.map(id => [id, validator.validateRequest(id)]));
+    apiSpec = { document, validator, middlewares };
+  }
+  return apiSpec;
+}
+
+// Valida path, query y body contra la operación del documento y deja los valores en req.validated
+function validate(operationId) {
+  validatedOperations.push(operationId);
+  return (req, res, next) => getApiSpec().middlewares.get(operationId)(req, res, next);
+}
+
+// Los productos salientes se comprueban contra el esquema Product. Una discrepancia se
+// registra y se cuenta en response_validation_errors_total, pero la respuesta se envía.
+function checkProductPayloads(products) {
+  const { validator } = getApiSpec();
+  products.forEach(product => {
+    const errors = validator.validateSchema('Product', product);
+    if (errors.length > 0) {
+      metrics.responseValidationErrors.inc({ schema: 'Product' });
+      logger.warn(`Producto ${product.woocommerce_id} no cumple el esquema Product`, { errors: errors.slice(0, 10) });
+    }
+  });
+}
+
+app.get('/openapi.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getApiSpec().document);
+});
+
+// Swagger UI desde CDN: la página solo carga /openapi.json
+app.get('/docs', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="pt">
+<head>
+  <meta charset="utf-8">
+  <title>Bikesul backend · API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>`);
+});
+
+// ===== RUTA HEALTH =====
+app.get('/health', (req, res) => {
+  logger.debug('Health check solicitado');
+
+  // Headers CORS explícitos para health check
+  res.set({
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'X-Health-Check': 'true'
+  });
+
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    message: 'Backend Render está operacional'
+  });
+});
+
+// ===== MÉTRICAS PROMETHEUS =====
+app.get('/metrics', requireRole('staff'), validate('getMetrics'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  });
+  res.send(metrics.render());
+});
+
+// ===== RUTA STATUS (ALIAS DE HEALTH) =====
+app.get('/status', (req, res) => {
+  logger.debug('Status check solicitado');
+
+  res.set({
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'X-Status-Check': 'true'
+  });
+
+  res.json({
+    status: 'ok',
+    health: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    message: 'Backend Render está operacional'
+  });
+});
+
+// ===== LIVENESS Y READINESS =====
+// /live solo dice que el proceso responde. /ready comprueba las dependencias y
+// devuelve 503 con el detalle por check si alguna falla.
+const READY_MAX_SYNC_AGE_MINUTES = parseInt(process.env.READY_MAX_SYNC_AGE_MINUTES || '1440', 10);
+const READY_CHECK_WOOCOMMERCE = process.env.READY_CHECK_WOOCOMMERCE === 'true';
+const READY_CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS || '3000', 10);
+const READY_WOO_CACHE_MS = 30000;
+
+let lastWooCheck = null;
+
+// Ejecuta un check con límite de tiempo. Devuelve { status, duration_ms, ...detalle }.
+async function runReadinessCheck(check) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timeout (${READY_CHECK_TIMEOUT_MS} ms)`)), READY_CHECK_TIMEOUT_MS);
+    });
+    const result = await Promise.race([check(), timeout]);
+    return { status: 'ok', ...result, duration_ms: Date.now() - startedAt };
+  } catch (err) {
+    return { status: 'fail', ...(err.details || {}), error: err.message, duration_ms: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function readinessFailure(message, details) {
+  const err = new Error(message);
+  err.details = details;
+  return err;
+}
+
+async function checkDatabase() {
+  await db.query('SELECT 1');
+  return { pool: { total: db.totalCount, idle: db.idleCount, waiting: db.waitingCount } };
+}
+
+async function checkSchema() {
+  const status = await migrationStatus(db);
+  const details = { pending: status.pending, changed: status.changed, missing: status.missing };
+  if (status.pending.length > 0) {
+    throw readinessFailure(`Migraciones pendientes: ${status.pending.join(', ')}`, details);
+  }
+  if (status.missing.length > 0) {
+    throw readinessFailure(`Faltan tablas o columnas: ${status.missing.join(', ')}`, details);
+  }
+  return details;
+}
+
+// Cuenta como sincronizada la última ejecución completada (COMPLETED_SYNC_STATUSES)
+async function checkSyncAge() {
+  const row = await findLastCompletedSyncRun();
+  const details = { last_success_at: row ? row.finished_at : null, max_age_minutes: READY_MAX_SYNC_AGE_MINUTES };
+  if (!row) {
+    throw readinessFailure('Nenhuma sincronização concluída', details);
+  }
+  details.age_minutes = Math.floor((Date.now() - new Date(row.finished_at).getTime()) / 60000);
+  if (details.age_minutes > READY_MAX_SYNC_AGE_MINUTES) {
+    throw readinessFailure(`Última sincronização há ${details.age_minutes} minutos`, details);
+  }
+  return details;
+}
+
+// Pide un producto para validar también las credenciales. Se cachea unos segundos para
+// que las sondas frecuentes no se conviertan en tráfico contra la tienda.
+async function checkWooCommerce() {
+  if (lastWooCheck && Date.now() - lastWooCheck.at < READY_WOO_CACHE_MS) {
+    if (lastWooCheck.error) throw readinessFailure(lastWooCheck.error, { cached: true });
+    return { ...lastWooCheck.details, cached: true };
+  }
+  try {
+    // Sin reintentos: la sonda debe responder dentro de su propio timeout
+    const resp = await woo.get('/products', { params: { per_page: 1 }, timeout: READY_CHECK_TIMEOUT_MS, retries: 0 });
+    lastWooCheck = { at: Date.now(), details: { http_status: resp.status } };
+    return lastWooCheck.details;
+  } catch (err) {
+    const message = err.response ? `WooCommerce respondeu ${err.response.status}` : err.message;
+    lastWooCheck = { at: Date.now(), error: message };
+    throw readinessFailure(message, { http_status: err.response ? err.response.status : null });
+  }
+}
+
+app.get('/live', (req, res) => {
+  res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+async function runReadinessChecks() {
+  const [database, schema, sync, woocommerce] = await Promise.all([
+    runReadinessCheck(checkDatabase),
+    runReadinessCheck(checkSchema),
+    runReadinessCheck(checkSyncAge),
+    READY_CHECK_WOOCOMMERCE ? runReadinessCheck(checkWooCommerce) : Promise.resolve({ status: 'skipped' })
+  ]);
+  const checks = { database, schema, sync, woocommerce };
+  const ready = Object.values(checks).every(check => check.status !== 'fail');
+
+  if (!ready) {
+    const failed = Object.keys(checks).filter(name => checks[name].status === 'fail');
+    logger.warn(`Readiness degradada: ${failed.join(', ')}`, { checks });
+  }
+  return { ready, checks };
+}
+
+// La sonda es anónima: solo el estado de cada check. El detalle (pool, migraciones, errores) es para staff.
+app.get('/ready', async (req, res) => {
+  res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+  const { ready, checks } = await runReadinessChecks();
+  const statuses = Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { status: check.status }]));
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'degraded',
+    timestamp: new Date().toISOString(),
+    checks: statuses
+  });
+});
+
+app.get('/ready/details', requireRole('staff'), validate('getReadyDetails'), async (req, res) => {
+  res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+  const { ready, checks } = await runReadinessChecks();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'degraded',
+    timestamp: new Date().toISOString(),
+    checks
+  });
+});
+
+// ===== FILTROS DEL CATÁLOGO =====
+const PRODUCTS_DEFAULT_LIMIT = 24;
+const PRODUCTS_MAX_LIMIT = 100;
+const EBIKE_CATEGORY_SLUGS = (process.env.EBIKE_CATEGORY_SLUGS || 'bicicletas-eletricas,e-bikes,ebikes,e-bike')
+  .split(',').map(slug => slug.trim()).filter(Boolean);
+
+const PRODUCT_SEARCH_EXPRESSION = `(COALESCE(name, '') || ' ' || COALESCE(sku, '') || ' ' || COALESCE(short_description, '') || ' ' || COALESCE(description, ''))`;
+const TRANSLATION_SEARCH_EXPRESSION = `(COALESCE(tr_name, '') || ' ' || COALESCE(tr_short_description, '') || ' ' || COALESCE(tr_description, ''))`;
+// Unidades de la flota retenidas por producto y, dentro de él, por variación ({ <variation_id>: unidades })
+const FLEET_HOLD_JOIN = `LEFT JOIN (
+      SELECT product_id AS hold_product_id, SUM(units)::int AS held_units,
+             jsonb_object_agg(variation_id, units) FILTER (WHERE variation_id IS NOT NULL) AS held_variations
+      FROM (
+        SELECT product_id, variation_id, COUNT(*)::int AS units FROM fleet_units
+        WHERE status = ANY('{${FLEET_HOLD_STATUSES.join(',')}}'::text[])
+        GROUP BY product_id, variation_id
+      ) held
+      GROUP BY product_id
+    ) fh ON fh.hold_product_id = products.woocommerce_id`;
+// Stock que se ofrece: el de WooCommerce menos las unidades retenidas
+const PUBLIC_STOCK_EXPRESSION = 'GREATEST(stock_quantity - COALESCE(held_units, 0), 0)';
+
+const PRODUCT_SORTS = {
+  name: 'COALESCE(tr_name, name) ASC, woocommerce_id ASC',
+  '-name': 'COALESCE(tr_name, name) DESC, woocommerce_id DESC',
+  price: 'COALESCE(precio_1_2, price) ASC NULLS LAST, woocommerce_id ASC',
+  '-price': 'COALESCE(precio_1_2, price) DESC NULLS LAST, woocommerce_id DESC',
+  stock: `${PUBLIC_STOCK_EXPRESSION} ASC, woocommerce_id ASC`,
+  '-stock': `${PUBLIC_STOCK_EXPRESSION} DESC, woocommerce_id DESC`
+};
+
+function parseBooleanParam(value) {
+  if (value === undefined || value === '') return undefined;
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  return null;
+}
+
+// Valida los parámetros de GET /products. Devuelve { filters } o { error } en el idioma pedido.
+function parseProductListQuery(query, lang = DEFAULT_LANGUAGE) {
+  const filters = { sort: query.sort || 'name', lang };
+
+  if (!PRODUCT_SORTS[filters.sort]) {
+    return { error: translate(lang, 'invalid_sort', { values: Object.keys(PRODUCT_SORTS).join(', ') }) };
+  }
+
+  // La paginación es opcional: sin page/limit se mantiene la respuesta histórica (array completo)
+  filters.paginate = query.page !== undefined || query.limit !== undefined;
+  filters.page = query.page !== undefined ? Number(query.page) : 1;
+  filters.limit = query.limit !== undefined ? Number(query.limit) : PRODUCTS_DEFAULT_LIMIT;
+  if (!Number.isInteger(filters.page) || filters.page < 1) {
+    return { error: translate(lang, 'invalid_page') };
+  }
+  if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > PRODUCTS_MAX_LIMIT) {
+    return { error: translate(lang, 'invalid_limit', { max: PRODUCTS_MAX_LIMIT }) };
+  }
+
+  for (const key of ['min_price', 'max_price']) {
+    if (query[key] !== undefined && query[key] !== '') {
+      const value = Number(query[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: translate(lang, 'invalid_param', { param: key }) };
+      }
+      filters[key] = value;
+    }
+  }
+
+  for (const key of ['in_stock', 'ebike']) {
+    const value = parseBooleanParam(query[key]);
+    if (value === null) {
+      return { error: translate(lang, 'invalid_boolean', { param: key }) };
+    }
+    if (value !== undefined) filters[key] = value;
+  }
+
+  if (query.q) filters.q = String(query.q).trim().slice(0, 100);
+  if (query.category) filters.category = String(query.category);
+  if (query.size) filters.size = String(query.size).trim();
+
+  return { filters };
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// LEFT JOIN con la traducción del idioma pedido. Las columnas van con prefijo tr_ para
+// no chocar con las de products y quedan a NULL si no hay traducción (o si es PT).
+function productTranslationJoin(langParam) {
+  return `LEFT JOIN (
+      SELECT product_id AS tr_product_id, lang AS tr_lang, name AS tr_name,
+             short_description AS tr_short_description, description AS tr_description, updated_at AS tr_updated_at
+      FROM product_translations WHERE lang = ${langParam}
+    ) tr ON tr.tr_product_id = products.woocommerce_id`;
+}
+
+// Construye FROM/WHERE/ORDER BY parametrizados sobre la tabla products, su traducción y las unidades retenidas.
+function buildProductListQuery(filters) {
+  const params = [];
+  const where = [
+    `categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'`,
+    `status = 'publish'`,
+    'archived_at IS NULL'
+  ];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.category) {
+    where.push(`categories::jsonb @> jsonb_build_array(jsonb_build_object('slug', ${param(filters.category)}::text))`);
+  }
+  if (filters.q) {
+    const pattern = param(`%${escapeLike(filters.q)}%`);
+    where.push(`(${PRODUCT_SEARCH_EXPRESSION} ILIKE ${pattern} OR ${TRANSLATION_SEARCH_EXPRESSION} ILIKE ${pattern})`);
+  }
+  if (filters.min_price !== undefined) {
+    where.push(`COALESCE(precio_1_2, price) >= ${param(filters.min_price)}`);
+  }
+  if (filters.max_price !== undefined) {
+    where.push(`COALESCE(precio_1_2, price) <= ${param(filters.max_price)}`);
+  }
+  if (filters.in_stock) {
+    where.push(`${PUBLIC_STOCK_EXPRESSION} > 0 AND stock_status <> 'outofstock'`);
+  }
+  if (filters.ebike !== undefined) {
+    const ebikeMatch = `EXISTS (
+      SELECT 1 FROM jsonb_array_elements(categories::jsonb) c
+      WHERE c->>'slug' = ANY(${param(EBIKE_CATEGORY_SLUGS)}::text[])
+    )`;
+    where.push(filters.ebike ? ebikeMatch : `NOT ${ebikeMatch}`);
+  }
+  if (filters.size) {
+    where.push(`EXISTS (
+      SELECT 1 FROM product_variations pv
+      WHERE upper(pv.size) = upper(${param(filters.size)})
+      AND pv.product_id = products.woocommerce_id
+    )`);
+  }
+
+  return {
+    from: `products ${productTranslationJoin(param(filters.lang || DEFAULT_LANGUAGE))} ${FLEET_HOLD_JOIN}`,
+    where: where.join('\n        AND '),
+    orderBy: PRODUCT_SORTS[filters.sort],
+    params
+  };
+}
+
+// ===== SNAPSHOT DEL CATÁLOGO =====
+// Si Postgres falla, /products y /products/:id responden con la última copia buena del catálogo
+// (snapshot.js), marcada con X-Data-Source: snapshot y su antigüedad. La copia se rehace tras cada
+// sincronización y, después de una lectura correcta, si tiene más de CATALOG_SNAPSHOT_REFRESH_MINUTES.
+const CATALOG_SNAPSHOT_REFRESH_MINUTES = parseInt(process.env.CATALOG_SNAPSHOT_REFRESH_MINUTES || '5', 10);
+let snapshotRefresh = null;
+
+// Lee el catálogo completo de cada idioma y lo guarda. Nunca lanza; una sola ejecución a la vez.
+function refreshCatalogSnapshot() {
+  if (snapshotRefresh) return snapshotRefresh;
+  snapshotRefresh = (async () => {
+    const catalogs = {};
+    for (const lang of SUPPORTED_LANGUAGES) {
+      const { from, where, orderBy, params } = buildProductListQuery({ sort: 'name', lang });
+      const { rows } = await db.query(`SELECT * FROM ${from} WHERE ${where} ORDER BY ${orderBy}`, params);
+      catalogs[lang] = rows.map(processProductForResponse);
+    }
+    const { rows: sizeRows } = await db.query(
+      `SELECT product_id, array_agg(DISTINCT upper(size)) AS sizes FROM product_variations
+       WHERE size IS NOT NULL GROUP BY product_id`
+    );
+    await catalogSnapshot.save({ catalogs, sizes: Object.fromEntries(sizeRows.map(row => [row.product_id, row.sizes])) });
+    logger.debug(`Snapshot del catálogo actualizado (${catalogs[DEFAULT_LANGUAGE].length} productos)`);
+  })()
+    .catch(err => logger.warn('No se pudo actualizar el snapshot del catálogo', { err }))
+    .finally(() => { snapshotRefresh = null; });
+  return snapshotRefresh;
+}
+
+function refreshCatalogSnapshotIfStale() {
+  const age = catalogSnapshot.ageSeconds();
+  if (age === null || age >= CATALOG_SNAPSHOT_REFRESH_MINUTES * 60) refreshCatalogSnapshot();
+}
+
+function setSnapshotHeaders(res, snapshot, route) {
+  metrics.catalogSnapshotResponses.inc({ route });
+  res.set({
+    'X-Data-Source': 'snapshot',
+    'X-Snapshot-Age': String(snapshot.ageSeconds),
+    'X-Snapshot-Taken-At': snapshot.takenAt,
+    // Poco tiempo en caché: cuando vuelva la base de datos se deben servir datos frescos
+    'Cache-Control': 'public, max-age=30, s-maxage=60'
+  });
+}
+
+// Respuesta de GET /products (array, o página con metadata si se pidió paginación)
+function sendProductList(req, res, filters, products, total, lastModified) {
+  checkProductPayloads(products);
+  res.set('X-Total-Count', String(total));
+
+  if (!filters.paginate) {
+    return sendCacheable(req, res, products, lastModified);
+  }
+
+  const totalPages = Math.ceil(total / filters.limit);
+  sendCacheable(req, res, {
+    products,
+    pagination: {
+      page: filters.page,
+      limit: filters.limit,
+      total,
+      total_pages: totalPages,
+      has_next: filters.page < totalPages
+    },
+    sort: filters.sort
+  }, lastModified);
+}
+
+// ===== RUTA GET PRODUCTS =====
+app.get('/products', validate('listProducts'), async (req, res) => {
+  logger.debug('Solicitando productos desde la base de datos...');
+
+  const lang = resolveLanguage(req);
+  res.set('Content-Language', lang).vary('Accept-Language');
+
+  const { filters, error: queryError } = parseProductListQuery(req.validated.query, lang);
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
+  try {
+    // Headers para cache en Cloudflare (ETag y Last-Modified se calculan con los datos)
+    res.set({
+      'Cache-Control': 'public, max-age=300, s-maxage=600', // 5min browser, 10min CDN
+      'X-Cache-Strategy': 'cloudflare-cache',
+      ...cacheTagHeaders('products-list,products,alugueres,bikesul')
+    });
+
+    const { from, where, orderBy, params } = buildProductListQuery(filters);
+    logger.debug(`Filtros de catálogo: ${JSON.stringify(filters)}`);
+
+    let query = `
+        SELECT *, COUNT(*) OVER() AS total_count FROM ${from}
+        WHERE ${where}
+        ORDER BY ${orderBy}
+      `;
+    if (filters.paginate) {
+      query += ` LIMIT ${filters.limit} OFFSET ${(filters.page - 1) * filters.limit}`;
+    }
+
+    const { rows } = await db.query(query, params);
+    let total = rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0;
+    if (rows.length === 0 && filters.paginate && filters.page > 1) {
+      // Página fuera de rango: el total sigue haciendo falta para la metadata
+      const { rows: [countRow] } = await db.query(`SELECT COUNT(*) AS total FROM ${from} WHERE ${where}`, params);
+      total = parseInt(countRow.total, 10);
+    }
+    logger.debug(`${rows.length} productos encontrados en la base de datos (total: ${total})`);
+
+    // Incluye archivados: que un producto salga del listado también lo modifica
+    const { rows: [{ last_modified: lastModified }] } = await db.query(
+      `SELECT GREATEST(
+         (SELECT MAX(updated_at) FROM products),
+         (SELECT MAX(updated_at) FROM product_translations WHERE lang = $1)
+       ) AS last_modified`,
+      [lang]
+    );
+
+    res.set('X-Data-Source', 'database');
+    sendProductList(req, res, filters, rows.map(processProductForResponse), total, lastModified);
+    refreshCatalogSnapshotIfStale();
+  } catch (error) {
+    const snapshot = catalogSnapshot.read(lang);
+    if (snapshot) {
+      logger.warn(`Catálogo servido desde el snapshot (${snapshot.ageSeconds} s)`, { err: error });
+      const matching = sortSnapshotProducts(
+        filterSnapshotProducts(snapshot.products, snapshot.sizes, filters, { ebikeSlugs: EBIKE_CATEGORY_SLUGS }),
+        filters.sort
+      );
+      const page = filters.paginate ? matching.slice((filters.page - 1) * filters.limit, filters.page * filters.limit) : matching;
+      setSnapshotHeaders(res, snapshot, '/products');
+      return sendProductList(req, res, filters, page, matching.length, snapshot.takenAt);
+    }
+    logger.error('Error obteniendo productos', { err: error });
+    res.status(500).json({
+      error: translate(lang, 'internal_error'),
+      message: error.message
+    });
+  }
+});
+
+// ===== RUTA GET PRODUCT BY ID =====
+app.get('/products/:id', validate('getProduct'), async (req, res) => {
+  logger.debug(`Solicitando producto con ID: ${req.params.id}`);
+  const lang = resolveLanguage(req);
+  res.set('Content-Language', lang).vary('Accept-Language');
+
+  // El id ya viene validado como entero. ?date=YYYY-MM-DD añade el precio efectivo
+  // de ese día según las reglas de temporada.
+  const productId = req.validated.params.id;
+  const date = req.validated.query.date || null;
+
+  try {
+    const { rows } = await db.query(
+      `SELECT * FROM products ${productTranslationJoin('$2')} ${FLEET_HOLD_JOIN}
+       WHERE woocommerce_id = $1 AND archived_at IS NULL`,
+      [productId, lang]
+    );
+
+    if (rows.length === 0) {
+      logger.debug(`Producto ${productId} no encontrado`);
+      return res.status(404).json({ error: translate(lang, 'product_not_found') });
+    }
+
+    const responseProduct = processProductForResponse(rows[0]);
+    logger.debug(`Producto ${productId} encontrado: ${responseProduct.name}`);
+
+    let rules = [];
+    if (date) {
+      rules = await loadPricingRules(db, date, date);
+      responseProduct.effective_pricing = effectivePricing(rows[0], rules, date);
+    }
+    checkProductPayloads([responseProduct]);
+
+    // Headers para cache individualizado; el tag usa siempre el id de WooCommerce, que es el que se purga
+    res.set({
+      'Cache-Control': 'public, max-age=600, s-maxage=1200', // 10min browser, 20min CDN
+      ...cacheTagHeaders(`product-${rows[0].woocommerce_id},products,alugueres`)
+    });
+
+    const lastModified = [rows[0].tr_updated_at, ...rules.map(rule => rule.updated_at)]
+      .reduce((max, value) => (value && value > max ? value : max), rows[0].updated_at);
+    res.set('X-Data-Source', 'database');
+    sendCacheable(req, res, responseProduct, lastModified);
+    refreshCatalogSnapshotIfStale();
+  } catch (error) {
+    // Desde el snapshot no hay effective_pricing: las reglas de temporada están en la base de datos
+    const snapshot = catalogSnapshot.read(lang);
+    if (snapshot) {
+      logger.warn(`Producto ${productId} servido desde el snapshot (${snapshot.ageSeconds} s)`, { err: error });
+      setSnapshotHeaders(res, snapshot, '/products/:id');
+      const product = snapshot.products.find(item => item.woocommerce_id === productId);
+      if (!product) {
+        return res.status(404).json({ error: translate(lang, 'product_not_found') });
+      }
+      res.set(cacheTagHeaders(`product-${productId},products,alugueres`));
+      return sendCacheable(req, res, product, snapshot.takenAt);
+    }
+    logger.error(`Error obteniendo producto ${req.params.id}`, { err: error });
+    res.status(500).json({
+      error: translate(lang, 'internal_error'),
+      message: error.message
+    });
+  }
+});
+
+// ===== RUTAS DE VARIACIONES =====
+const VARIATION_HOLD_JOIN = `LEFT JOIN (
+      SELECT variation_id AS hold_variation_id, COUNT(*)::int AS held_units FROM fleet_units
+      WHERE variation_id IS NOT NULL AND status = ANY('{${FLEET_HOLD_STATUSES.join(',')}}'::text[])
+      GROUP BY variation_id
+    ) fh ON fh.hold_variation_id = v.woocommerce_id`;
+
+// held_units: unidades de la flota retenidas (VARIATION_HOLD_JOIN)
+function formatVariation(row) {
+  const stock = row.stock_quantity !== null && row.stock_quantity !== undefined ? netStock(row.stock_quantity, row.held_units) : null;
+  return {
+    id: row.woocommerce_id,
+    product_id: row.product_id,
+    sku: row.sku || '',
+    price: row.price !== null ? parseFloat(row.price) : null,
+    regular_price: row.regular_price !== null ? parseFloat(row.regular_price) : null,
+    stock_quantity: stock,
+    stock_status: row.stock_status || null,
+    in_stock: row.stock_status !== 'outofstock' && (stock === null || stock > 0),
+    size: row.size,
+    color: row.color,
+    attributes: parseJSONSafe(row.attributes, {})
+  };
+}
+
+app.get('/products/:id/variations', validate('listProductVariations'), async (req, res) => {
+  const lang = resolveLanguage(req);
+  const productId = req.validated.params.id;
+
+  try {
+    const { rows: products } = await db.query(
+      `SELECT woocommerce_id, name, updated_at FROM products
+       WHERE woocommerce_id = $1 AND status = 'publish' AND archived_at IS NULL`,
+      [productId]
+    );
+    if (products.length === 0) {
+      return res.status(404).json({ error: translate(lang, 'product_not_found') });
+    }
+
+    const { rows } = await db.query(
+      `SELECT v.*, fh.held_units FROM product_variations v ${VARIATION_HOLD_JOIN}
+       WHERE v.product_id = $1 ORDER BY v.menu_order ASC, v.woocommerce_id ASC`,
+      [productId]
+    );
+    const variations = rows.map(formatVariation);
+
+    // Valores distintos por atributo normalizado, en el orden de las variaciones (para los selectores)
+    const attributes = {};
+    variations.forEach(variation => {
+      Object.entries(variation.attributes).forEach(([key, value]) => {
+        attributes[key] = attributes[key] || [];
+        if (!attributes[key].includes(value)) attributes[key].push(value);
+      });
+    });
+
+    res.set({
+      'Cache-Control': 'public, max-age=600, s-maxage=1200',
+      ...cacheTagHeaders(`product-${productId},products,alugueres`)
+    });
+    const lastModified = rows.reduce((max, row) => (row.updated_at > max ? row.updated_at : max), products[0].updated_at);
+    sendCacheable(req, res, {
+      product_id: productId,
+      name: products[0].name || '',
+      attributes,
+      variations
+    }, lastModified);
+  } catch (error) {
+    logger.error(`Error obteniendo variaciones del producto ${productId}`, { err: error });
+    res.status(500).json({
+      error: translate(lang, 'internal_error'),
+      message: error.message
+    });
+  }
+});
+
+app.get('/variations/:id', validate('getVariation'), async (req, res) => {
+  const lang = resolveLanguage(req);
+  const variationId = req.validated.params.id;
+
+  try {
+    const { rows } = await db.query(
+      `SELECT v.*, fh.held_units FROM product_variations v
+       JOIN products p ON p.woocommerce_id = v.product_id
+       ${VARIATION_HOLD_JOIN}
+       WHERE v.woocommerce_id = $1 AND p.status = 'publish' AND p.archived_at IS NULL`,
+      [variationId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: translate(lang, 'variation_not_found') });
+    }
+
+    res.set({
+      'Cache-Control': 'public, max-age=600, s-maxage=1200',
+      ...cacheTagHeaders(`product-${rows[0].product_id},products,alugueres`)
+    });
+    sendCacheable(req, res, formatVariation(rows[0]), rows[0].updated_at);
+  } catch (error) {
+    logger.error(`Error obteniendo variación ${variationId}`, { err: error });
+    res.status(500).json({
+      error: translate(lang, 'internal_error'),
+      message: error.message
+    });
+  }
+});
+
+// ===== RUTA EXTRAS DE UN PRODUCTO =====
+function formatExtra(row, days) {
+  const price = parseFloat(row.price) || 0;
+  const stock = row.stock_quantity !== null && row.stock_quantity !== undefined ? Number(row.stock_quantity) : null;
+  const extra = {
+    id: row.woocommerce_id,
+    name: row.name || '',
+    sku: row.sku || '',
+    pricing_type: row.pricing_type,
+    price,
+    stock_quantity: stock,
+    in_stock: row.stock_status !== 'outofstock' && (stock === null || stock > 0),
+    image: Array.isArray(row.images) && row.images.length > 0 ? (row.images[0].src || '/placeholder.svg') : '/placeholder.svg',
+    short_description: row.short_description || ''
+  };
+  if (days) {
+    extra.days = days;
+    extra.unit_total = roundMoney(extraUnitTotal(row, days));
+  }
+  return extra;
+}
+
+// Extras compatibles con el producto. Con ?from&to se añade el precio por unidad para ese alquiler.
+app.get('/products/:id/extras', validate('listProductExtras'), async (req, res) => {
+  const lang = resolveLanguage(req);
+  const productId = req.validated.params.id;
+  const { from, to } = req.validated.query;
+
+  let range = null;
+  if (from !== undefined || to !== undefined) {
+    range = parseRentalRange(from, to);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+  }
+
+  try {
+    const { rows: products } = await db.query(
+      `SELECT woocommerce_id, name, categories, updated_at FROM products
+       WHERE woocommerce_id = $1 AND status = 'publish' AND archived_at IS NULL`,
+      [productId]
+    );
+    if (products.length === 0) {
+      return res.status(404).json({ error: translate(lang, 'product_not_found') });
+    }
+    const product = { ...products[0], categories: parseJSONSafe(products[0].categories, []) };
+
+    const { rows } = await db.query(
+      `SELECT * FROM extras WHERE status = 'publish' AND archived_at IS NULL ORDER BY name ASC, woocommerce_id ASC`
+    );
+    const extras = rows
+      .filter(row => isExtraCompatible(row, product))
+      .map(row => formatExtra(row, range ? range.days : null));
+
+    res.set({
+      'Cache-Control': 'public, max-age=600, s-maxage=1200',
+      ...cacheTagHeaders(`product-${productId},${EXTRAS_CACHE_TAG},products`)
+    });
+    // Incluye los extras no compatibles: un cambio de reglas puede sacar uno de la lista
+    const lastModified = rows.reduce((max, row) => (row.updated_at > max ? row.updated_at : max), product.updated_at);
+    sendCacheable(req, res, {
+      product_id: productId,
+      name: product.name || '',
+      ...(range ? { from: range.from, to: range.to, days: range.days } : {}),
+      extras
+    }, lastModified);
+  } catch (error) {
+    logger.error(`Error obteniendo extras del producto ${productId}`, { err: error });
+    res.status(500).json({
+      error: translate(lang, 'internal_error'),
+      message: error.message
+    });
+  }
+});
+
+// ===== RUTAS DE TOURS =====
+const TOUR_DEPARTURES_DEFAULT_DAYS = 365;
+
+// Rango de salidas de ?from&to: por defecto desde hoy y un año
+function parseTourRange(query) {
+  const from = query.from || new Date().toISOString().slice(0, 10);
+  const to = query.to || addDays(from, TOUR_DEPARTURES_DEFAULT_DAYS);
+  if (to < from) {
+    throw httpError(400, "A data 'to' deve ser igual ou posterior a 'from'");
+  }
+  return { from, to };
+}
+
+// Salidas programadas de los tours en el rango, por tour. Plazas ocupadas = reservas activas de la salida
+// (las crea POST /tours/:id/bookings).
+async function loadTourDepartures(tourIds, { from, to }) {
+  const { rows } = await db.query(
+    `SELECT d.id, d.tour_id, to_char(d.departure_date, 'YYYY-MM-DD') AS date, d.departure_time, d.capacity,
+            COALESCE(SUM(r.quantity), 0)::int AS booked
+     FROM tour_departures d
+     LEFT JOIN reservations r ON r.tour_departure_id = d.id AND r.status <> 'cancelled'
+     WHERE d.tour_id = ANY($1::int[]) AND d.status = 'scheduled'
+     AND d.departure_date BETWEEN $2::date AND $3::date
+     GROUP BY d.id
+     ORDER BY d.departure_date ASC, d.departure_time ASC`,
+    [tourIds, from, to]
+  );
+
+  const departures = new Map();
+  rows.forEach(row => {
+    const remaining = Math.max(0, row.capacity - row.booked);
+    if (!departures.has(row.tour_id)) departures.set(row.tour_id, []);
+    departures.get(row.tour_id).push({
+      id: row.id,
+      date: row.date,
+      time: row.departure_time || null,
+      capacity: row.capacity,
+      booked: row.booked,
+      remaining,
+      available: remaining > 0
+    });
+  });
+  return departures;
+}
+
+function formatTour(row, departures, { detail = false } = {}) {
+  const images = Array.isArray(row.images) ? row.images : [];
+  const next = departures.find(departure => departure.available) || null;
+  return {
+    id: row.woocommerce_id,
+    name: row.name || '',
+    sku: row.sku || '',
+    image: images.length > 0 ? (images[0].src || '/placeholder.svg') : '/placeholder.svg',
+    images,
+    short_description: row.short_description || '',
+    ...(detail ? { description: row.description || '' } : {}),
+    duration_minutes: row.duration_minutes,
+    meeting_point: row.meeting_point || null,
+    capacity: row.capacity,
+    price_per_person: parseFloat(row.price_per_person) || 0,
+    child_price: row.child_price !== null ? parseFloat(row.child_price) : null,
+    currency: CURRENCY,
+    next_departure: next ? { id: next.id, date: next.date, time: next.time, remaining: next.remaining } : null
+  };
+}
+
+function sendTourError(res, error, logMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(logMessage, { err: error });
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    message: error.message
+  });
+}
+
+// Tours publicados con su próxima salida con plazas. Con ?from&to solo los que tienen
+// alguna salida con plazas en ese rango.
+app.get('/tours', validate('listTours'), async (req, res) => {
+  const { query } = req.validated;
+  try {
+    const range = parseTourRange(query);
+    const { rows } = await db.query(
+      `SELECT * FROM tours WHERE status = 'publish' AND archived_at IS NULL ORDER BY name ASC, woocommerce_id ASC`
+    );
+    const departures = await loadTourDepartures(rows.map(row => row.woocommerce_id), range);
+    const tours = rows
+      .map(row => formatTour(row, departures.get(row.woocommerce_id) || []))
+      .filter(tour => (query.from === undefined && query.to === undefined) || tour.next_departure !== null);
+
+    res.set({
+      'Cache-Control': 'public, max-age=60, s-maxage=120',
+      ...cacheTagHeaders(TOURS_CACHE_TAG)
+    });
+    const lastModified = rows.reduce((max, row) => (row.updated_at > max ? row.updated_at : max), null);
+    sendCacheable(req, res, tours, lastModified);
+  } catch (error) {
+    sendTourError(res, error, 'Error obteniendo tours');
+  }
+});
+
+app.get('/tours/:id', validate('getTour'), async (req, res) => {
+  const tourId = req.validated.params.id;
+  try {
+    const { rows } = await db.query(
+      `SELECT * FROM tours WHERE woocommerce_id = $1 AND status = 'publish' AND archived_at IS NULL`,
+      [tourId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Tour não encontrado' });
+    }
+    const departures = await loadTourDepartures([tourId], parseTourRange({}));
+
+    res.set({
+      'Cache-Control': 'public, max-age=60, s-maxage=120',
+      ...cacheTagHeaders(`tour-${tourId},${TOURS_CACHE_TAG}`)
+    });
+    sendCacheable(req, res, formatTour(rows[0], departures.get(tourId) || [], { detail: true }), rows[0].updated_at);
+  } catch (error) {
+    sendTourError(res, error, `Error obteniendo tour ${tourId}`);
+  }
+});
+
+// Salidas con plazas libres. Sin caché: cambian con cada reserva.
+app.get('/tours/:id/departures', validate('listTourDepartures'), async (req, res) => {
+  const tourId = req.validated.params.id;
+  try {
+    const range = parseTourRange(req.validated.query);
+    const { rows } = await db.query(
+      `SELECT woocommerce_id, name FROM tours WHERE woocommerce_id = $1 AND status = 'publish' AND archived_at IS NULL`,
+      [tourId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Tour não encontrado' });
+    }
+    const departures = await loadTourDepartures([tourId], range);
+
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    });
+    res.json({
+      tour_id: tourId,
+      name: rows[0].name || '',
+      from: range.from,
+      to: range.to,
+      departures: departures.get(tourId) || []
+    });
+  } catch (error) {
+    sendTourError(res, error, `Error obteniendo salidas del tour ${tourId}`);
+  }
+});
+
+// ===== HISTORIAL DE PRECIOS Y STOCK =====
+const HISTORY_DEFAULT_LIMIT = 100;
+const HISTORY_MAX_LIMIT = 500;
+// Los ids de product_changes se asignan al insertar, no al confirmar: una transacción lenta puede
+// hacer visible un id menor que el último servido. /changes solo sirve filas más antiguas que este
+// margen, que debe superar la transacción más larga que escribe cambios (un producto por transacción).
+const CHANGES_FEED_LAG_SECONDS = parseInt(process.env.CHANGES_FEED_LAG_SECONDS || '10', 10);
+const HISTORY_TYPES = {
+  price: ['price', 'regular_price', 'precio_1_2', 'precio_3_6', 'precio_7_mais'],
+  stock: ['stock_quantity', 'stock_status'],
+  status: ['status']
+};
+
+// Filtros comunes de /products/:id/history y /changes: type, trend y limit.
+// Devuelve { fields, trend, limit } o { error }.
+function parseHistoryFilters(query, lang) {
+  let fields = null;
+  if (query.type !== undefined) {
+    const types = String(query.type).split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = types.filter(t => !HISTORY_TYPES[t]);
+    if (types.length === 0 || unknown.length > 0) {
+      return { error: translate(lang, 'invalid_values', { param: 'type', values: Object.keys(HISTORY_TYPES).join(', ') }) };
+    }
+    fields = types.flatMap(t => HISTORY_TYPES[t]);
+  }
+
+  const trend = query.trend === undefined ? null : String(query.trend);
+  if (trend !== null && !['up', 'down'].includes(trend)) {
+    return { error: translate(lang, 'invalid_values', { param: 'trend', values: 'up, down' }) };
+  }
+
+  let limit = HISTORY_DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+      return { error: translate(lang, 'invalid_limit', { max: HISTORY_MAX_LIMIT }) };
+    }
+  }
+  return { fields, trend, limit };
+}
+
+// Condiciones SQL de los filtros; trend solo aplica a cambios entre dos números
+function historyFilterSql({ fields, trend }, params) {
+  const conditions = [];
+  if (fields) {
+    params.push(fields);
+    conditions.push(`c.field = ANY($${params.length}::text[])`);
+  }
+  // Postgres no garantiza el orden de evaluación del AND: el CASE evita castear un texto a numeric
+  if (trend) {
+    conditions.push(`CASE WHEN jsonb_typeof(c.old_value) = 'number' AND jsonb_typeof(c.new_value) = 'number'
+      THEN (c.new_value)::numeric ${trend === 'down' ? '<' : '>'} (c.old_value)::numeric END`);
+  }
+  return conditions;
+}
+
+function formatProductChange(row) {
+  return {
+    id: Number(row.id),
+    product_id: row.product_id,
+    ...(row.product_name !== undefined ? { product_name: row.product_name } : {}),
+    variation_id: row.variation_id,
+    field: row.field,
+    old_value: row.old_value,
+    new_value: row.new_value,
+    source: row.source,
+    sync_run_id: row.sync_run_id,
+    changed_at: row.changed_at
+  };
+}
+
+// Cambios de un producto, del más reciente al más antiguo. ?before=<id> pagina hacia atrás.
+app.get('/products/:id/history', requireRole('staff'), validate('getProductHistory'), async (req, res) => {
+  const lang = resolveLanguage(req);
+  const productId = req.validated.params.id;
+  const filters = parseHistoryFilters(req.validated.query, lang);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const before = req.validated.query.before !== undefined ? req.validated.query.before : null;
+
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const { rows: products } = await db.query(
+      'SELECT woocommerce_id, name, archived_at FROM products WHERE woocommerce_id = $1',
+      [productId]
+    );
+    if (products.length === 0) {
+      return res.status(404).json({ error: translate(lang, 'product_not_found') });
+    }
+
+    const params = [productId];
+    const conditions = ['c.product_id = $1', ...historyFilterSql(filters, params)];
+    if (before !== null) {
+      params.push(before);
+      conditions.push(`c.id < $${params.length}`);
+    }
+    params.push(filters.limit + 1);
+    const { rows } = await db.query(
+      `SELECT c.* FROM product_changes c
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = rows.length > filters.limit;
+    const changes = rows.slice(0, filters.limit).map(formatProductChange);
+    res.json({
+      product_id: productId,
+      name: products[0].name,
+      archived: products[0].archived_at !== null,
+      changes,
+      next_before: hasMore ? changes[changes.length - 1].id : null
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo historial del producto ${productId}`, { err: error });
+    res.status(500).json({ error: translate(lang, 'internal_error'), message: error.message });
+  }
+});
+
+// Feed de cambios de todos los productos en orden de registro. La primera llamada usa
+// ?since=<fecha ISO>; las siguientes, ?cursor=<next_cursor> para no perder ni repetir filas.
+// Los cambios aparecen con CHANGES_FEED_LAG_SECONDS de retraso.
+app.get('/changes', requireRole('staff'), validate('listChanges'), async (req, res) => {
+  const lang = resolveLanguage(req);
+  const query = req.validated.query;
+  const filters = parseHistoryFilters(query, lang);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  let since = null;
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = query.cursor;
+  } else if (query.since !== undefined) {
+    since = new Date(String(query.since));
+    if (Number.isNaN(since.getTime())) {
+      return res.status(400).json({ error: translate(lang, 'invalid_param', { param: 'since' }) });
+    }
+  } else {
+    return res.status(400).json({ error: translate(lang, 'since_or_cursor_required') });
+  }
+
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const params = [];
+    const conditions = historyFilterSql(filters, params);
+    if (cursor !== null) {
+      params.push(cursor);
+      conditions.push(`c.id > $${params.length}`);
+    } else {
+      params.push(since.toISOString());
+      conditions.push(`c.changed_at >= $${params.length}`);
+    }
+    params.push(CHANGES_FEED_LAG_SECONDS);
+    conditions.push(`c.changed_at < NOW() - make_interval(secs => $${params.length})`);
+    params.push(filters.limit + 1);
+    const { rows } = await db.query(
+      `SELECT c.*, p.name AS product_name FROM product_changes c
+       JOIN products p ON p.woocommerce_id = c.product_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.id ASC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = rows.length > filters.limit;
+    const changes = rows.slice(0, filters.limit).map(formatProductChange);
+    res.json({
+      changes,
+      has_more: hasMore,
+      // Sin filas nuevas se devuelve el mismo cursor para volver a preguntar más tarde
+      next_cursor: changes.length > 0 ? changes[changes.length - 1].id : cursor
+    });
+  } catch (error) {
+    logger.error('Error obteniendo feed de cambios', { err: error });
+    res.status(500).json({ error: translate(lang, 'internal_error'), message: error.message });
+  }
+});
+
+// ===== RUTA AVAILABILITY =====
+// Pico diario de unidades reservadas en el rango, por variación ("producto:variación")
+// y por producto (todas sus variaciones juntas). productIds = null para todos.
+async function loadReservedPeaks(queryable, range, productIds = null) {
+  const { rows } = await queryable.query(
+    `SELECT r.product_id, r.variation_id, to_char(d.day, 'YYYY-MM-DD') AS day, SUM(r.quantity)::int AS reserved
+     FROM generate_series($1::date, $2::date, interval '1 day') AS d(day)
+     JOIN reservations r ON d.day::date BETWEEN r.start_date AND r.end_date
+     WHERE r.status <> 'cancelled' AND r.tour_departure_id IS NULL
+     AND ($3::int[] IS NULL OR r.product_id = ANY($3::int[]))
+     GROUP BY r.product_id, r.variation_id, d.day`,
+    [range.from, range.to, productIds]
+  );
+
+  const variationPeak = new Map();
+  const productDaily = new Map();
+  for (const row of rows) {
+    const variationKey = `${row.product_id}:${row.variation_id}`;
+    variationPeak.set(variationKey, Math.max(variationPeak.get(variationKey) || 0, row.reserved));
+    const dayKey = `${row.product_id}:${row.day}`;
+    productDaily.set(dayKey, (productDaily.get(dayKey) || 0) + row.reserved);
+  }
+  const productPeak = new Map();
+  for (const [dayKey, reserved] of productDaily) {
+    const productId = dayKey.split(':')[0];
+    productPeak.set(productId, Math.max(productPeak.get(productId) || 0, reserved));
+  }
+
+  return { productPeak, variationPeak };
+}
+
+// Unidades de la flota retenidas, por producto y por variación ("producto:variación"). productIds = null para todos.
+async function loadHeldUnits(queryable, productIds = null) {
+  const { rows } = await queryable.query(
+    `SELECT product_id, variation_id, COUNT(*)::int AS held FROM fleet_units
+     WHERE status = ANY($1::text[]) AND ($2::int[] IS NULL OR product_id = ANY($2::int[]))
+     GROUP BY product_id, variation_id`,
+    [FLEET_HOLD_STATUSES, productIds]
+  );
+  const productHeld = new Map();
+  const variationHeld = new Map();
+  for (const row of rows) {
+    productHeld.set(String(row.product_id), (productHeld.get(String(row.product_id)) || 0) + row.held);
+    if (row.variation_id !== null) variationHeld.set(`${row.product_id}:${row.variation_id}`, row.held);
+  }
+  return { productHeld, variationHeld };
+}
+
+// Variación sin gestión de stock en WooCommerce (stock_quantity null): no limita las reservas
+function isUnmanagedVariation(variation) {
+  return variation.stock_quantity === null || variation.stock_quantity === undefined;
+}
+
+// Unidades libres por producto/variación para un período de alquiler.
+// Se toma el pico diario de reservas solapadas: dos alquileres que no
+// coinciden en ningún día pueden compartir la misma bicicleta.
+// Sin gestión de stock, stock_quantity y available salen null (sin límite).
+app.get('/availability', validate('getAvailability'), async (req, res) => {
+  logger.debug(`Disponibilidad solicitada: ${req.query.from} → ${req.query.to} (producto: ${req.query.product || 'todos'})`);
+
+  const range = parseRentalRange(req.query.from, req.query.to);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  let productFilter = null;
+  if (req.query.product !== undefined && req.query.product !== '') {
+    productFilter = parseInt(req.query.product, 10);
+    if (!Number.isInteger(productFilter) || String(productFilter) !== String(req.query.product)) {
+      return res.status(400).json({ error: "Parâmetro 'product' inválido" });
+    }
+  }
+
+  try {
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    });
+
+    const productsQuery = productFilter !== null
+      ? db.query(
+          `SELECT * FROM products
+           WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
+           AND status = 'publish' AND archived_at IS NULL AND woocommerce_id = $1`,
+          [productFilter]
+        )
+      : db.query(
+          `SELECT * FROM products
+           WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
+           AND status = 'publish' AND archived_at IS NULL
+           ORDER BY name ASC`
+        );
+
+    const [{ rows: productRows }, { productPeak, variationPeak }, { productHeld, variationHeld }] = await Promise.all([
+      productsQuery,
+      loadReservedPeaks(db, range, productFilter !== null ? [productFilter] : null),
+      loadHeldUnits(db, productFilter !== null ? [productFilter] : null)
+    ]);
+
+    if (productFilter !== null && productRows.length === 0) {
+      return res.status(404).json({ error: 'Produto não encontrado' });
+    }
+
+    const products = productRows.map(row => {
+      const variationsStock = parseJSONSafe(row.variations_stock, []);
+      const managed = row.manage_stock !== false;
+      const stock = Number(row.stock_quantity) || 0;
+      const reserved = productPeak.get(String(row.woocommerce_id)) || 0;
+      const onHold = productHeld.get(String(row.woocommerce_id)) || 0;
+
+      const variations = Array.isArray(variationsStock) ? variationsStock.map(v => {
+        const vManaged = !isUnmanagedVariation(v);
+        const vStock = Number(v.stock_quantity) || 0;
+        const vReserved = variationPeak.get(`${row.woocommerce_id}:${v.id}`) || 0;
+        const vOnHold = variationHeld.get(`${row.woocommerce_id}:${v.id}`) || 0;
+        return {
+          id: v.id,
+          sku: v.sku || null,
+          attributes: v.attributes || [],
+          stock_quantity: vManaged ? vStock : null,
+          on_hold: vOnHold,
+          reserved: vReserved,
+          available: vManaged ? Math.max(0, vStock - vOnHold - vReserved) : null
+        };
+      }) : [];
+
+      return {
+        product_id: row.woocommerce_id,
+        name: row.name || '',
+        stock_quantity: managed ? stock : null,
+        on_hold: onHold,
+        reserved,
+        available: managed ? Math.max(0, stock - onHold - reserved) : null,
+        variations
+      };
+    });
+
+    logger.debug(`Disponibilidad calculada para ${products.length} productos`);
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      days: range.days,
+      products
+    });
+  } catch (error) {
+    logger.error('Error calculando disponibilidad', { err: error });
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+// ===== STREAM DE STOCK (SSE) =====
+// /products puede estar hasta 10 minutos en el CDN: GET /stream/stock empuja el stock y los precios
+// de cada producto (stream.js) cuando la sincronización, un webhook, la reconciliación, una
+// importación, la flota o una reserva los cambian. El stock es el público (sin las unidades
+// retenidas) y available_today descuenta además las reservas de hoy.
+const STOCK_STREAM_MAX_PRODUCTS = 100;
+let stockStreamQueue = Promise.resolve();
+
+// Estado de los productos para el stream. productIds = null: todo el catálogo que se ofrece.
+// Los pedidos por id que ya no se ofrecen (archivados o despublicados) salen con available_today 0.
+// Sin gestión de stock, stock_quantity y available_today salen null, igual que en /availability.
+async function loadStockStates(productIds = null) {
+  const today = new Date().toISOString().slice(0, 10);
+  const [{ rows }, { productPeak, variationPeak }] = await Promise.all([
+    productIds
+      ? db.query(`SELECT * FROM products ${FLEET_HOLD_JOIN} WHERE woocommerce_id = ANY($1::int[]) ORDER BY woocommerce_id`, [productIds])
+      : db.query(
+          `SELECT * FROM products ${FLEET_HOLD_JOIN}
+           WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
+           AND status = 'publish' AND archived_at IS NULL
+           ORDER BY woocommerce_id`
+        ),
+    loadReservedPeaks(db, { from: today, to: today }, productIds)
+  ]);
+
+  return rows.map(row => {
+    const product = processProductForResponse(row);
+    const offered = product.status === 'publish' && !row.archived_at;
+    const managed = row.manage_stock !== false && row.stock_quantity !== null;
+    const availableToday = !offered
+      ? 0
+      : managed ? Math.max(0, product.stock_quantity - (productPeak.get(String(row.woocommerce_id)) || 0)) : null;
+    const variations = (Array.isArray(product.variations_stock) ? product.variations_stock : []).map(v => {
+      const vManaged = !isUnmanagedVariation(v);
+      const stock = vManaged ? Number(v.stock_quantity) || 0 : null;
+      const available = !offered
+        ? 0
+        : vManaged ? Math.max(0, stock - (variationPeak.get(`${row.woocommerce_id}:${v.id}`) || 0)) : null;
+      return {
+        id: v.id,
+        sku: v.sku || null,
+        price: v.price !== undefined && v.price !== null && v.price !== '' ? Number(v.price) : null,
+        stock_quantity: stock,
+        available_today: available,
+        in_stock: isInStock(offered, available, v.stock_status)
+      };
+    });
+    return {
+      product_id: row.woocommerce_id,
+      status: row.archived_at ? 'archived' : product.status,
+      price: product.price,
+      regular_price: product.regular_price,
+      acf_pricing: product.acf_pricing,
+      stock_quantity: managed ? product.stock_quantity : null,
+      stock_status: product.stock_status,
+      available_today: availableToday,
+      in_stock: isInStock(offered, availableToday, product.stock_status),
+      variations
+    };
+  });
+}
+
+// Sin gestión de stock (available_today null) solo cuenta stock_status, como en WooCommerce.
+function isInStock(offered, availableToday, stockStatus) {
+  if (!offered || stockStatus === 'outofstock') return false;
+  return availableToday === null || availableToday > 0;
+}
+
+// Publica el estado actual de los productos indicados; el stream descarta los que no cambiaron.
+// Las llamadas se encadenan para que los eventos de un producto salgan en orden. Nunca lanza.
+function publishStockChanges(productIds, reason) {
+  const ids = [...new Set(productIds.map(Number))].filter(Number.isInteger);
+  if (ids.length === 0) return stockStreamQueue;
+  stockStreamQueue = stockStreamQueue
+    .then(async () => {
+      const states = await loadStockStates(ids);
+      states.forEach(state => stockStream.publish(state, reason));
+    })
+    .catch(err => logger.warn(`No se pudo publicar el stock de ${ids.join(',')} en /stream/stock`, { err }));
+  return stockStreamQueue;
+}
+
+// Una reserva cambia la disponibilidad de sus fechas aunque el estado de hoy no cambie: tras el estado
+// se publica un evento 'availability' con el rango para que el cliente vuelva a pedir /availability.
+function publishBookingChanges(productIds, range) {
+  const ids = [...new Set(productIds.map(Number))].filter(Number.isInteger);
+  if (ids.length === 0) return stockStreamQueue;
+  publishStockChanges(ids, 'booking');
+  stockStreamQueue = stockStreamQueue
+    .then(() => stockStream.publishAvailability({ productIds: ids, from: range.from, to: range.to }, 'booking'))
+    .catch(err => logger.warn(`No se pudo publicar la disponibilidad de ${ids.join(',')} en /stream/stock`, { err }));
+  return stockStreamQueue;
+}
+
+// Sin Last-Event-ID, o si los eventos perdidos ya no están en memoria, primero se manda el
+// estado actual de los productos pedidos; con él, solo los eventos posteriores.
+app.get('/stream/stock', validate('streamStock'), async (req, res) => {
+  const { products } = req.validated.query;
+  const productIds = products ? [...new Set(products.split(',').map(Number))] : null;
+  if (productIds && productIds.length > STOCK_STREAM_MAX_PRODUCTS) {
+    return res.status(400).json({ error: `O parâmetro 'products' aceita no máximo ${STOCK_STREAM_MAX_PRODUCTS} ids` });
+  }
+  if (stockStream.isFull) {
+    res.set('Retry-After', '30');
+    return res.status(503).json({ error: 'Demasiadas ligações abertas ao stream, tente mais tarde' });
+  }
+
+  const rawLastEventId = req.get('Last-Event-ID');
+  const lastEventId = rawLastEventId && /^\d+$/.test(rawLastEventId) ? Number(rawLastEventId) : null;
+  let since = lastEventId;
+  let states = null;
+  if (lastEventId === null || !stockStream.canReplay(lastEventId)) {
+    since = stockStream.lastEventId;
+    try {
+      states = await loadStockStates(productIds);
+    } catch (error) {
+      logger.error('Error cargando el stock para /stream/stock', { err: error });
+      return res.status(500).json({
+        error: 'Error interno del servidor',
+        message: error.message
+      });
+    }
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Nginx y otros proxies acumulan la respuesta si no se les indica lo contrario
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  stockStream.open(res, { productIds, since, states });
+});
+
+// ===== RUTA QUOTE =====
+app.post('/quote', validate('createQuote'), async (req, res) => {
+  const body = req.body || {};
+  logger.debug(`Presupuesto solicitado: ${body.from} → ${body.to} (${Array.isArray(body.items) ? body.items.length : 0} líneas)`);
+
+  const range = parseRentalRange(body.from, body.to);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    });
+
+    const quote = await calculateQuote(range, body.items, { promoCode: body.promo_code });
+    logger.debug(`Presupuesto calculado: ${quote.total} ${quote.currency} (${quote.days} días)`);
+    res.json(quote);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error calculando presupuesto', { err: error });
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+});
+
+// ===== RESERVAS (BOOKINGS) =====
+// Flujo: validar carrito y cliente → bloquear stock en reservations (bajo un
+// advisory lock para no sobrevender) → crear el pedido en WooCommerce → confirmar.
+// Si WooCommerce falla la reserva queda 'failed' y se liberan sus unidades.
+const BOOKING_LOCK_KEY = 31900012;
+const BOOKING_ORDER_STATUS = process.env.BOOKING_ORDER_STATUS || 'on-hold';
+const CANCELLABLE_BOOKING_STATUSES = ['pending', 'confirmed'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_BOOKING_NOTES_LENGTH = 1000;
+const BOOKING_COLUMNS = `id, status, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  days, customer, notes, items, currency, subtotal, promo_code, discount_amount, vat_amount, total, access_token_hash,
+  woocommerce_order_id, error_message, created_at, updated_at, cancelled_at`;
+
+function parseBookingCustomer(customer) {
+  if (!customer || typeof customer !== 'object' || Array.isArray(customer)) {
+    throw httpError(400, "O campo 'customer' é obrigatório");
+  }
+  const field = name => (typeof customer[name] === 'string' ? customer[name].trim() : '');
+  const parsed = {
+    first_name: field('first_name'),
+    last_name: field('last_name'),
+    email: field('email').toLowerCase(),
+    phone: field('phone') || null
+  };
+  if (!parsed.first_name) throw httpError(400, "O campo 'customer.first_name' é obrigatório");
+  if (!parsed.last_name) throw httpError(400, "O campo 'customer.last_name' é obrigatório");
+  if (!EMAIL_RE.test(parsed.email)) throw httpError(400, "O campo 'customer.email' é inválido");
+  if (parsed.phone && !/^[+\d][\d\s().-]{5,30}$/.test(parsed.phone)) {
+    throw httpError(400, "O campo 'customer.phone' é inválido");
+  }
+  return parsed;
+}
+
+function formatBooking(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    from: row.start_date,
+    to: row.end_date,
+    days: row.days,
+    customer: row.customer,
+    notes: row.notes,
+    currency: row.currency,
+    lines: row.items,
+    subtotal: Number(row.subtotal),
+    promo_code: row.promo_code,
+    discount_amount: Number(row.discount_amount),
+    vat_amount: Number(row.vat_amount),
+    total: Number(row.total),
+    woocommerce_order_id: row.woocommerce_order_id,
+    error: row.error_message,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    cancelled_at: row.cancelled_at
+  };
+}
+
+// Comprueba dentro de la transacción que cada línea cabe en el stock (sin las unidades retenidas) durante todo el rango.
+// Los productos con variaciones exigen variation_id porque WooCommerce lo necesita en el pedido.
+// Lo que no tiene gestión de stock en WooCommerce no limita.
+async function assertBookingAvailability(client, range, lines) {
+  const productIds = [...new Set(lines.map(line => line.product_id))];
+  const [{ rows: productRows }, { productPeak, variationPeak }, { productHeld, variationHeld }] = await Promise.all([
+    client.query('SELECT woocommerce_id, name, stock_quantity, manage_stock, variations_stock FROM products WHERE woocommerce_id = ANY($1::int[])', [productIds]),
+    loadReservedPeaks(client, range, productIds),
+    loadHeldUnits(client, productIds)
+  ]);
+  const productsById = new Map(productRows.map(row => [Number(row.woocommerce_id), row]));
+
+  const requestedByProduct = new Map();
+  const requestedByVariation = new Map();
+  lines.forEach((line, index) => {
+    const product = productsById.get(line.product_id);
+    const variations = parseJSONSafe(product.variations_stock, []);
+    if (line.variation_id === null && Array.isArray(variations) && variations.length > 0) {
+      throw httpError(400, `Linha ${index + 1}: 'variation_id' é obrigatório para o produto ${line.product_id}`);
+    }
+    requestedByProduct.set(line.product_id, (requestedByProduct.get(line.product_id) || 0) + line.quantity);
+    if (line.variation_id !== null) {
+      const key = `${line.product_id}:${line.variation_id}`;
+      requestedByVariation.set(key, (requestedByVariation.get(key) || 0) + line.quantity);
+    }
+  });
+
+  for (const [productId, requested] of requestedByProduct) {
+    const product = productsById.get(productId);
+    if (product.manage_stock === false) continue;
+    const available = netStock(product.stock_quantity, productHeld.get(String(productId))) - (productPeak.get(String(productId)) || 0);
+    if (requested > available) {
+      throw httpError(409, `Sem disponibilidade para ${product.name || `o produto ${productId}`} nas datas pedidas (disponíveis: ${Math.max(0, available)})`);
+    }
+  }
+
+  for (const [key, requested] of requestedByVariation) {
+    const [productId, variationId] = key.split(':').map(Number);
+    const product = productsById.get(productId);
+    const variations = parseJSONSafe(product.variations_stock, []);
+    const variation = variations.find(v => Number(v.id) === variationId);
+    if (isUnmanagedVariation(variation)) continue;
+    const available = netStock(variation.stock_quantity, variationHeld.get(key)) - (variationPeak.get(key) || 0);
+    if (requested > available) {
+      throw httpError(409, `Sem disponibilidade para a variação ${variationId} de ${product.name || `o produto ${productId}`} nas datas pedidas (disponíveis: ${Math.max(0, available)})`);
+    }
+  }
+}
+
+// Reparte el descuento entre las líneas en proporción a su importe; la última absorbe el redondeo
+function allocateDiscount(lines, amount) {
+  const subtotal = lines.reduce((acc, line) => acc + line.line_total, 0);
+  let remaining = amount;
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1 || subtotal === 0
+      ? remaining
+      : roundMoney(amount * line.line_total / subtotal);
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+}
+
+function wooBilling(customer) {
+  return {
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    email: customer.email,
+    phone: customer.phone || ''
+  };
+}
+
+function buildWooOrder(booking, customer, notes, quote) {
+  const discounts = allocateDiscount(quote.lines, quote.discount ? quote.discount.amount : 0);
+  return {
+    status: BOOKING_ORDER_STATUS,
+    set_paid: false,
+    currency: quote.currency,
+    billing: wooBilling(customer),
+    customer_note: notes || '',
+    // El precio de la línea es el del tramo ACF (con temporadas) para la duración del alquiler;
+    // el descuento del código promocional va en la diferencia entre subtotal y total, como en WooCommerce
+    line_items: quote.lines.map((line, index) => ({
+      product_id: line.product_id,
+      ...(line.variation_id !== null ? { variation_id: line.variation_id } : {}),
+      quantity: line.quantity,
+      subtotal: line.line_total.toFixed(2),
+      total: (line.line_total - discounts[index]).toFixed(2),
+      meta_data: [
+        { key: 'rental_days', value: String(line.days) },
+        { key: 'daily_rate', value: line.daily_rate.toFixed(2) },
+        { key: 'price_tier', value: line.tier }
+      ]
+    })),
+    meta_data: [
+      { key: 'rental_start_date', value: quote.from },
+      { key: 'rental_end_date', value: quote.to },
+      { key: 'rental_days', value: String(quote.days) },
+      { key: 'bikesul_booking_id', value: String(booking.id) },
+      ...(quote.discount ? [{ key: 'promo_code', value: quote.discount.code }] : [])
+    ]
+  };
+}
+
+async function setBookingStatus(bookingId, status, { orderId = null, error = null } = {}) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [row] } = await client.query(
+      `UPDATE bookings
+       SET status = $2,
+           woocommerce_order_id = COALESCE($3, woocommerce_order_id),
+           error_message = $4,
+           cancelled_at = CASE WHEN $2 = 'cancelled' THEN NOW() ELSE cancelled_at END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${BOOKING_COLUMNS}`,
+      [bookingId, status, orderId, error]
+    );
+    const reservationStatus = status === 'confirmed' ? 'confirmed' : status === 'pending' ? 'pending' : 'cancelled';
+    await client.query('UPDATE reservations SET status = $2 WHERE booking_id = $1', [bookingId, reservationStatus]);
+    await client.query('COMMIT');
+    // Confirmar no cambia la disponibilidad (las pendientes ya cuentan); cancelar o fallar la libera.
+    // Las plazas de tours no son stock del catálogo.
+    if (row && reservationStatus === 'cancelled') {
+      const productIds = (row.items || []).filter(line => !line.tour_departure_id).map(line => line.product_id);
+      publishBookingChanges(productIds, { from: row.start_date, to: row.end_date });
+    }
+    return row;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Acceso a una reserva: token devuelto al crearla o credencial staff. El token solo se acepta en
+// X-Booking-Token: en la URL acabaría en logs, historial y cabeceras Referer.
+async function canAccessBooking(req, booking) {
+  const token = req.get('X-Booking-Token');
+  if (token && safeEqual(hashApiKey(token), booking.access_token_hash)) return true;
+  const credential = extractCredential(req);
+  if (!credential) return false;
+  const auth = await authenticate(credential);
+  return Boolean(auth && ROLE_LEVELS[auth.role] >= ROLE_LEVELS.staff);
+}
+
+// Crea el pedido en WooCommerce de una reserva ya guardada y responde 201 con el token de acceso.
+// Si WooCommerce falla la reserva queda 'failed' (libera sus unidades) y se responde 502.
+async function sendBookingWithOrder(res, booking, wooOrder, accessToken) {
+  try {
+    const order = await createWooOrder(wooOrder);
+    const confirmed = await setBookingStatus(booking.id, 'confirmed', { orderId: order.id });
+    logger.info(`Reserva ${confirmed.id} confirmada (pedido WooCommerce ${order.id}, ${confirmed.total} ${confirmed.currency})`);
+    res.status(201).json({ ...formatBooking(confirmed), access_token: accessToken });
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    logger.error(`Error creando el pedido WooCommerce de la reserva ${booking.id}`, { err: error });
+    try {
+      await setBookingStatus(booking.id, 'failed', { error: message });
+    } catch (err) {
+      logger.error(`No se pudo marcar la reserva ${booking.id} como fallida`, { err });
+    }
+    res.status(502).json({
+      error: 'Não foi possível criar a encomenda no WooCommerce',
+      message,
+      booking_id: booking.id
+    });
+  }
+}
+
+async function loadAccessibleBooking(req) {
+  const bookingId = req.validated.params.id;
+  const { rows: [booking] } = await db.query(`SELECT ${BOOKING_COLUMNS} FROM bookings WHERE id = $1`, [bookingId]);
+  // Sin acceso respondemos igual que si no existiera para no revelar IDs
+  if (!booking || !(await canAccessBooking(req, booking))) {
+    throw httpError(404, translate(resolveLanguage(req), 'booking_not_found'));
+  }
+  return booking;
+}
+
+app.post('/bookings', validate('createBooking'), async (req, res) => {
+  const body = req.body || {};
+  logger.info(`Nueva reserva: ${body.from} → ${body.to} (${Array.isArray(body.items) ? body.items.length : 0} líneas)`);
+
+  const range = parseRentalRange(body.from, body.to);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  res.set({
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  });
+
+  let booking;
+  let customer;
+  let notes;
+  let quote;
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  try {
+    customer = parseBookingCustomer(body.customer);
+    notes = typeof body.notes === 'string' && body.notes.trim() ? body.notes.trim() : null;
+    if (notes && notes.length > MAX_BOOKING_NOTES_LENGTH) {
+      throw httpError(400, `O campo 'notes' não pode ter mais de ${MAX_BOOKING_NOTES_LENGTH} caracteres`);
+    }
+    quote = await calculateQuote(range, body.items, { promoCode: body.promo_code });
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [BOOKING_LOCK_KEY]);
+      await assertBookingAvailability(client, range, quote.lines);
+      // Se revalida con el email del cliente y bloqueando el código para respetar los límites de uso
+      const promo = quote.discount
+        ? await loadUsablePromo(client, quote.discount.code, { email: customer.email, forUpdate: true })
+        : null;
+
+      ({ rows: [booking] } = await client.query(
+        `INSERT INTO bookings (start_date, end_date, days, customer, notes, items, currency, subtotal,
+           promo_code, discount_amount, vat_amount, total, access_token_hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING ${BOOKING_COLUMNS}`,
+        [range.from, range.to, range.days, JSON.stringify(customer), notes, JSON.stringify(quote.lines),
+          quote.currency, quote.subtotal, promo ? promo.code : null, quote.discount ? quote.discount.amount : 0,
+          quote.vat.amount, quote.total, hashApiKey(accessToken)]
+      ));
+      if (promo) {
+        await client.query(
+          'INSERT INTO promo_code_redemptions (promo_code_id, booking_id, customer_email) VALUES ($1, $2, $3)',
+          [promo.id, booking.id, customer.email]
+        );
+      }
+      for (const line of quote.lines) {
+        await client.query(
+          `INSERT INTO reservations (product_id, variation_id, quantity, start_date, end_date, status, reference, booking_id)
+           VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7)`,
+          [line.product_id, line.variation_id, line.quantity, range.from, range.to, `booking-${booking.id}`, booking.id]
+        );
+      }
+      await client.query('COMMIT');
+      publishBookingChanges(quote.lines.map(line => line.product_id), range);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error creando reserva', { err: error });
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+
+  await sendBookingWithOrder(res, booking, buildWooOrder(booking, customer, notes, quote), accessToken);
+});
+
+app.get('/bookings/:id', validate('getBooking'), async (req, res) => {
+  try {
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    });
+    const booking = await loadAccessibleBooking(req);
+    res.json(formatBooking(booking));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error obteniendo reserva', { err: error });
+    res.status(500).json({
+      error: translate(resolveLanguage(req), 'internal_error'),
+      message: error.message
+    });
+  }
+});
+
+// Cancela el pedido en WooCommerce y libera las unidades. Si WooCommerce falla la reserva no cambia.
+app.post('/bookings/:id/cancel', validate('cancelBooking'), async (req, res) => {
+  try {
+    const booking = await loadAccessibleBooking(req);
+    if (!CANCELLABLE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ error: `Não é possível cancelar uma reserva no estado '${booking.status}'` });
+    }
+
+    if (booking.woocommerce_order_id) {
+      try {
+        await updateWooOrder(booking.woocommerce_order_id, { status: 'cancelled' });
+      } catch (error) {
+        logger.error(`Error cancelando el pedido WooCommerce ${booking.woocommerce_order_id}`, { err: error });
+        return res.status(502).json({
+          error: 'Não foi possível cancelar a encomenda no WooCommerce',
+          message: error.response?.data?.message || error.message
+        });
+      }
+    }
+
+    const cancelled = await setBookingStatus(booking.id, 'cancelled');
+    logger.info(`Reserva ${booking.id} cancelada${booking.woocommerce_order_id ? ` (pedido ${booking.woocommerce_order_id})` : ''}`);
+    res.json(formatBooking(cancelled));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error cancelando reserva', { err: error });
+    res.status(500).json({
+      error: translate(resolveLanguage(req), 'internal_error'),
+      message: error.message
+    });
+  }
+});
+
+// ===== RESERVAS DE TOURS =====
+// Plazas en una salida de tour con el mismo flujo que los alquileres (reserva, pedido en WooCommerce,
+// token de acceso, GET /bookings/:id y cancelación). La línea de reservations apunta la salida en
+// tour_departure_id: de ahí salen las plazas ocupadas de /tours.
+
+// Salida reservable (programada, desde hoy, de un tour publicado) con sus plazas libres.
+// Se llama bajo BOOKING_LOCK_KEY, así que el recuento no cambia hasta el COMMIT.
+async function loadBookableDeparture(client, tourId, departureId) {
+  const { rows: [departure] } = await client.query(
+    `SELECT d.id, to_char(d.departure_date, 'YYYY-MM-DD') AS date, d.departure_time, d.capacity,
+            t.name, t.price_per_person, t.child_price,
+            (SELECT COALESCE(SUM(r.quantity), 0)::int FROM reservations r
+             WHERE r.tour_departure_id = d.id AND r.status <> 'cancelled') AS booked
+     FROM tour_departures d
+     JOIN tours t ON t.woocommerce_id = d.tour_id
+     WHERE d.id = $2 AND d.tour_id = $1 AND d.status = 'scheduled' AND d.departure_date >= CURRENT_DATE
+     AND t.status = 'publish' AND t.archived_at IS NULL`,
+    [tourId, departureId]
+  );
+  if (!departure) throw httpError(404, 'Saída não encontrada');
+  return { ...departure, remaining: Math.max(0, departure.capacity - departure.booked) };
+}
+
+// Los niños pagan child_price si el tour lo tiene; si no, el precio por persona
+function buildTourLine(tourId, departure, adults, children) {
+  const price = Number(departure.price_per_person) || 0;
+  const childPrice = departure.child_price !== null ? Number(departure.child_price) : price;
+  return {
+    product_id: tourId,
+    variation_id: null,
+    tour_departure_id: departure.id,
+    name: departure.name || '',
+    date: departure.date,
+    time: departure.departure_time || null,
+    quantity: adults + children,
+    adults,
+    children,
+    price_per_person: price,
+    child_price: childPrice,
+    line_total: roundMoney(adults * price + children * childPrice)
+  };
+}
+
+function buildTourWooOrder(booking, customer, notes, line) {
+  return {
+    status: BOOKING_ORDER_STATUS,
+    set_paid: false,
+    currency: booking.currency,
+    billing: wooBilling(customer),
+    customer_note: notes || '',
+    line_items: [{
+      product_id: line.product_id,
+      quantity: line.quantity,
+      subtotal: line.line_total.toFixed(2),
+      total: line.line_total.toFixed(2),
+      meta_data: [
+        { key: 'tour_date', value: line.date },
+        ...(line.time ? [{ key: 'tour_time', value: line.time }] : []),
+        { key: 'adults', value: String(line.adults) },
+        { key: 'children', value: String(line.children) }
+      ]
+    }],
+    meta_data: [
+      { key: 'tour_departure_id', value: String(line.tour_departure_id) },
+      { key: 'bikesul_booking_id', value: String(booking.id) }
+    ]
+  };
+}
+
+app.post('/tours/:id/bookings', validate('createTourBooking'), async (req, res) => {
+  const tourId = req.validated.params.id;
+  const body = req.validated.body;
+  logger.info(`Nueva reserva del tour ${tourId}: salida ${body.departure_id} (${body.adults} adultos, ${body.children || 0} niños)`);
+
+  res.set({
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  });
+
+  let booking;
+  let customer;
+  let notes;
+  let line;
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  try {
+    customer = parseBookingCustomer(body.customer);
+    notes = typeof body.notes === 'string' && body.notes.trim() ? body.notes.trim() : null;
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [BOOKING_LOCK_KEY]);
+      const departure = await loadBookableDeparture(client, tourId, body.departure_id);
+      line = buildTourLine(tourId, departure, body.adults, body.children || 0);
+      if (line.quantity > departure.remaining) {
+        throw httpError(409, `Sem lugares suficientes nesta saída (disponíveis: ${departure.remaining})`);
+      }
+      const { vat, total } = vatBreakdown(line.line_total);
+
+      ({ rows: [booking] } = await client.query(
+        `INSERT INTO bookings (start_date, end_date, days, customer, notes, items, currency, subtotal,
+           promo_code, discount_amount, vat_amount, total, access_token_hash)
+         VALUES ($1, $1, 1, $2, $3, $4, $5, $6, NULL, 0, $7, $8, $9)
+         RETURNING ${BOOKING_COLUMNS}`,
+        [line.date, JSON.stringify(customer), notes, JSON.stringify([line]), CURRENCY, line.line_total,
+          vat.amount, total, hashApiKey(accessToken)]
+      ));
+      await client.query(
+        `INSERT INTO reservations (product_id, variation_id, quantity, start_date, end_date, status, reference, booking_id, tour_departure_id)
+         VALUES ($1, NULL, $2, $3, $3, 'pending', $4, $5, $6)`,
+        [tourId, line.quantity, line.date, `booking-${booking.id}`, booking.id, line.tour_departure_id]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(`Error creando reserva del tour ${tourId}`, { err: error });
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      message: error.message
+    });
+  }
+
+  await sendBookingWithOrder(res, booking, buildTourWooOrder(booking, customer, notes, line), accessToken);
+});
+
+// ===== SINCRONIZACIÓN DE PRODUCTOS =====
+// Un lock en sync_locks impide ejecuciones solapadas, también entre instancias. Es una fila con
+// caducidad y no un advisory lock de sesión, que detrás de un pooler en modo transacción (Neon,
+// pgbouncer) puede caer en otro backend. Se renueva mientras se tiene; si el proceso muere, caduca.
+const SYNC_LOCK_NAME = 'sync';
+const SYNC_LOCK_TTL_SECONDS = parseInt(process.env.SYNC_LOCK_TTL_SECONDS || '120', 10);
+
+// Devuelve el lock ({ holder }) o null si otro lo tiene
+async function acquireSyncLock() {
+  const holder = crypto.randomUUID();
+  const { rows } = await db.query(
+    `INSERT INTO sync_locks (name, holder, expires_at) VALUES ($1, $2, NOW() + $3 * interval '1 second')
+     ON CONFLICT (name) DO UPDATE SET holder = EXCLUDED.holder, acquired_at = NOW(), expires_at = EXCLUDED.expires_at
+     WHERE sync_locks.expires_at < NOW()
+     RETURNING holder`,
+    [SYNC_LOCK_NAME, holder, SYNC_LOCK_TTL_SECONDS]
+  );
+  if (rows.length === 0) return null;
+
+  const lock = { holder };
+  lock.renewal = setInterval(() => {
+    db.query(
+      `UPDATE sync_locks SET expires_at = NOW() + $3 * interval '1 second' WHERE name = $1 AND holder = $2`,
+      [SYNC_LOCK_NAME, holder, SYNC_LOCK_TTL_SECONDS]
+    )
+      .then(result => {
+        if (result.rowCount === 0) logger.warn('El lock de la sincronización caducó y lo tomó otra ejecución');
+      })
+      .catch(err => logger.warn('No se pudo renovar el lock de la sincronización', { err }));
+  }, (SYNC_LOCK_TTL_SECONDS * 1000) / 3);
+  lock.renewal.unref();
+  return lock;
+}
+
+// Nunca lanza: si no se puede borrar la fila, el lock caduca solo
+async function releaseSyncLock(lock) {
+  clearInterval(lock.renewal);
+  try {
+    await db.query('DELETE FROM sync_locks WHERE name = $1 AND holder = $2', [SYNC_LOCK_NAME, lock.holder]);
+  } catch (err) {
+    logger.warn('No se pudo liberar el lock de la sincronización', { err });
+  }
+}
+
+// Productos por página al listar WooCommerce y cada cuántos se guarda el progreso (page)
+const SYNC_PAGE_SIZE = 100;
+
+// Una ejecución 'partial' recorrió todo el catálogo aunque algún producto fallara: cuenta como
+// sincronización correcta para el delta, /ready y /sync/status. Con el lock tomado, la ejecución
+// en curso sigue en 'running' y no aparece aquí.
+const COMPLETED_SYNC_STATUSES = ['success', 'partial'];
+
+async function findLastCompletedSyncRun() {
+  const { rows } = await db.query(
+    'SELECT * FROM sync_runs WHERE status = ANY($1::text[]) ORDER BY started_at DESC LIMIT 1',
+    [COMPLETED_SYNC_STATUSES]
+  );
+  return rows[0] || null;
+}
+
+async function failedProductIdsOfLastCompletedRun() {
+  const last = await findLastCompletedSyncRun();
+  const failed = last ? parseJSONSafe(last.errors, []) : [];
+  return [...new Set(failed.map(item => Number(item.product_id)).filter(id => Number.isInteger(id) && id > 0))];
+}
+
+// mode 'full' recorre todo el catálogo; 'delta' pide solo los productos modificados
+// desde el inicio de la última ejecución completada y reintenta los que fallaron en ella.
+async function createSyncRun(mode = 'full') {
+  let modifiedAfter = null;
+  if (mode === 'delta') {
+    const last = await findLastCompletedSyncRun();
+    if (last) {
+      modifiedAfter = last.started_at;
+    } else {
+      logger.info('No hay ejecuciones completadas previas, la sincronización delta pasa a completa.');
+      mode = 'full';
+    }
+  }
+
+  const { rows: [run] } = await db.query(
+    `INSERT INTO sync_runs (mode, modified_after) VALUES ($1, $2) RETURNING *`,
+    [mode, modifiedAfter]
+  );
+  logger.info(`Sync run #${run.id} (${mode})${modifiedAfter ? ` modificados desde ${modifiedAfter.toISOString()}` : ''}`);
+  return run;
+}
+
+async function executeSyncRun(run) {
+  const modifiedAfter = run.modified_after;
+  let page = 0;
+  let totalSynced = 0;
+  let totalErrors = 0;
+  let totalFetched = 0;
+  const errors = [];
+  const seenIds = new Set();
+  const changedIds = new Set();
+  let archived = 0;
+
+  const syncOne = async product => {
+    try {
+      const result = await upsertProductFromWoo(product, { syncRunId: run.id });
+      if (result) {
+        totalSynced++;
+        if (result.changed) changedIds.add(result.productId);
+      }
+    } catch (prodErr) {
+      // Con el circuito abierto el resto fallaría igual: la ejecución se da por fallida
+      if (prodErr.code === 'WOO_CIRCUIT_OPEN') throw prodErr;
+      totalErrors++;
+      errors.push({ product_id: product.id, name: product.name || '', message: prodErr.message || String(prodErr) });
+      logger.error(`Error sincronizando producto ${product.id}`, { err: prodErr });
+    }
+  };
+
+  try {
+    const params = { category: ALUGUERES_CATEGORY_ID, status: 'publish' };
+    if (modifiedAfter) {
+      params.modified_after = modifiedAfter.toISOString();
+      params.dates_are_gmt = true;
+    }
+
+    // getAllPages falla si el listado llega incompleto: el modo full no archiva productos que no vio
+    const products = await woo.getAllPages('/products', params, { perPage: SYNC_PAGE_SIZE });
+    totalFetched = products.length;
+
+    for (let start = 0; start < products.length; start += SYNC_PAGE_SIZE) {
+      page++;
+      for (const product of products.slice(start, start + SYNC_PAGE_SIZE)) {
+        if (belongsToAlugueres(product)) seenIds.add(Number(product.id));
+        await syncOne(product);
+      }
+
+      // Los errores van con el progreso para que se vean al consultar el job en curso
+      await db.query(
+        'UPDATE sync_runs SET page = $2, fetched = $3, synced = $4, errored = $5, errors = $6 WHERE id = $1',
+        [run.id, page, totalFetched, totalSynced, totalErrors, JSON.stringify(errors)]
+      );
+    }
+
+    // Los productos que fallaron en la ejecución de referencia no vuelven a salir en el listado
+    // si no se modifican: se piden uno a uno para no perderlos hasta la siguiente completa.
+    if (modifiedAfter) {
+      for (const productId of await failedProductIdsOfLastCompletedRun()) {
+        if (seenIds.has(productId)) continue;
+        let product;
+        try {
+          product = await fetchProductFromWoo(productId);
+        } catch (fetchErr) {
+          if (fetchErr.code === 'WOO_CIRCUIT_OPEN') throw fetchErr;
+          // Los borrados los resuelven el webhook o la siguiente completa
+          if (fetchErr.response && fetchErr.response.status === 404) continue;
+          totalErrors++;
+          errors.push({ product_id: productId, name: '', message: fetchErr.message || String(fetchErr) });
+          continue;
+        }
+        if (!belongsToAlugueres(product)) continue;
+        totalFetched++;
+        seenIds.add(productId);
+        await syncOne(product);
+      }
+    }
+  } catch (err) {
+    await db.query(
+      `UPDATE sync_runs SET status = 'failed', finished_at = NOW(), fetched = $2, synced = $3, errored = $4, errors = $5, message = $6
+       WHERE id = $1`,
+      [run.id, totalFetched, totalSynced, totalErrors, JSON.stringify(errors), err.message || String(err)]
+    );
+    recordSyncRunMetrics(run, 'failed', totalSynced, totalErrors);
+    throw err;
+  }
+
+  // fetched y synced cuentan solo productos de ALUGUERES; extras y tours van en sections.
+  // Sus errores sí se suman: la ejecución queda 'partial' igual.
+  const extras = await syncExtras({ modifiedAfter, full: run.mode === 'full' });
+  totalErrors += extras.errors.length;
+  errors.push(...extras.errors);
+  if (extras.changed > 0) await purgeExtrasCache();
+
+  const tours = await syncTours({ modifiedAfter, full: run.mode === 'full' });
+  totalErrors += tours.errors.length;
+  errors.push(...tours.errors);
+  if (tours.changedIds.length > 0) await purgeToursCache(tours.changedIds);
+
+  const sections = {
+    extras: { fetched: extras.fetched, synced: extras.synced, errored: extras.errors.length },
+    tours: { fetched: tours.fetched, synced: tours.synced, errored: tours.errors.length }
+  };
+
+  const translations = await syncProductTranslations({ modifiedAfter, full: run.mode === 'full' });
+  translations.changedIds.forEach(id => changedIds.add(id));
+  totalErrors += translations.errors.length;
+  errors.push(...translations.errors);
+
+  // Solo una pasada completa sabe qué productos ya no existen arriba
+  if (run.mode === 'full') {
+    try {
+      const result = await reconcileProducts(seenIds, { dryRun: false, syncRunId: run.id });
+      archived = result.archived.length;
+      result.archived.forEach(item => changedIds.add(item.product_id));
+    } catch (reconcileErr) {
+      logger.error('Error reconciliando productos', { err: reconcileErr });
+    }
+  }
+
+  await purgeProductCache([...changedIds]);
+  publishStockChanges([...changedIds], 'sync');
+
+  const status = totalErrors > 0 ? 'partial' : 'success';
+  const { rows: [finished] } = await db.query(
+    `UPDATE sync_runs SET status = $2, finished_at = NOW(), fetched = $3, synced = $4, errored = $5, errors = $6, archived = $7,
+       sections = $8
+     WHERE id = $1 RETURNING *`,
+    [run.id, status, totalFetched, totalSynced, totalErrors, JSON.stringify(errors), archived, JSON.stringify(sections)]
+  );
+  recordSyncRunMetrics(run, status, totalSynced, totalErrors);
+  refreshCatalogSnapshot();
+  logger.info(`Sync run #${run.id} terminado (${status})`, {
+    status,
+    synced: totalSynced,
+    errored: totalErrors,
+    fetched: totalFetched,
+    archived
+  });
+  return formatSyncRun(finished);
+}
+
+function recordSyncRunMetrics(run, status, synced, errored) {
+  const seconds = (Date.now() - new Date(run.started_at).getTime()) / 1000;
+  metrics.syncRuns.inc({ mode: run.mode, status });
+  metrics.syncRunDuration.observe({ mode: run.mode }, seconds);
+  metrics.syncProducts.inc({ mode: run.mode, result: 'synced' }, synced);
+  metrics.syncProducts.inc({ mode: run.mode, result: 'error' }, errored);
+  if (status === 'success') metrics.syncLastSuccess.set({}, Math.floor(Date.now() / 1000));
+}
+
+// ===== RECONCILIACIÓN (productos borrados, despublicados o recategorizados) =====
+// Un listado incompleto lanza: archivar a partir de él daría de baja productos vivos
+async function fetchWooProductIds() {
+  const products = await woo.getAllPages('/products', {
+    category: ALUGUERES_CATEGORY_ID,
+    status: 'publish',
+    _fields: 'id,categories'
+  });
+  return new Set(products.filter(belongsToAlugueres).map(p => Number(p.id)));
+}
+
+// Motivo por el que un producto local ya no aparece en el listado de WooCommerce,
+// o null si en realidad sigue publicado en ALUGUERES.
+async function detectArchiveReason(productId) {
+  try {
+    const product = await fetchProductFromWoo(productId);
+    if (!belongsToAlugueres(product)) return 'recategorised';
+    if (product.status !== 'publish') return 'unpublished';
+    return null;
+  } catch (err) {
+    if (err.response && err.response.status === 404) return 'deleted';
+    throw err;
+  }
+}
+
+async function archiveProduct(productId, reason, { source = 'reconcile', syncRunId = null } = {}) {
+  const result = await db.query(
+    `WITH archived AS (
+       UPDATE products SET archived_at = NOW(), archive_reason = $2, updated_at = NOW()
+       WHERE woocommerce_id = $1 AND archived_at IS NULL
+       RETURNING woocommerce_id, status
+     )
+     INSERT INTO product_changes (product_id, field, old_value, new_value, source, sync_run_id)
+     SELECT woocommerce_id, 'status', to_jsonb(status), to_jsonb('archived'::text), $3, $4 FROM archived
+     RETURNING product_id`,
+    [productId, reason, source, syncRunId]
+  );
+  if (result.rowCount > 0) logger.info(`Producto ${productId} archivado (${reason})`);
+  return result.rowCount > 0;
+}
+
+// Compara los productos locales activos con los ids vistos en WooCommerce.
+// Con dryRun solo informa de lo que se archivaría.
+async function reconcileProducts(seenIds, { dryRun = false, syncRunId = null } = {}) {
+  const { rows } = await db.query(
+    `SELECT woocommerce_id, name FROM products
+     WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
+     AND archived_at IS NULL
+     AND NOT (woocommerce_id = ANY($1::int[]))`,
+    [[...seenIds]]
+  );
+
+  const archived = [];
+  const skipped = [];
+  for (const row of rows) {
+    let reason;
+    try {
+      reason = await detectArchiveReason(row.woocommerce_id);
+    } catch (err) {
+      skipped.push({ product_id: row.woocommerce_id, name: row.name, message: err.message || String(err) });
+      continue;
+    }
+    if (!reason) continue;
+
+    if (!dryRun) await archiveProduct(row.woocommerce_id, reason, { syncRunId });
+    archived.push({ product_id: row.woocommerce_id, name: row.name, reason });
+  }
+
+  logger.info(`Reconciliación${dryRun ? ' (dry-run)' : ''}: ${archived.length} a archivar, ${skipped.length} sin verificar`);
+  return { dry_run: dryRun, archived, skipped };
+}
+
+// Toma el lock, crea la ejecución y la lanza sin esperar. `done` resuelve con el resumen final.
+async function startSyncJob(mode = 'full') {
+  const lock = await acquireSyncLock();
+  if (!lock) {
+    const { rows } = await db.query(`SELECT id FROM sync_runs WHERE status = 'running' ORDER BY started_at DESC LIMIT 1`);
+    const err = httpError(409, 'Já existe uma sincronização em curso');
+    err.runningJobId = rows[0] ? rows[0].id : null;
+    throw err;
+  }
+
+  let run;
+  try {
+    // Con el lock en la mano, una ejecución que sigue en 'running' es de un proceso que murió
+    await failInterruptedSyncRuns();
+    run = await createSyncRun(mode);
+  } catch (err) {
+    await releaseSyncLock(lock);
+    throw err;
+  }
+
+  const done = runWithContext({ sync_run_id: run.id }, () => executeSyncRun(run)).finally(() => releaseSyncLock(lock));
+  return { run, done };
+}
+
+// Ejecuciones que quedaron en 'running' tras una caída del proceso.
+// Solo es seguro cerrarlas si nadie tiene el lock.
+async function failInterruptedSyncRuns() {
+  const result = await db.query(
+    `UPDATE sync_runs SET status = 'failed', finished_at = NOW(), message = 'Interrumpida (reinicio del servidor)'
+     WHERE status = 'running'`
+  );
+  if (result.rowCount > 0) logger.info(`${result.rowCount} ejecuciones de sync interrumpidas marcadas como fallidas`);
+}
+
+async function recoverInterruptedSyncRuns() {
+  try {
+    const lock = await acquireSyncLock();
+    if (!lock) return;
+    try {
+      await failInterruptedSyncRuns();
+    } finally {
+      await releaseSyncLock(lock);
+    }
+  } catch (err) {
+    logger.warn('No se pudieron revisar ejecuciones de sync interrumpidas', { err });
+  }
+}
+
+function formatSyncRun(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    mode: row.mode,
+    status: row.status,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    duration_ms: row.finished_at ? new Date(row.finished_at) - new Date(row.started_at) : null,
+    modified_after: row.modified_after,
+    page: row.page,
+    fetched: row.fetched,
+    synced: row.synced,
+    errored: row.errored,
+    archived: row.archived,
+    errors: parseJSONSafe(row.errors, []),
+    sections: parseJSONSafe(row.sections, {}),
+    message: row.message || null
+  };
+}
+
+app.get('/sync-products', requireRole('admin'), validate('syncProducts'), async (req, res) => {
+  const mode = req.query.mode || 'full';
+  if (!['full', 'delta'].includes(mode)) {
+    return res.status(400).json({ error: "Parâmetro 'mode' deve ser 'full' ou 'delta'" });
+  }
+  logger.info(`Iniciando sincronización de productos (${mode}, incluye variaciones)...`);
+
+  try {
+    const { done } = await startSyncJob(mode);
+    const run = await done;
+
+    // Obtener los productos de la categoría "alugueres" desde DB para responder
+    const { rows } = await db.query(`SELECT * FROM products WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]' AND archived_at IS NULL`);
+    const responseProducts = rows.map(processProductForResponse);
+    checkProductPayloads(responseProducts);
+
+    res.json({
+      message: `Sincronización completada: ${run.synced} productos sincronizados, ${run.errored} errores, ${run.fetched} productos recuperados.`,
+      run,
+      products: responseProducts
+    });
+
+  } catch (err) {
+    if (err.status === 409) {
+      return res.status(409).json({ error: err.message, job_id: err.runningJobId });
+    }
+    logger.error('Error en sincronización general', { err });
+    res.status(500).json({ error: 'Error interno en la sincronización' });
+  }
+});
+
+// ===== ENDPOINT RECONCILE-PRODUCTS =====
+app.post('/reconcile-products', requireRole('admin'), validate('reconcileProducts'), async (req, res) => {
+  const rawDryRun = req.body && req.body.dry_run !== undefined ? req.body.dry_run : req.query.dry_run;
+  const dryRun = rawDryRun === true || rawDryRun === 'true' || rawDryRun === '1';
+  logger.info(`Reconciliación solicitada${dryRun ? ' (dry-run)' : ''}`);
+
+  // Archivar de verdad comparte lock con la sincronización para no pisarse
+  let lock = null;
+  try {
+    if (!dryRun) {
+      lock = await acquireSyncLock();
+      if (!lock) {
+        return res.status(409).json({ error: 'Já existe uma sincronização em curso' });
+      }
+    }
+
+    const seenIds = await fetchWooProductIds();
+    const result = await reconcileProducts(seenIds, { dryRun });
+    if (!dryRun) {
+      await purgeProductCache(result.archived.map(item => item.product_id));
+      publishStockChanges(result.archived.map(item => item.product_id), 'reconcile');
+    }
+    res.json({ upstream_products: seenIds.size, ...result });
+  } catch (error) {
+    logger.error('Error en reconciliación', { err: error });
+    res.status(500).json({ error: 'Error interno na reconciliação', message: error.message });
+  } finally {
+    if (lock) await releaseSyncLock(lock);
+  }
+});
+
+// ===== SYNC JOBS (sincronización en segundo plano) =====
+app.post('/sync-jobs', requireRole('admin'), validate('createSyncJob'), async (req, res) => {
+  const mode = (req.body && req.body.mode) || req.query.mode || 'full';
+  if (!['full', 'delta'].includes(mode)) {
+    return res.status(400).json({ error: "Parâmetro 'mode' deve ser 'full' ou 'delta'" });
+  }
+
+  try {
+    const { run, done } = await startSyncJob(mode);
+    done.catch(err => logger.error(`Sync job #${run.id} fallido`, { err }));
+
+    logger.info(`Sync job #${run.id} encolado (${run.mode})`);
+    res.status(202).json({
+      job_id: run.id,
+      status: run.status,
+      mode: run.mode,
+      status_url: `/sync-jobs/${run.id}`
+    });
+  } catch (err) {
+    if (err.status === 409) {
+      return res.status(409).json({ error: err.message, job_id: err.runningJobId });
+    }
+    logger.error('Error encolando sync job', { err });
+    res.status(500).json({ error: 'Error interno en la sincronización' });
+  }
+});
+
+app.get('/sync-jobs', requireRole('staff'), validate('listSyncJobs'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const { rows } = await db.query('SELECT * FROM sync_runs ORDER BY started_at DESC LIMIT 20');
+    res.json(rows.map(formatSyncRun));
+  } catch (error) {
+    logger.error('Error listando sync jobs', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor', message: error.message });
+  }
+});
+
+app.get('/sync-jobs/:id', requireRole('staff'), validate('getSyncJob'), async (req, res) => {
+  const lang = resolveLanguage(req);
+  const jobId = req.validated.params.id;
+
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const { rows } = await db.query('SELECT * FROM sync_runs WHERE id = $1', [jobId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: translate(lang, 'sync_job_not_found') });
+    }
+    res.json(formatSyncRun(rows[0]));
+  } catch (error) {
+    logger.error(`Error obteniendo sync job ${jobId}`, { err: error });
+    res.status(500).json({ error: translate(lang, 'internal_error'), message: error.message });
+  }
+});
+
+// ===== PROGRAMADOR DE SYNC =====
+// SYNC_CRON: expresión cron de 5 campos (cron.js). SYNC_CRON_MODE: full | delta.
+function startSyncScheduler() {
+  const expression = process.env.SYNC_CRON;
+  if (!expression) return;
+
+  const mode = process.env.SYNC_CRON_MODE || 'delta';
+  let fields;
+  try {
+    if (!['full', 'delta'].includes(mode)) throw new Error(`SYNC_CRON_MODE inválido: "${mode}"`);
+    fields = parseCronExpression(expression);
+  } catch (err) {
+    logger.error('Programador de sync desactivado', { err });
+    return;
+  }
+
+  const tick = async () => {
+    if (!cronMatches(fields, new Date())) return;
+    try {
+      const { run, done } = await startSyncJob(mode);
+      logger.info(`Sync programado lanzado: job #${run.id} (${run.mode})`);
+      await done;
+    } catch (err) {
+      if (err.status === 409) {
+        logger.info('Sync programado omitido: ya hay una sincronización en curso');
+      } else {
+        logger.error('Error en sync programado', { err });
+      }
+    }
+  };
+
+  // Alinear al inicio de cada minuto
+  setTimeout(() => {
+    tick();
+    setInterval(tick, 60 * 1000);
+  }, 60 * 1000 - (Date.now() % (60 * 1000)));
+
+  logger.info(`Programador de sync activo: "${expression}" (${mode})`);
+}
+
+// ===== WEBHOOK WOOCOMMERCE =====
+function verifyWooSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function handleWooWebhook(topic, payload) {
+  const productId = await applyWooWebhook(topic, payload);
+  if (productId) {
+    await purgeProductCache([productId]);
+    publishStockChanges([productId], 'webhook');
+  }
+}
+
+// Aplica el webhook y devuelve el id del producto afectado (o null)
+async function applyWooWebhook(topic, payload) {
+  const [resource, event] = topic.split('.');
+  if (resource !== 'product') {
+    logger.debug(`Webhook ${topic} ignorado`);
+    return null;
+  }
+
+  const id = Number(payload && payload.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    logger.warn(`Webhook ${topic} sin id de producto válido`);
+    return null;
+  }
+
+  // Las variaciones llegan con los mismos topics: se vuelve a sincronizar el producto padre
+  const parentId = Number(payload.parent_id) || 0;
+  if (payload.type === 'variation' || parentId > 0) {
+    if (parentId <= 0) {
+      logger.warn(`Webhook ${topic} de variación ${id} sin parent_id válido`);
+      return null;
+    }
+    logger.info(`Webhook ${topic} de variación ${id}, resincronizando padre ${parentId}`);
+    const result = await upsertProductFromWoo(await fetchProductFromWoo(parentId), { source: 'webhook' });
+    return result && result.changed ? parentId : null;
+  }
+
+  if (event === 'deleted') {
+    const { rows: translationRows } = await db.query(
+      'DELETE FROM product_translations WHERE woocommerce_id = $1 RETURNING product_id',
+      [id]
+    );
+    if (translationRows.length > 0) {
+      logger.info(`Traducción ${id} eliminada (producto ${translationRows[0].product_id})`);
+      return translationRows[0].product_id;
+    }
+
+    // El payload de borrado solo trae el id: puede ser una variación conocida
+    const { rows } = await db.query(
+      'SELECT woocommerce_id FROM products WHERE variations_ids::jsonb @> $1::jsonb',
+      [JSON.stringify([id])]
+    );
+    if (rows.length > 0) {
+      logger.info(`Variación ${id} eliminada, resincronizando padre ${rows[0].woocommerce_id}`);
+      const result = await upsertProductFromWoo(await fetchProductFromWoo(rows[0].woocommerce_id), { source: 'webhook' });
+      return result && result.changed ? rows[0].woocommerce_id : null;
+    }
+    if (await archiveExtra(id)) {
+      await purgeExtrasCache();
+      return null;
+    }
+    if (await archiveTour(id)) {
+      await purgeToursCache([id]);
+      return null;
+    }
+    return (await archiveProduct(id, 'deleted', { source: 'webhook' })) ? id : null;
+  }
+
+  const lang = normalizeLanguage(payload.lang);
+  if (lang && lang !== DEFAULT_LANGUAGE) {
+    return upsertProductTranslation(payload, lang);
+  }
+
+  // Extras: se guardan aparte; si un extra activo sale de la categoría se archiva
+  let extrasChanged = false;
+  if (belongsToExtras(payload) && payload.status === 'publish') {
+    extrasChanged = await upsertExtraFromWoo(payload);
+  } else if (await isActiveExtra(id)) {
+    extrasChanged = await archiveExtra(id);
+  }
+  if (extrasChanged) await purgeExtrasCache();
+
+  // Tours: igual que los extras
+  let toursChanged = false;
+  if (belongsToTours(payload) && payload.status === 'publish') {
+    toursChanged = await upsertTourFromWoo(payload);
+  } else if (await isActiveTour(id)) {
+    toursChanged = await archiveTour(id);
+  }
+  if (toursChanged) await purgeToursCache([id]);
+
+  if (!belongsToAlugueres(payload)) {
+    return (await archiveProduct(id, 'recategorised', { source: 'webhook' })) ? id : null;
+  }
+
+  const result = await upsertProductFromWoo(payload, { source: 'webhook' });
+  if (payload.status && payload.status !== 'publish') {
+    await archiveProduct(id, 'unpublished', { source: 'webhook' });
+    return id;
+  }
+  return result && result.changed ? id : null;
+}
+
+app.post('/webhooks/woocommerce', (req, res) => {
+  const topic = req.get('X-WC-Webhook-Topic') || '';
+  const secret = process.env.WOOCOMMERCE_WEBHOOK_SECRET;
+
+  if (!secret) {
+    logger.error('Webhook recibido pero WOOCOMMERCE_WEBHOOK_SECRET no está configurado');
+    return res.status(503).json({ error: 'Webhook não configurado' });
+  }
+
+  // Ping que WooCommerce envía al guardar el webhook (form-urlencoded, sin topic)
+  if (!topic) {
+    logger.debug('Ping de webhook WooCommerce recibido');
+    return res.json({ received: true });
+  }
+
+  if (!verifyWooSignature(req.rawBody, req.get('X-WC-Webhook-Signature'), secret)) {
+    logger.warn(`Firma de webhook inválida (topic: ${topic})`);
+    return res.status(401).json({ error: 'Assinatura inválida' });
+  }
+
+  logger.info(`Webhook ${topic} recibido (delivery ${req.get('X-WC-Webhook-Delivery-ID') || '-'})`);
+
+  // WooCommerce corta la entrega a los pocos segundos: respondemos ya y procesamos después
+  res.status(202).json({ received: true, topic });
+
+  handleWooWebhook(topic, req.body).catch(err => {
+    logger.error(`Error procesando webhook ${topic}`, { err });
+  });
+});
+
+// ===== ENDPOINT SYNC-STATUS =====
+app.get('/sync-status', requireRole('staff'), validate('getSyncStatus'), async (req, res) => {
+  logger.debug('Verificando status da sincronização...');
+
+  try {
+    // Headers para no-cache (siempre datos frescos)
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'X-Sync-Status-Check': 'true'
+    });
+
+    // Contar productos en BD
+    const totalCount = await db.query('SELECT COUNT(*) as total FROM products');
+    const alugueresCount = await db.query(
+      `SELECT COUNT(*) FILTER (WHERE archived_at IS NULL) as alugueres_total,
+              COUNT(*) FILTER (WHERE archived_at IS NOT NULL) as archived_total
+       FROM products
+       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'`
+    );
+
+    const lastRun = await db.query('SELECT * FROM sync_runs ORDER BY started_at DESC LIMIT 1');
+    const lastSuccess = await findLastCompletedSyncRun();
+
+    const syncStatus = {
+      last_check: new Date().toISOString(),
+      total_products_in_db: parseInt(totalCount.rows[0].total),
+      alugueres_products: parseInt(alugueresCount.rows[0].alugueres_total),
+      archived_products: parseInt(alugueresCount.rows[0].archived_total),
+      category_filter: ALUGUERES_CATEGORY_ID,
+      sync_healthy: parseInt(alugueresCount.rows[0].alugueres_total) > 0 && (!lastRun.rows[0] || lastRun.rows[0].status !== 'failed'),
+      last_run: formatSyncRun(lastRun.rows[0]),
+      last_successful_run: formatSyncRun(lastSuccess)
+    };
+
+    res.json(syncStatus);
+  } catch (error) {
+    logger.error('Error verificando sync status', { err: error });
+    res.status(500).json({
+      error: 'Error verificando status de sincronização',
+      message: error.message
+    });
+  }
+});
+
+// ===== ADMIN API KEYS =====
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    key_prefix: row.key_prefix,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+  };
+}
+
+app.post('/admin/api-keys', requireRole('admin'), validate('createApiKey'), async (req, res) => {
+  const { name, role } = req.body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: "O campo 'name' é obrigatório" });
+  }
+  if (!['staff', 'admin'].includes(role)) {
+    return res.status(400).json({ error: "O campo 'role' deve ser 'staff' ou 'admin'" });
+  }
+
+  try {
+    const key = generateApiKey();
+    const { rows: [row] } = await db.query(
+      `INSERT INTO api_keys (name, role, key_prefix, key_hash) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [name.trim(), role, key.slice(0, API_KEY_PREFIX.length + 8), hashApiKey(key)]
+    );
+    logger.info(`API key #${row.id} (${row.role}) emitida para "${row.name}" por ${req.auth.subject || req.auth.method}`);
+    // La clave en claro solo se devuelve aquí
+    res.status(201).json({ ...formatApiKey(row), key });
+  } catch (error) {
+    logger.error('Error emitiendo API key', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor', message: error.message });
+  }
+});
+
+app.get('/admin/api-keys', requireRole('admin'), validate('listApiKeys'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const { rows } = await db.query('SELECT * FROM api_keys ORDER BY created_at DESC');
+    res.json(rows.map(formatApiKey));
+  } catch (error) {
+    logger.error('Error listando API keys', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor', message: error.message });
+  }
+});
+
+app.delete('/admin/api-keys/:id', requireRole('admin'), validate('revokeApiKey'), async (req, res) => {
+  const keyId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(keyId) || String(keyId) !== req.params.id) {
+    return res.status(400).json({ error: 'Identificador de chave inválido' });
+  }
+
+  try {
+    const { rows } = await db.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = $1 RETURNING *`,
+      [keyId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Chave não encontrada' });
+    }
+    logger.info(`API key #${keyId} revocada por ${req.auth.subject || req.auth.method}`);
+    res.json(formatApiKey(rows[0]));
+  } catch (error) {
+    logger.error(`Error revocando API key ${keyId}`, { err: error });
+    res.status(500).json({ error: 'Error interno del servidor', message: error.message });
+  }
+});
+
+// ===== ADMIN REGLAS DE PRECIO Y CÓDIGOS PROMOCIONALES =====
+const PRICING_RULE_FIELDS = ['name', 'product_id', 'category_id', 'start_date', 'end_date', 'adjustment_type',
+  'adjustment_value', 'min_days', 'priority', 'active'];
+const PROMO_CODE_FIELDS = ['code', 'description', 'discount_type', 'discount_value', 'valid_from', 'valid_until',
+  'max_uses', 'max_uses_per_customer', 'active'];
+const PROMO_CODE_RE = /^[A-Z0-9_-]{3,40}$/;
+
+// Entero positivo o null (ausente / null). undefined si el valor no es válido.
+function optionalPositiveInt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+function optionalTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// Valida una regla completa (en PATCH, la existente con los cambios ya aplicados).
+// Devuelve { values } en el orden de PRICING_RULE_FIELDS o { error }.
+function validatePricingRule(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: "O campo 'name' é obrigatório" };
+
+  const productId = optionalPositiveInt(input.product_id);
+  const categoryId = optionalPositiveInt(input.category_id);
+  if (productId === undefined) return { error: "O campo 'product_id' é inválido" };
+  if (categoryId === undefined) return { error: "O campo 'category_id' é inválido" };
+  if (productId !== null && categoryId !== null) {
+    return { error: "Indique 'product_id' ou 'category_id', não ambos" };
+  }
+
+  const startDate = parseDateOnly(input.start_date);
+  const endDate = parseDateOnly(input.end_date);
+  if (!startDate || !endDate) return { error: "Os campos 'start_date' e 'end_date' são obrigatórios (YYYY-MM-DD)" };
+  if (endDate < startDate) return { error: "O campo 'end_date' deve ser igual ou posterior a 'start_date'" };
+
+  const adjustmentType = input.adjustment_type === undefined || input.adjustment_type === null ? null : input.adjustment_type;
+  let adjustmentValue = null;
+  if (adjustmentType !== null) {
+    if (!RULE_ADJUSTMENTS.includes(adjustmentType)) {
+      return { error: `O campo 'adjustment_type' deve ser ${RULE_ADJUSTMENTS.join(' ou ')}` };
+    }
+    adjustmentValue = Number(input.adjustment_value);
+    if (input.adjustment_value === null || input.adjustment_value === '' || !Number.isFinite(adjustmentValue)
+      || adjustmentValue < 0 || (adjustmentType === 'multiplier' && adjustmentValue === 0)) {
+      return { error: "O campo 'adjustment_value' deve ser um número positivo" };
+    }
+  }
+
+  const minDays = optionalPositiveInt(input.min_days);
+  if (minDays === undefined) return { error: "O campo 'min_days' deve ser um inteiro positivo" };
+  if (adjustmentType === null && minDays === null) {
+    return { error: "A regra precisa de 'adjustment_type' ou 'min_days'" };
+  }
+
+  const priority = input.priority === undefined || input.priority === null ? 0 : Number(input.priority);
+  if (!Number.isInteger(priority)) return { error: "O campo 'priority' deve ser um inteiro" };
+  if (input.active !== undefined && typeof input.active !== 'boolean') {
+    return { error: "O campo 'active' deve ser true ou false" };
+  }
+
+  return {
+    values: [name, productId, categoryId, startDate, endDate, adjustmentType, adjustmentValue, minDays, priority,
+      input.active !== false]
+  };
+}
+
+function validatePromoCode(input) {
+  const code = normalizePromoCode(input.code);
+  if (!PROMO_CODE_RE.test(code)) {
+    return { error: "O campo 'code' deve ter 3 a 40 letras, números, '-' ou '_'" };
+  }
+  const description = typeof input.description === 'string' && input.description.trim() ? input.description.trim() : null;
+
+  if (!PROMO_DISCOUNT_TYPES.includes(input.discount_type)) {
+    return { error: `O campo 'discount_type' deve ser ${PROMO_DISCOUNT_TYPES.join(' ou ')}` };
+  }
+  const discountValue = Number(input.discount_value);
+  if (!Number.isFinite(discountValue) || discountValue <= 0
+    || (input.discount_type === 'percentage' && discountValue > 100)) {
+    return { error: "O campo 'discount_value' deve ser positivo (máximo 100 para percentagens)" };
+  }
+
+  const validFrom = optionalTimestamp(input.valid_from);
+  const validUntil = optionalTimestamp(input.valid_until);
+  if (validFrom === undefined || validUntil === undefined) {
+    return { error: "Os campos 'valid_from' e 'valid_until' devem ser datas ISO 8601" };
+  }
+  if (validFrom && validUntil && validUntil <= validFrom) {
+    return { error: "O campo 'valid_until' deve ser posterior a 'valid_from'" };
+  }
+
+  const maxUses = optionalPositiveInt(input.max_uses);
+  const maxUsesPerCustomer = optionalPositiveInt(input.max_uses_per_customer);
+  if (maxUses === undefined || maxUsesPerCustomer === undefined) {
+    return { error: "Os campos 'max_uses' e 'max_uses_per_customer' devem ser inteiros positivos" };
+  }
+  if (input.active !== undefined && typeof input.active !== 'boolean') {
+    return { error: "O campo 'active' deve ser true ou false" };
+  }
+
+  return {
+    values: [code, description, input.discount_type, discountValue, validFrom, validUntil, maxUses, maxUsesPerCustomer,
+      input.active !== false]
+  };
+}
+
+// Solo los campos conocidos del body, encima de los de la fila existente
+function mergeInput(fields, current, body) {
+  const merged = {};
+  fields.forEach(field => {
+    merged[field] = body && Object.prototype.hasOwnProperty.call(body, field) ? body[field] : current[field];
+  });
+  return merged;
+}
+
+function formatPricingRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    product_id: row.product_id,
+    category_id: row.category_id,
+    start_date: row.start_date,
+    end_date: row.end_date,
+    adjustment_type: row.adjustment_type,
+    adjustment_value: row.adjustment_value !== null ? Number(row.adjustment_value) : null,
+    min_days: row.min_days,
+    priority: row.priority,
+    active: row.active,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function formatPromoCode(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    discount_type: row.discount_type,
+    discount_value: Number(row.discount_value),
+    valid_from: row.valid_from,
+    valid_until: row.valid_until,
+    max_uses: row.max_uses,
+    max_uses_per_customer: row.max_uses_per_customer,
+    uses: row.uses !== undefined ? Number(row.uses) : undefined,
+    active: row.active,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// Las reglas cambian el precio efectivo de /products/:id?date=. Nunca lanza.
+async function purgePricingRuleCache(...rules) {
+  const tags = rules.filter(Boolean).map(rule => (rule.product_id ? `product-${rule.product_id}` : 'products'));
+  try {
+    await purgeCloudflareTags(tags);
+  } catch (err) {
+    logger.error('Error purgando Cloudflare', { err });
+  }
+}
+
+// Errores de Postgres que son culpa del cliente
+function pricingDbError(error) {
+  if (error.code === '23503') return httpError(400, 'Produto não encontrado');
+  if (error.code === '23505') return httpError(409, 'Já existe um código promocional com esse nome');
+  return null;
+}
+
+function parseAdminId(req, message) {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || String(id) !== req.params.id) throw httpError(400, message);
+  return id;
+}
+
+function sendAdminError(res, error, logMessage) {
+  const clientError = error.status ? error : pricingDbError(error);
+  if (clientError) {
+    return res.status(clientError.status).json({ error: clientError.message });
+  }
+  logger.error(logMessage, { err: error });
+  res.status(500).json({ error: 'Error interno del servidor', message: error.message });
+}
+
+app.get('/admin/pricing-rules', requireRole('admin'), validate('listPricingRules'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const { rows } = await db.query(
+      `SELECT ${PRICING_RULE_COLUMNS} FROM pricing_rules ORDER BY start_date DESC, priority DESC, id DESC`
+    );
+    res.json(rows.map(formatPricingRule));
+  } catch (error) {
+    sendAdminError(res, error, 'Error listando reglas de precio');
+  }
+});
+
+app.post('/admin/pricing-rules', requireRole('admin'), validate('createPricingRule'), async (req, res) => {
+  const { values, error } = validatePricingRule(mergeInput(PRICING_RULE_FIELDS, {}, req.body));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { rows: [rule] } = await db.query(
+      `INSERT INTO pricing_rules (${PRICING_RULE_FIELDS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING ${PRICING_RULE_COLUMNS}`,
+      values
+    );
+    logger.info(`Regla de precio #${rule.id} "${rule.name}" creada por ${req.auth.subject || req.auth.method}`);
+    await purgePricingRuleCache(rule);
+    res.status(201).json(formatPricingRule(rule));
+  } catch (err) {
+    sendAdminError(res, err, 'Error creando regla de precio');
+  }
+});
+
+app.patch('/admin/pricing-rules/:id', requireRole('admin'), validate('updatePricingRule'), async (req, res) => {
+  try {
+    const ruleId = parseAdminId(req, 'Identificador de regra inválido');
+    const { rows: [current] } = await db.query(`SELECT ${PRICING_RULE_COLUMNS} FROM pricing_rules WHERE id = $1`, [ruleId]);
+    if (!current) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+    const { values, error } = validatePricingRule(mergeInput(PRICING_RULE_FIELDS, current, req.body));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { rows: [rule] } = await db.query(
+      `UPDATE pricing_rules SET
+         ${PRICING_RULE_FIELDS.map((field, index) => `${field} = $${index + 2}`).join(', ')},
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${PRICING_RULE_COLUMNS}`,
+      [ruleId, ...values]
+    );
+    logger.info(`Regla de precio #${ruleId} actualizada por ${req.auth.subject || req.auth.method}`);
+    await purgePricingRuleCache(current, rule);
+    res.json(formatPricingRule(rule));
+  } catch (err) {
+    sendAdminError(res, err, `Error actualizando regla de precio ${req.params.id}`);
+  }
+});
+
+app.delete('/admin/pricing-rules/:id', requireRole('admin'), validate('deletePricingRule'), async (req, res) => {
+  try {
+    const ruleId = parseAdminId(req, 'Identificador de regra inválido');
+    const { rows: [rule] } = await db.query(
+      `DELETE FROM pricing_rules WHERE id = $1 RETURNING ${PRICING_RULE_COLUMNS}`,
+      [ruleId]
+    );
+    if (!rule) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+    logger.info(`Regla de precio #${ruleId} eliminada por ${req.auth.subject || req.auth.method}`);
+    await purgePricingRuleCache(rule);
+    res.json(formatPricingRule(rule));
+  } catch (err) {
+    sendAdminError(res, err, `Error eliminando regla de precio ${req.params.id}`);
+  }
+});
+
+const PROMO_CODE_SELECT = `SELECT p.*, (
+    SELECT COUNT(*) FROM promo_code_redemptions r
+    JOIN bookings b ON b.id = r.booking_id
+    WHERE r.promo_code_id = p.id AND b.status IN ('pending', 'confirmed')
+  ) AS uses
+  FROM promo_codes p`;
+
+app.get('/admin/promo-codes', requireRole('admin'), validate('listPromoCodes'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const { rows } = await db.query(`${PROMO_CODE_SELECT} ORDER BY p.created_at DESC`);
+    res.json(rows.map(formatPromoCode));
+  } catch (error) {
+    sendAdminError(res, error, 'Error listando códigos promocionales');
+  }
+});
+
+app.post('/admin/promo-codes', requireRole('admin'), validate('createPromoCode'), async (req, res) => {
+  const { values, error } = validatePromoCode(mergeInput(PROMO_CODE_FIELDS, {}, req.body));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { rows: [promo] } = await db.query(
+      `INSERT INTO promo_codes (${PROMO_CODE_FIELDS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *, 0 AS uses`,
+      values
+    );
+    logger.info(`Código promocional ${promo.code} creado por ${req.auth.subject || req.auth.method}`);
+    res.status(201).json(formatPromoCode(promo));
+  } catch (err) {
+    sendAdminError(res, err, 'Error creando código promocional');
+  }
+});
+
+app.patch('/admin/promo-codes/:id', requireRole('admin'), validate('updatePromoCode'), async (req, res) => {
+  try {
+    const promoId = parseAdminId(req, 'Identificador de código inválido');
+    const { rows: [current] } = await db.query('SELECT * FROM promo_codes WHERE id = $1', [promoId]);
+    if (!current) {
+      return res.status(404).json({ error: 'Código não encontrado' });
+    }
+    const { values, error } = validatePromoCode(mergeInput(PROMO_CODE_FIELDS, current, req.body));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.query(
+      `UPDATE promo_codes SET
+         ${PROMO_CODE_FIELDS.map((field, index) => `${field} = $${index + 2}`).join(', ')},
+         updated_at = NOW()
+       WHERE id = $1`,
+      [promoId, ...values]
+    );
+    const { rows: [promo] } = await db.query(`${PROMO_CODE_SELECT} WHERE p.id = $1`, [promoId]);
+    logger.info(`Código promocional ${promo.code} actualizado por ${req.auth.subject || req.auth.method}`);
+    res.json(formatPromoCode(promo));
+  } catch (err) {
+    sendAdminError(res, err, `Error actualizando código promocional ${req.params.id}`);
+  }
+});
+
+// Se desactiva en vez de borrarlo: las reservas que lo usaron siguen apuntando a él
+app.delete('/admin/promo-codes/:id', requireRole('admin'), validate('deactivatePromoCode'), async (req, res) => {
+  try {
+    const promoId = parseAdminId(req, 'Identificador de código inválido');
+    const { rowCount } = await db.query(
+      'UPDATE promo_codes SET active = FALSE, updated_at = NOW() WHERE id = $1',
+      [promoId]
+    );
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Código não encontrado' });
+    }
+    const { rows: [promo] } = await db.query(`${PROMO_CODE_SELECT} WHERE p.id = $1`, [promoId]);
+    logger.info(`Código promocional ${promo.code} desactivado por ${req.auth.subject || req.auth.method}`);
+    res.json(formatPromoCode(promo));
+  } catch (err) {
+    sendAdminError(res, err, `Error desactivando código promocional ${req.params.id}`);
+  }
+});
+
+// ===== ADMIN FLOTA Y MANTENIMIENTO =====
+// Cada bicicleta física es una unidad de la flota (fleet.js). Las unidades en mantenimiento se
+// descuentan del stock de /products, /availability y de las reservas.
+const FLEET_UNIT_FIELDS = ['serial_number', 'product_id', 'variation_id', 'frame_size', 'status', 'service_due_date', 'notes'];
+const FLEET_UNIT_COLUMNS = `u.id, u.serial_number, u.product_id, u.variation_id, u.frame_size, u.status,
+  to_char(u.service_due_date, 'YYYY-MM-DD') AS service_due_date, u.notes, u.created_at, u.updated_at`;
+const FLEET_UNIT_SELECT = `SELECT ${FLEET_UNIT_COLUMNS}, p.name AS product_name
+  FROM fleet_units u LEFT JOIN products p ON p.woocommerce_id = u.product_id`;
+
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function validateFleetUnit(input) {
+  const serialNumber = typeof input.serial_number === 'string' ? input.serial_number.trim() : '';
+  if (!serialNumber) return { error: "O campo 'serial_number' é obrigatório" };
+
+  const productId = optionalPositiveInt(input.product_id);
+  if (!productId) return { error: "O campo 'product_id' é obrigatório" };
+  const variationId = optionalPositiveInt(input.variation_id);
+  if (variationId === undefined) return { error: "O campo 'variation_id' é inválido" };
+
+  const status = input.status === undefined || input.status === null ? 'available' : input.status;
+  if (!FLEET_STATUSES.includes(status)) {
+    return { error: `O campo 'status' deve ser um de: ${FLEET_STATUSES.join(', ')}` };
+  }
+
+  const serviceDueDate = input.service_due_date === undefined || input.service_due_date === null
+    ? null
+    : parseDateOnly(input.service_due_date);
+  if (serviceDueDate === null && input.service_due_date) {
+    return { error: "O campo 'service_due_date' deve ser uma data YYYY-MM-DD" };
+  }
+
+  return {
+    values: [serialNumber, productId, variationId, optionalText(input.frame_size), status, serviceDueDate,
+      optionalText(input.notes)]
+  };
+}
+
+function validateMaintenanceEntry(input) {
+  if (!MAINTENANCE_KINDS.includes(input.kind)) {
+    return { error: `O campo 'kind' deve ser um de: ${MAINTENANCE_KINDS.join(', ')}` };
+  }
+  const description = optionalText(input.description);
+  if (!description) return { error: "O campo 'description' é obrigatório" };
+
+  const cost = input.cost === undefined || input.cost === null ? null : Number(input.cost);
+  if (cost !== null && (!Number.isFinite(cost) || cost < 0)) {
+    return { error: "O campo 'cost' deve ser um número positivo" };
+  }
+  const performedAt = input.performed_at === undefined ? new Date().toISOString().slice(0, 10) : parseDateOnly(input.performed_at);
+  if (!performedAt) return { error: "O campo 'performed_at' deve ser uma data YYYY-MM-DD" };
+
+  // next_service_due: undefined = no cambia la próxima revisión, null = la quita
+  let nextServiceDue;
+  if (input.next_service_due !== undefined) {
+    nextServiceDue = input.next_service_due === null ? null : parseDateOnly(input.next_service_due);
+    if (nextServiceDue === null && input.next_service_due !== null) {
+      return { error: "O campo 'next_service_due' deve ser uma data YYYY-MM-DD" };
+    }
+  }
+
+  return { entry: { kind: input.kind, description, cost, performedAt }, nextServiceDue };
+}
+
+function formatFleetUnit(row, today = new Date().toISOString().slice(0, 10)) {
+  return {
+    id: row.id,
+    serial_number: row.serial_number,
+    product_id: row.product_id,
+    product_name: row.product_name || '',
+    variation_id: row.variation_id,
+    frame_size: row.frame_size,
+    status: row.status,
+    on_hold: isHoldStatus(row.status),
+    service_due_date: row.service_due_date,
+    service_overdue: isServiceOverdue(row, today),
+    notes: row.notes,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function formatMaintenanceEntry(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    description: row.description,
+    cost: row.cost !== null ? Number(row.cost) : null,
+    performed_at: row.performed_at,
+    status_from: row.status_from,
+    status_to: row.status_to,
+    created_by: row.created_by,
+    created_at: row.created_at
+  };
+}
+
+// Unidad con su historial (más reciente primero), o null
+async function loadFleetUnit(queryable, unitId) {
+  const { rows: [unit] } = await queryable.query(`${FLEET_UNIT_SELECT} WHERE u.id = $1`, [unitId]);
+  if (!unit) return null;
+  const { rows } = await queryable.query(
+    `SELECT id, kind, description, cost, to_char(performed_at, 'YYYY-MM-DD') AS performed_at, status_from, status_to,
+            created_by, created_at
+     FROM fleet_maintenance_log WHERE unit_id = $1
+     ORDER BY performed_at DESC, id DESC`,
+    [unitId]
+  );
+  return { ...formatFleetUnit(unit), maintenance: rows.map(formatMaintenanceEntry) };
+}
+
+// La variación tiene que ser del producto indicado
+async function assertFleetVariation(queryable, productId, variationId) {
+  if (variationId === null) return;
+  const { rows } = await queryable.query(
+    'SELECT 1 FROM product_variations WHERE woocommerce_id = $1 AND product_id = $2',
+    [variationId, productId]
+  );
+  if (rows.length === 0) throw httpError(400, `A variação ${variationId} não pertence ao produto ${productId}`);
+}
+
+async function logFleetStatusChange(queryable, unitId, from, to, createdBy) {
+  await queryable.query(
+    `INSERT INTO fleet_maintenance_log (unit_id, kind, status_from, status_to, created_by)
+     VALUES ($1, 'status', $2, $3, $4)`,
+    [unitId, from, to, createdBy]
+  );
+}
+
+// Si una unidad entra o sale del taller (o cambia de producto estando en él) cambia el stock
+// público de sus productos: se purga su caché y se rehace el snapshot. Nunca lanza.
+async function refreshFleetHolds(...units) {
+  const productIds = units.filter(unit => unit && isHoldStatus(unit.status)).map(unit => unit.product_id);
+  if (productIds.length === 0) return;
+  await purgeProductCache(productIds);
+  publishStockChanges(productIds, 'fleet');
+  refreshCatalogSnapshot();
+}
+
+function fleetDbError(error) {
+  if (error.code === '23505') return httpError(409, 'Já existe uma unidade com esse número de série');
+  return error;
+}
+
+app.get('/admin/fleet', requireRole('admin'), validate('listFleetUnits'), async (req, res) => {
+  const { product_id: productId, status, service_due_before: serviceDueBefore } = req.validated.query;
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const { rows } = await db.query(
+      `${FLEET_UNIT_SELECT}
+       WHERE ($1::int IS NULL OR u.product_id = $1)
+       AND ($2::text IS NULL OR u.status = $2)
+       AND ($3::date IS NULL OR (u.service_due_date <= $3 AND u.status <> 'retired'))
+       ORDER BY u.product_id ASC, u.serial_number ASC`,
+      [productId === undefined ? null : productId, status || null, serviceDueBefore || null]
+    );
+    const today = new Date().toISOString().slice(0, 10);
+    res.json(rows.map(row => formatFleetUnit(row, today)));
+  } catch (error) {
+    sendAdminError(res, error, 'Error listando la flota');
+  }
+});
+
+app.post('/admin/fleet', requireRole('admin'), validate('createFleetUnit'), async (req, res) => {
+  const { values, error } = validateFleetUnit(mergeInput(FLEET_UNIT_FIELDS, {}, req.body));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await assertFleetVariation(db, values[1], values[2]);
+    const { rows: [created] } = await db.query(
+      `INSERT INTO fleet_units (${FLEET_UNIT_FIELDS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, product_id, status`,
+      values
+    );
+    logger.info(`Unidad de flota #${created.id} (${values[0]}) creada por ${req.auth.subject || req.auth.method}`);
+    await refreshFleetHolds(created);
+    res.status(201).json(await loadFleetUnit(db, created.id));
+  } catch (err) {
+    sendAdminError(res, fleetDbError(err), 'Error creando unidad de flota');
+  }
+});
+
+app.get('/admin/fleet/:id', requireRole('admin'), validate('getFleetUnit'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const unit = await loadFleetUnit(db, req.validated.params.id);
+    if (!unit) {
+      return res.status(404).json({ error: 'Unidade não encontrada' });
+    }
+    res.json(unit);
+  } catch (error) {
+    sendAdminError(res, error, `Error obteniendo unidad de flota ${req.params.id}`);
+  }
+});
+
+// Los cambios de estado quedan en el historial de la unidad
+app.patch('/admin/fleet/:id', requireRole('admin'), validate('updateFleetUnit'), async (req, res) => {
+  const unitId = req.validated.params.id;
+  let client;
+  try {
+    client = await db.connect();
+    await client.query('BEGIN');
+    const { rows: [current] } = await client.query(
+      `SELECT ${FLEET_UNIT_COLUMNS} FROM fleet_units u WHERE u.id = $1 FOR UPDATE`,
+      [unitId]
+    );
+    if (!current) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Unidade não encontrada' });
+    }
+    const { values, error } = validateFleetUnit(mergeInput(FLEET_UNIT_FIELDS, current, req.body));
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error });
+    }
+    await assertFleetVariation(client, values[1], values[2]);
+
+    const { rows: [updated] } = await client.query(
+      `UPDATE fleet_units SET
+         ${FLEET_UNIT_FIELDS.map((field, index) => `${field} = $${index + 2}`).join(', ')},
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, product_id, status`,
+      [unitId, ...values]
+    );
+    const actor = req.auth.subject || req.auth.method;
+    if (updated.status !== current.status) {
+      await logFleetStatusChange(client, unitId, current.status, updated.status, actor);
+    }
+    await client.query('COMMIT');
+
+    logger.info(`Unidad de flota #${unitId} actualizada por ${actor}`, { status: updated.status });
+    await refreshFleetHolds(current, updated);
+    res.json(await loadFleetUnit(db, unitId));
+  } catch (err) {
+    if (client) await client.query('ROLLBACK');
+    sendAdminError(res, fleetDbError(err), `Error actualizando unidad de flota ${unitId}`);
+  } finally {
+    // Si db.connect() falló no hay cliente que liberar
+    if (client) client.release();
+  }
+});
+
+// Se retira en vez de borrarla: el historial de mantenimiento se conserva
+app.delete('/admin/fleet/:id', requireRole('admin'), validate('retireFleetUnit'), async (req, res) => {
+  const unitId = req.validated.params.id;
+  let client;
+  try {
+    client = await db.connect();
+    await client.query('BEGIN');
+    const { rows: [current] } = await client.query(
+      'SELECT id, product_id, status FROM fleet_units WHERE id = $1 FOR UPDATE',
+      [unitId]
+    );
+    if (!current) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Unidade não encontrada' });
+    }
+    const actor = req.auth.subject || req.auth.method;
+    if (current.status !== 'retired') {
+      await client.query("UPDATE fleet_units SET status = 'retired', updated_at = NOW() WHERE id = $1", [unitId]);
+      await logFleetStatusChange(client, unitId, current.status, 'retired', actor);
+    }
+    await client.query('COMMIT');
+
+    logger.info(`Unidad de flota #${unitId} retirada por ${actor}`);
+    await refreshFleetHolds(current);
+    res.json(await loadFleetUnit(db, unitId));
+  } catch (err) {
+    if (client) await client.query('ROLLBACK');
+    sendAdminError(res, err, `Error retirando unidad de flota ${unitId}`);
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Entrada de mantenimiento; con next_service_due actualiza la próxima revisión de la unidad
+app.post('/admin/fleet/:id/maintenance', requireRole('admin'), validate('createMaintenanceEntry'), async (req, res) => {
+  const unitId = req.validated.params.id;
+  const { entry, nextServiceDue, error } = validateMaintenanceEntry(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let client;
+  try {
+    client = await db.connect();
+    await client.query('BEGIN');
+    const { rowCount } = await client.query('SELECT 1 FROM fleet_units WHERE id = $1 FOR UPDATE', [unitId]);
+    if (rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Unidade não encontrada' });
+    }
+    const actor = req.auth.subject || req.auth.method;
+    await client.query(
+      `INSERT INTO fleet_maintenance_log (unit_id, kind, description, cost, performed_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [unitId, entry.kind, entry.description, entry.cost, entry.performedAt, actor]
+    );
+    if (nextServiceDue !== undefined) {
+      await client.query(
+        'UPDATE fleet_units SET service_due_date = $2, updated_at = NOW() WHERE id = $1',
+        [unitId, nextServiceDue]
+      );
+    }
+    await client.query('COMMIT');
+
+    logger.info(`Mantenimiento (${entry.kind}) registrado en la unidad de flota #${unitId} por ${actor}`);
+    res.status(201).json(await loadFleetUnit(db, unitId));
+  } catch (err) {
+    if (client) await client.query('ROLLBACK');
+    sendAdminError(res, err, `Error registrando mantenimiento de la unidad ${unitId}`);
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// ===== EXPORTACIÓN E IMPORTACIÓN DEL CATÁLOGO =====
+// Productos y variaciones de ALUGUERES con los tramos ACF, el stock y el SKU (bulk.js). La
+// importación sin ?confirm solo devuelve la diferencia; con ?confirm=<confirm_token> de esa
+// vista previa escribe los cambios en WooCommerce y vuelve a sincronizar los productos.
+const IMPORT_MAX_BYTES = '2mb';
+
+// Catálogo actual por id ({ products, variations }) y las filas de exportación en orden
+async function loadTransferCatalog() {
+  const [{ rows: productRows }, { rows: variationRows }] = await Promise.all([
+    db.query(
+      `SELECT woocommerce_id, name, sku, precio_1_2, precio_3_6, precio_7_mais, stock_quantity FROM products
+       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]' AND archived_at IS NULL
+       ORDER BY name ASC, woocommerce_id ASC`
+    ),
+    db.query(
+      `SELECT woocommerce_id, product_id, sku, stock_quantity, attributes FROM product_variations
+       ORDER BY product_id ASC, menu_order ASC, woocommerce_id ASC`
+    )
+  ]);
+
+  const products = new Map(productRows.map(row => [row.woocommerce_id, { ...row, has_variations: false }]));
+  const variations = new Map();
+  const variationsByProduct = new Map();
+  variationRows.forEach(row => {
+    const product = products.get(row.product_id);
+    if (!product) return;
+    const exportRow = exportVariationRow({ ...row, attributes: parseJSONSafe(row.attributes, {}) }, product);
+    product.has_variations = true;
+    variations.set(row.woocommerce_id, { ...row, name: exportRow.name });
+    if (!variationsByProduct.has(row.product_id)) variationsByProduct.set(row.product_id, []);
+    variationsByProduct.get(row.product_id).push(exportRow);
+  });
+
+  const rows = [];
+  productRows.forEach(row => {
+    rows.push(exportProductRow(row), ...(variationsByProduct.get(row.woocommerce_id) || []));
+  });
+  return { products, variations, rows };
+}
+
+// Escribe un cambio en WooCommerce. Los tramos son campos ACF: se envían como meta_data (donde
+// los guarda ACF) y en `acf` para las tiendas que exponen ACF en la API REST.
+async function writeImportItem(item) {
+  const { changes } = item;
+  if (item.type === 'variation') {
+    return woo.put(`/products/${item.product_id}/variations/${item.id}`, {
+      manage_stock: true,
+      stock_quantity: changes.stock_quantity.to
+    });
+  }
+  const data = {};
+  const tiers = PRICE_TIER_FIELDS.filter(field => changes[field]);
+  if (tiers.length > 0) {
+    data.meta_data = tiers.map(field => ({ key: field, value: String(changes[field].to) }));
+    data.acf = Object.fromEntries(tiers.map(field => [field, changes[field].to]));
+  }
+  if (changes.stock_quantity) {
+    data.manage_stock = true;
+    data.stock_quantity = changes.stock_quantity.to;
+  }
+  return woo.put(`/products/${item.id}`, data);
+}
+
+// Aplica los cambios y resincroniza los productos tocados (el historial los registra con source 'import').
+// Devuelve { applied, failed }.
+async function applyCatalogImport(items) {
+  const failed = [];
+  const written = await Promise.all(items.map(async item => {
+    try {
+      await writeImportItem(item);
+      return item;
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      logger.error(`Error escribiendo ${item.type} ${item.id} en WooCommerce`, { err });
+      failed.push({ line: item.line, type: item.type, id: item.id, message });
+      return null;
+    }
+  }));
+  const applied = written.filter(Boolean);
+
+  const productIds = [...new Set(applied.map(item => item.product_id))];
+  const changedIds = [];
+  for (const productId of productIds) {
+    try {
+      const result = await upsertProductFromWoo(await fetchProductFromWoo(productId), { source: 'import' });
+      if (result && result.changed) changedIds.push(productId);
+    } catch (err) {
+      // WooCommerce ya tiene el cambio: la próxima sincronización lo traerá
+      logger.error(`Error resincronizando producto ${productId} tras la importación`, { err });
+    }
+  }
+  await purgeProductCache(changedIds);
+  publishStockChanges(changedIds, 'import');
+  if (changedIds.length > 0) refreshCatalogSnapshot();
+
+  return { applied: applied.length, failed };
+}
+
+app.get('/admin/export', requireRole('admin'), validate('exportCatalog'), async (req, res) => {
+  const format = req.validated.query.format || 'csv';
+  try {
+    const { rows } = await loadTransferCatalog();
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const exportedAt = new Date().toISOString();
+    if (format === 'json') {
+      return res.json({ exported_at: exportedAt, rows });
+    }
+    // Con BOM para que Excel abra el fichero como UTF-8
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="bikesul-catalogo-${exportedAt.slice(0, 10)}.csv"`
+    });
+    res.send(`\uFEFF${toCsv(rows)}`);
+  } catch (error) {
+    sendAdminError(res, error, 'Error exportando el catálogo');
+  }
+});
+
+// Acepta el CSV exportado (text/csv) o el JSON de ?format=json ({ rows })
+app.post('/admin/import', requireRole('admin'), express.text({ type: 'text/csv', limit: IMPORT_MAX_BYTES }),
+  express.json({ limit: IMPORT_MAX_BYTES }), handleBodyError, validate('importCatalog'), async (req, res) => {
+  const { confirm } = req.validated.query;
+  let rows;
+  try {
+    rows = typeof req.validated.body === 'string' ? csvToRows(req.validated.body) : req.validated.body.rows;
+  } catch (err) {
+    return res.status(400).json({ error: `Ficheiro CSV inválido: ${err.message}` });
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return res.status(400).json({ error: `O ficheiro tem mais de ${IMPORT_MAX_ROWS} linhas` });
+  }
+
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+    const diff = diffCatalogImport(rows, await loadTransferCatalog());
+    const preview = {
+      rows: rows.length,
+      changed: diff.items.length,
+      unchanged: diff.unchanged,
+      changes: diff.items,
+      errors: diff.errors,
+      confirm_token: diff.errors.length === 0 && diff.items.length > 0 ? importToken(diff.items) : null
+    };
+    if (!confirm || (diff.items.length === 0 && diff.errors.length === 0)) {
+      return res.json(preview);
+    }
+    if (diff.errors.length > 0) {
+      return res.status(400).json({ error: 'O ficheiro tem erros: corrija-os antes de confirmar', ...preview });
+    }
+    if (confirm !== preview.confirm_token) {
+      return res.status(409).json({ error: 'Os dados mudaram desde a pré-visualização: volte a pré-visualizar', ...preview });
+    }
+
+    const actor = req.auth.subject || req.auth.method;
+    logger.info(`Importación de ${diff.items.length} cambios del catálogo iniciada por ${actor}`);
+    const { applied, failed } = await applyCatalogImport(diff.items);
+    logger.info(`Importación del catálogo terminada: ${applied} aplicados, ${failed.length} con error`);
+    res.json({
+      status: failed.length === 0 ? 'success' : (applied > 0 ? 'partial' : 'failed'),
+      applied,
+      failed,
+      changes: diff.items
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'Error importando el catálogo');
+  }
+});
+
+// ===== ENDPOINT CORS-TEST =====
+app.get('/cors-test', requireRole('staff'), validate('corsTest'), (req, res) => {
+  logger.debug('CORS test', { origin: req.get('Origin') || null, user_agent: req.get('User-Agent') || null });
+
+  // Headers explícitos para teste CORS
+  res.set({
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+    'Cache-Control': 'no-cache',
+    'X-CORS-Test': 'success'
+  });
+
+  res.json({
+    message: 'CORS test successful',
+    origin: req.get('Origin') || 'No origin header',
+    method: req.method,
+    timestamp: new Date().toISOString(),
+    headers_received: req.headers
+  });
+});
+
+// ===== ENDPOINT DEBUG-PRODUCTS =====
+app.get('/debug-products', requireRole('staff'), validate('debugProducts'), async (req, res) => {
+  logger.debug('Debug de productos solicitado...');
+
+  try {
+    // Headers para no-cache
+    res.set({
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'X-Debug-Endpoint': 'true'
+    });
+
+    // Contar total de productos
+    const totalCount = await db.query('SELECT COUNT(*) as total FROM products');
+
+    // Contar productos ALUGUERES
+    const alugueresCount = await db.query(
+      `SELECT COUNT(*) as alugueres_total FROM products
+       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'`
+    );
+
+    // Contar productos ALUGUERES por status
+    const statusBreakdown = await db.query(
+      `SELECT
+         status,
+         stock_status,
+         COUNT(*) as count,
+         AVG(stock_quantity) as avg_stock
+       FROM products
+       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
+       GROUP BY status, stock_status
+       ORDER BY count DESC`
+    );
+
+    // Ejemplo de productos ALUGUERES (primeros 5)
+    const sampleProducts = await db.query(
+      `SELECT
+         woocommerce_id, name, status, stock_status, stock_quantity,
+         categories::text as categories_preview
+       FROM products
+       WHERE categories::jsonb @> '[{"id": ${ALUGUERES_CATEGORY_ID}}]'
+       LIMIT 5`
+    );
+
+    const debugInfo = {
+      total_products_in_db: parseInt(totalCount.rows[0].total),
+      alugueres_products_total: parseInt(alugueresCount.rows[0].alugueres_total),
+      status_breakdown: statusBreakdown.rows,
+      sample_products: sampleProducts.rows,
+      category_filter: `ID: ${ALUGUERES_CATEGORY_ID}`,
       timestamp: new Date().toISOString()
     };
 
-    console.log('🐛 Debug info:', JSON.stringify(debugInfo, null, 2));
     res.json(debugInfo);
   } catch (error) {
-    console.error('❌ Error no debug:', error.message);
+    logger.error('Error no debug', { err: error });
     res.status(500).json({
       error: 'Error no debug de produtos',
       details: error.message
@@ -622,34 +4995,123 @@ app.get('/debug-products', async (req, res) => {
 });
 
 // ===== ENDPOINT CLEAR-CACHE =====
-app.post('/clear-cache', (req, res) => {
-  console.log('🧹 Cache clearing request received');
+app.post('/clear-cache', requireRole('admin'), validate('clearCache'), async (req, res) => {
+  logger.debug('Cache clearing request received');
 
   // Headers para forzar no-cache en este endpoint
   res.set({
     'Cache-Control': 'no-cache, no-store, must-revalidate',
     'Pragma': 'no-cache',
     'Expires': '0',
-    'CF-Cache-Tag': 'cache-control',
-    'X-Cache-Invalidate': 'products,alugueres,bikesul' // Indica qué invalidar
+    'CF-Cache-Tag': 'cache-control'
   });
 
-  res.json({
-    success: true,
-    message: 'Cache clear signal sent to Cloudflare',
-    invalidated_tags: ['products', 'alugueres', 'bikesul'],
-    timestamp: new Date().toISOString()
-  });
-});
-
-app.listen(PORT, () => {
-  console.log(`🚀 Server listo en puerto ${PORT}`);
-  console.log(`💓 Health check disponible en: http://localhost:${PORT}/health`);
-  console.log(`📊 Status check disponible en: http://localhost:${PORT}/status`);
-  console.log(`📦 Productos disponibles en: http://localhost:${PORT}/products`);
-  console.log(`🔄 Sincronización disponible en: http://localhost:${PORT}/sync-products`);
-  console.log(`📈 Sync status disponible en: http://localhost:${PORT}/sync-status`);
-  console.log(`🧪 CORS test disponible en: http://localhost:${PORT}/cors-test`);
-  console.log(`🐛 Debug productos disponible en: http://localhost:${PORT}/debug-products`);
-  console.log(`🧹 Clear cache disponible en: http://localhost:${PORT}/clear-cache (POST)`);
+  // Sin cuerpo se purga todo el catálogo; con product_ids/tags solo lo indicado
+  const body = req.body || {};
+  let tags = ['products', 'alugueres', 'bikesul'];
+  if (Array.isArray(body.product_ids) || Array.isArray(body.tags)) {
+    const productIds = Array.isArray(body.product_ids) ? body.product_ids.map(Number) : [];
+    if (productIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ error: "O campo 'product_ids' deve conter ids inteiros" });
+    }
+    const extraTags = Array.isArray(body.tags) ? body.tags.map(String) : [];
+    tags = [...(productIds.length > 0 ? ['products-list'] : []), ...productIds.map(id => `product-${id}`), ...extraTags];
+  }
+
+  try {
+    const result = await purgeCloudflareTags(tags);
+    res.set('X-Cache-Invalidate', tags.join(','));
+    res.json({
+      success: true,
+      message: result.skipped ? 'Cloudflare purge not configured, nothing purged' : 'Cache purged in Cloudflare',
+      invalidated_tags: result.purged,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error purgando Cloudflare', { err: error });
+    res.status(502).json({
+      success: false,
+      error: 'Erro ao purgar a cache do Cloudflare',
+      message: error.message
+    });
+  }
+});
+
+// ===== VERIFICACIÓN DE ESQUEMA =====
+// Con migraciones pendientes el servidor no arranca, salvo MIGRATE_ON_START=true,
+// que las aplica. Tampoco arranca si faltan tablas o columnas que las migraciones
+// aplicadas deberían haber creado. Si la base de datos no responde se arranca igualmente.
+async function verifyDatabaseSchema() {
+  let status;
+  try {
+    status = await migrationStatus(db);
+  } catch (err) {
+    logger.warn('No se pudo verificar el esquema de la base de datos', { err });
+    return;
+  }
+
+  if (status.changed.length > 0) {
+    logger.warn(`Migraciones modificadas después de aplicarse: ${status.changed.join(', ')}`);
+  }
+  if (status.unknown.length > 0) {
+    logger.warn(`Migraciones aplicadas sin fichero en este despliegue: ${status.unknown.join(', ')}`);
+  }
+  if (status.pending.length === 0) {
+    if (status.missing.length > 0) {
+      logger.error(`Migraciones aplicadas pero faltan en la base de datos: ${status.missing.join(', ')}. Revisa los cambios hechos a mano en el esquema.`);
+      process.exit(1);
+    }
+    logger.info('Esquema de base de datos al día (migraciones aplicadas y tablas verificadas).');
+    return;
+  }
+
+  if (process.env.MIGRATE_ON_START === 'true') {
+    const done = await migrateUp(db, { log: msg => logger.info(msg) });
+    logger.info(`${done.length} migraciones aplicadas al arrancar: ${done.join(', ')}`);
+    return;
+  }
+
+  logger.error(`Migraciones pendientes: ${status.pending.join(', ')}. Ejecuta "npm run migrate up" o arranca con MIGRATE_ON_START=true.`);
+  process.exit(1);
+}
+
+async function start() {
+  await verifyDatabaseSchema();
+  getApiSpec();
+  catalogSnapshot.load();
+
+  app.listen(PORT, () => {
+    logger.info(`Server listo en puerto ${PORT}`);
+    logger.debug(`Health check disponible en: http://localhost:${PORT}/health`);
+    logger.debug(`Status check disponible en: http://localhost:${PORT}/status`);
+    logger.debug(`Liveness y readiness disponibles en: http://localhost:${PORT}/live y /ready`);
+    logger.debug(`Productos disponibles en: http://localhost:${PORT}/products`);
+    logger.debug(`Variaciones disponibles en: http://localhost:${PORT}/products/:id/variations`);
+    logger.debug(`Extras disponibles en: http://localhost:${PORT}/products/:id/extras`);
+    logger.debug(`Tours disponibles en: http://localhost:${PORT}/tours (/tours/:id/departures)`);
+    logger.debug(`Presupuestos disponibles en: http://localhost:${PORT}/quote (POST)`);
+    logger.debug(`Reservas disponibles en: http://localhost:${PORT}/bookings (POST)`);
+    logger.debug(`Disponibilidad disponible en: http://localhost:${PORT}/availability?from=YYYY-MM-DD&to=YYYY-MM-DD`);
+    logger.debug(`Sincronización disponible en: http://localhost:${PORT}/sync-products`);
+    logger.debug(`Webhook WooCommerce disponible en: http://localhost:${PORT}/webhooks/woocommerce (POST)`);
+    logger.debug(`Reconciliación disponible en: http://localhost:${PORT}/reconcile-products (POST)`);
+    logger.debug(`Sync jobs disponibles en: http://localhost:${PORT}/sync-jobs (POST)`);
+    logger.debug(`Sync status disponible en: http://localhost:${PORT}/sync-status`);
+    logger.debug(`CORS test disponible en: http://localhost:${PORT}/cors-test`);
+    logger.debug(`Debug productos disponible en: http://localhost:${PORT}/debug-products`);
+    logger.debug(`Clear cache disponible en: http://localhost:${PORT}/clear-cache (POST)`);
+    logger.debug(`API keys disponibles en: http://localhost:${PORT}/admin/api-keys`);
+    logger.debug(`Flota disponible en: http://localhost:${PORT}/admin/fleet`);
+    logger.debug(`Exportación e importación disponibles en: http://localhost:${PORT}/admin/export y /admin/import (POST)`);
+    logger.debug(`Métricas disponibles en: http://localhost:${PORT}/metrics`);
+    logger.debug(`Documentación OpenAPI disponible en: http://localhost:${PORT}/docs (/openapi.json)`);
+
+    recoverInterruptedSyncRuns().then(startSyncScheduler);
+    refreshCatalogSnapshot();
+  });
+}
+
+start().catch(err => {
+  logger.error('Error arrancando el servidor', { err });
+  process.exit(1);
 });
@@ -0,0 +1,63 @@
+// Logger JSON por líneas con niveles (LOG_LEVEL=debug|info|warn|error, por defecto info).
+// El contexto (request_id de la petición, sync_run_id del job...) se propaga con
+// AsyncLocalStorage y se añade a cada línea sin tener que pasarlo a mano.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+const logContext = new AsyncLocalStorage();
+
+// Ejecuta fn con campos de contexto añadidos a los que ya hubiera
+function runWithContext(fields, fn) {
+  return logContext.run({ ...(logContext.getStore() || {}), ...fields }, fn);
+}
+
+function currentContext() {
+  return logContext.getStore() || {};
+}
+
+// Errores (incluidos los de axios) a un objeto serializable sin config ni sockets
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const serialized = { name: err.name, message: err.message };
+  if (err.code) serialized.code = err.code;
+  if (err.status) serialized.status = err.status;
+  if (err.response) {
+    serialized.status = err.response.status;
+    serialized.response = err.response.data;
+  }
+  if (err.stack) serialized.stack = err.stack;
+  return serialized;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...currentContext() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === 'err') entry.error = serializeError(value);
+    else entry[key] = value;
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (err) {
+    line = JSON.stringify({ time: entry.time, level, msg, log_error: err.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+module.exports = {
+  logger,
+  runWithContext,
+  currentContext,
+  serializeError
+};
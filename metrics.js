@@ -0,0 +1,214 @@
+// Métricas en formato de exposición de Prometheus (text/plain 0.0.4), sin dependencias.
+// Cada métrica se registra al crearla y render() devuelve el texto para GET /metrics.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Clave estable de una combinación de labels (en el orden declarado)
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => { picked[name] = labels[name] === undefined ? '' : labels[name]; });
+  return picked;
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    collect() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Con collect se calcula en cada render (p. ej. conexiones del pool); sin él se usa set()
+function createGauge({ name, help, labelNames = [], collect = null }) {
+  const series = new Map();
+  const metric = {
+    set(labels = {}, value) {
+      series.set(labelKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+    },
+    collect() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      if (collect) {
+        Object.entries(collect()).forEach(([labelValue, value]) => {
+          lines.push(`${name}${formatLabels(labelNames.length ? { [labelNames[0]]: labelValue } : {})} ${value}`);
+        });
+      } else {
+        series.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const sorted = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+  const metric = {
+    observe(labels = {}, seconds) {
+      const key = labelKey(labelNames, labels);
+      let current = series.get(key);
+      if (!current) {
+        current = { labels: pickLabels(labelNames, labels), counts: sorted.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+      sorted.forEach((bound, index) => {
+        if (seconds <= bound) current.counts[index]++;
+      });
+      current.sum += seconds;
+      current.count++;
+    },
+    // Devuelve end(labelsExtra) que observa los segundos transcurridos
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    collect() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach(({ labels, counts, sum, count }) => {
+        sorted.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      });
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function render() {
+  return `${registry.map(metric => metric.collect().join('\n')).join('\n')}\n`;
+}
+
+// ===== MÉTRICAS DE LA APLICACIÓN =====
+const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de las peticiones HTTP por ruta',
+  labelNames: ['method', 'route', 'status']
+});
+
+const dbQueryDuration = createHistogram({
+  name: 'db_query_duration_seconds',
+  help: 'Duración de las consultas a Postgres por operación',
+  labelNames: ['operation']
+});
+
+const dbQueryErrors = createCounter({
+  name: 'db_query_errors_total',
+  help: 'Consultas a Postgres fallidas por operación',
+  labelNames: ['operation']
+});
+
+const wooRequests = createCounter({
+  name: 'woocommerce_requests_total',
+  help: 'Llamadas a la API de WooCommerce por recurso y estado HTTP ("error" si no hubo respuesta)',
+  labelNames: ['method', 'resource', 'status']
+});
+
+const wooRequestErrors = createCounter({
+  name: 'woocommerce_request_errors_total',
+  help: 'Llamadas a la API de WooCommerce fallidas (sin respuesta o con estado >= 400)',
+  labelNames: ['method', 'resource']
+});
+
+const wooRequestDuration = createHistogram({
+  name: 'woocommerce_request_duration_seconds',
+  help: 'Duración de las llamadas a la API de WooCommerce',
+  labelNames: ['method', 'resource']
+});
+
+const wooRetries = createCounter({
+  name: 'woocommerce_retries_total',
+  help: 'Reintentos de llamadas a la API de WooCommerce',
+  labelNames: ['method', 'resource']
+});
+
+const responseValidationErrors = createCounter({
+  name: 'response_validation_errors_total',
+  help: 'Respuestas que no cumplen su esquema OpenAPI (se envían igualmente)',
+  labelNames: ['schema']
+});
+
+const catalogSnapshotResponses = createCounter({
+  name: 'catalog_snapshot_responses_total',
+  help: 'Respuestas del catálogo servidas desde el snapshot por fallo de la base de datos',
+  labelNames: ['route']
+});
+
+const syncRuns = createCounter({
+  name: 'sync_runs_total',
+  help: 'Ejecuciones de sincronización terminadas por modo y resultado',
+  labelNames: ['mode', 'status']
+});
+
+const syncRunDuration = createHistogram({
+  name: 'sync_run_duration_seconds',
+  help: 'Duración de las ejecuciones de sincronización',
+  labelNames: ['mode'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800]
+});
+
+const syncProducts = createCounter({
+  name: 'sync_products_total',
+  help: 'Productos procesados por la sincronización por resultado',
+  labelNames: ['mode', 'result']
+});
+
+const syncLastSuccess = createGauge({
+  name: 'sync_last_success_timestamp_seconds',
+  help: 'Momento (epoch) en que terminó la última sincronización correcta'
+});
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  render,
+  httpRequestDuration,
+  dbQueryDuration,
+  dbQueryErrors,
+  wooRequests,
+  wooRequestErrors,
+  wooRequestDuration,
+  wooRetries,
+  responseValidationErrors,
+  catalogSnapshotResponses,
+  syncRuns,
+  syncRunDuration,
+  syncProducts,
+  syncLastSuccess
+};
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_RE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+const MIGRATION_LOCK_KEY = 31900007;
+
+// Tablas y columnas que el código usa tal como quedan tras la última migración. Una migración
+// nueva que añada tablas o columnas debe añadirlas aquí. migrationStatus las compara con
+// information_schema para detectar tablas borradas o alteradas a mano.
+const EXPECTED_SCHEMA = {
+  api_keys: ['id', 'name', 'role', 'key_prefix', 'key_hash', 'created_at', 'last_used_at', 'revoked_at'],
+  bookings: ['id', 'status', 'start_date', 'end_date', 'days', 'customer', 'notes', 'items', 'currency', 'subtotal',
+    'vat_amount', 'total', 'access_token_hash', 'woocommerce_order_id', 'error_message', 'created_at', 'updated_at',
+    'cancelled_at', 'promo_code', 'discount_amount'],
+  extras: ['id', 'woocommerce_id', 'name', 'sku', 'pricing_type', 'price', 'stock_quantity', 'stock_status', 'status',
+    'images', 'short_description', 'compatible_categories', 'compatible_product_ids', 'acf_data', 'content_hash',
+    'updated_at', 'archived_at'],
+  fleet_maintenance_log: ['id', 'unit_id', 'kind', 'description', 'cost', 'performed_at', 'status_from', 'status_to',
+    'created_by', 'created_at'],
+  fleet_units: ['id', 'serial_number', 'product_id', 'variation_id', 'frame_size', 'status', 'service_due_date', 'notes',
+    'created_at', 'updated_at'],
+  pricing_rules: ['id', 'name', 'product_id', 'category_id', 'start_date', 'end_date', 'adjustment_type',
+    'adjustment_value', 'min_days', 'priority', 'active', 'created_at', 'updated_at'],
+  product_changes: ['id', 'product_id', 'variation_id', 'field', 'old_value', 'new_value', 'source', 'sync_run_id', 'changed_at'],
+  product_translations: ['product_id', 'lang', 'woocommerce_id', 'name', 'short_description', 'description', 'updated_at'],
+  product_variations: ['woocommerce_id', 'product_id', 'sku', 'price', 'regular_price', 'stock_quantity', 'stock_status',
+    'size', 'color', 'attributes', 'raw_attributes', 'menu_order', 'updated_at'],
+  products: ['id', 'woocommerce_id', 'name', 'price', 'regular_price', 'stock_quantity', 'stock_status', 'categories',
+    'images', 'description', 'short_description', 'status', 'acf_data', 'meta_data', 'variations_ids',
+    'variations_stock', 'sku', 'precio_1_2', 'precio_3_6', 'precio_7_mais', 'archived_at', 'archive_reason',
+    'content_hash', 'updated_at', 'manage_stock'],
+  promo_code_redemptions: ['id', 'promo_code_id', 'booking_id', 'customer_email', 'created_at'],
+  promo_codes: ['id', 'code', 'description', 'discount_type', 'discount_value', 'valid_from', 'valid_until', 'max_uses',
+    'max_uses_per_customer', 'active', 'created_at', 'updated_at'],
+  reservations: ['id', 'product_id', 'variation_id', 'quantity', 'start_date', 'end_date', 'status', 'reference',
+    'created_at', 'booking_id', 'tour_departure_id'],
+  sync_locks: ['name', 'holder', 'acquired_at', 'expires_at'],
+  sync_runs: ['id', 'mode', 'status', 'started_at', 'finished_at', 'modified_after', 'page', 'fetched', 'synced',
+    'errored', 'archived', 'errors', 'message', 'sections'],
+  tour_departures: ['id', 'tour_id', 'departure_date', 'departure_time', 'capacity', 'status', 'updated_at'],
+  tours: ['id', 'woocommerce_id', 'name', 'sku', 'status', 'images', 'short_description', 'description',
+    'duration_minutes', 'meeting_point', 'capacity', 'price_per_person', 'child_price', 'acf_data', 'content_hash',
+    'updated_at', 'archived_at']
+};
+
+// Divide un fichero .sql en sus secciones "-- migrate:up" y "-- migrate:down"
+function parseSqlMigration(source, file) {
+  const upMarker = source.indexOf('-- migrate:up');
+  const downMarker = source.indexOf('-- migrate:down');
+  if (upMarker === -1) {
+    throw new Error(`La migración ${file} no tiene sección "-- migrate:up"`);
+  }
+  const up = source.slice(upMarker + '-- migrate:up'.length, downMarker > upMarker ? downMarker : undefined).trim();
+  const down = downMarker !== -1 ? source.slice(downMarker + '-- migrate:down'.length).trim() : '';
+  return {
+    up: client => client.query(up),
+    down: down ? client => client.query(down) : null
+  };
+}
+
+// Migraciones del directorio ordenadas por versión. Las .js exportan up(client) y down(client).
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter(file => MIGRATION_FILE_RE.test(file)).sort();
+  const seen = new Set();
+
+  return files.map(file => {
+    const [, version, name, ext] = file.match(MIGRATION_FILE_RE);
+    if (seen.has(version)) throw new Error(`Versión de migración duplicada: ${version}`);
+    seen.add(version);
+
+    const fullPath = path.join(dir, file);
+    const source = fs.readFileSync(fullPath, 'utf8');
+    const checksum = crypto.createHash('sha256').update(source).digest('hex');
+    const steps = ext === 'sql' ? parseSqlMigration(source, file) : require(fullPath);
+    if (typeof steps.up !== 'function') {
+      throw new Error(`La migración ${file} no exporta up()`);
+    }
+
+    return { version, name, file, checksum, up: steps.up, down: typeof steps.down === 'function' ? steps.down : null };
+  });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function fetchApplied(client) {
+  const { rows } = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+  );
+  return rows;
+}
+
+// Tablas ("tabla") y columnas ("tabla.columna") de `expected` que no existen en la base de datos
+async function findMissingSchema(db, expected = EXPECTED_SCHEMA) {
+  const { rows } = await db.query(
+    `SELECT table_name, column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ANY($1::text[])`,
+    [Object.keys(expected)]
+  );
+  const columns = new Map();
+  rows.forEach(row => {
+    if (!columns.has(row.table_name)) columns.set(row.table_name, new Set());
+    columns.get(row.table_name).add(row.column_name);
+  });
+
+  const missing = [];
+  Object.entries(expected).forEach(([table, tableColumns]) => {
+    if (!columns.has(table)) return missing.push(table);
+    tableColumns.forEach(column => {
+      if (!columns.get(table).has(column)) missing.push(`${table}.${column}`);
+    });
+  });
+  return missing;
+}
+
+// Compara el directorio con schema_migrations sin modificar nada. missing (tablas y columnas
+// que faltan) solo se comprueba sin migraciones pendientes: antes de aplicarlas siempre faltan.
+async function migrationStatus(db, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+  const { rows: [{ exists }] } = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  const applied = exists ? await fetchApplied(db) : [];
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+  const pending = migrations.filter(m => !appliedByVersion.has(m.version)).map(m => m.version);
+
+  return {
+    migrations: migrations.map(m => {
+      const row = appliedByVersion.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        applied: Boolean(row),
+        applied_at: row ? row.applied_at : null,
+        checksum_mismatch: Boolean(row && row.checksum !== m.checksum)
+      };
+    }),
+    pending,
+    missing: pending.length === 0 ? await findMissingSchema(db) : [],
+    changed: migrations.filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum).map(m => m.version),
+    unknown: applied.filter(row => !known.has(row.version)).map(row => row.version)
+  };
+}
+
+async function withMigrationLock(db, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Aplica las migraciones pendientes (hasta `target` incluida si se indica), cada una en su transacción.
+// `log` permite al servidor mandar el progreso a su logger en vez de a la consola.
+async function migrateUp(db, { target = null, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(db, async client => {
+    const applied = new Set((await fetchApplied(client)).map(row => row.version));
+    const done = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      if (target !== null && Number(migration.version) > Number(target)) break;
+
+      log(`⬆️  Aplicando migración ${migration.file}...`);
+      await client.query('BEGIN');
+      try {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migración ${migration.file} fallida: ${err.message}`);
+      }
+      done.push(migration.version);
+    }
+
+    return done;
+  });
+}
+
+// Revierte las últimas `steps` migraciones aplicadas, en orden inverso.
+async function migrateDown(db, { steps = 1, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = new Map(loadMigrations(dir).map(m => [m.version, m]));
+  return withMigrationLock(db, async client => {
+    const applied = (await fetchApplied(client)).reverse().slice(0, steps);
+    const done = [];
+
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration) throw new Error(`No existe el fichero de la migración aplicada ${row.version}`);
+      if (!migration.down) throw new Error(`La migración ${migration.file} no se puede revertir (sin down)`);
+
+      log(`⬇️  Revirtiendo migración ${migration.file}...`);
+      await client.query('BEGIN');
+      try {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reversión de ${migration.file} fallida: ${err.message}`);
+      }
+      done.push(migration.version);
+    }
+
+    return done;
+  });
+}
+
+module.exports = {
+  EXPECTED_SCHEMA,
+  loadMigrations,
+  findMissingSchema,
+  migrationStatus,
+  migrateUp,
+  migrateDown
+};
+
+// ===== CLI: node migrate.js up [versión] | down [pasos] | status =====
+if (require.main === module) {
+  const db = require('./db');
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      const done = await migrateUp(db, { target: arg || null });
+      console.log(done.length ? `✅ ${done.length} migraciones aplicadas: ${done.join(', ')}` : '✅ No hay migraciones pendientes');
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) throw new Error(`Número de pasos inválido: ${arg}`);
+      const done = await migrateDown(db, { steps });
+      console.log(done.length ? `✅ ${done.length} migraciones revertidas: ${done.join(', ')}` : '✅ No hay migraciones que revertir');
+    } else if (command === 'status') {
+      const status = await migrationStatus(db);
+      status.migrations.forEach(m => {
+        const flag = m.applied ? (m.checksum_mismatch ? '⚠️ ' : '✅') : '⏳';
+        console.log(`${flag} ${m.version}_${m.name}${m.applied_at ? ` (${new Date(m.applied_at).toISOString()})` : ''}${m.checksum_mismatch ? ' — modificada tras aplicarse' : ''}`);
+      });
+      status.unknown.forEach(version => console.log(`❓ ${version} aplicada pero sin fichero`));
+      status.missing.forEach(name => console.log(`❌ ${name} no existe en la base de datos`));
+      console.log(`${status.pending.length} pendientes`);
+    } else {
+      throw new Error(`Comando desconocido "${command}". Uso: node migrate.js up [versión] | down [pasos] | status`);
+    }
+  };
+
+  run()
+    .catch(err => {
+      console.error('❌', err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
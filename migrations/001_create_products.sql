@@ -0,0 +1,31 @@
+-- Tabla de productos sincronizados desde WooCommerce (categoría ALUGUERES).
+-- IF NOT EXISTS: en los entornos existentes la tabla ya fue creada a mano.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  woocommerce_id INTEGER NOT NULL UNIQUE,
+  name TEXT NOT NULL DEFAULT '',
+  price NUMERIC(10, 2),
+  regular_price NUMERIC(10, 2),
+  stock_quantity INTEGER NOT NULL DEFAULT 0,
+  stock_status TEXT NOT NULL DEFAULT 'instock',
+  categories JSONB NOT NULL DEFAULT '[]',
+  images JSONB NOT NULL DEFAULT '[]',
+  description TEXT NOT NULL DEFAULT '',
+  short_description TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'publish',
+  acf_data JSONB NOT NULL DEFAULT '{}',
+  meta_data JSONB NOT NULL DEFAULT '[]',
+  variations_ids JSONB NOT NULL DEFAULT '[]',
+  variations_stock JSONB NOT NULL DEFAULT '[]',
+  sku TEXT NOT NULL DEFAULT '',
+  precio_1_2 NUMERIC(10, 2),
+  precio_3_6 NUMERIC(10, 2),
+  precio_7_mais NUMERIC(10, 2)
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_categories_gin ON products USING gin ((categories::jsonb) jsonb_path_ops);
+
+-- migrate:down
+DROP TABLE IF EXISTS products;
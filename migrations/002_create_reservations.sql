@@ -0,0 +1,20 @@
+-- Reservas locales usadas para calcular la disponibilidad por fechas.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS reservations (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL,
+  variation_id INTEGER,
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'confirmed',
+  reference TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_product_dates ON reservations (product_id, start_date, end_date);
+
+-- migrate:down
+DROP TABLE IF EXISTS reservations;
@@ -0,0 +1,27 @@
+-- Historial de ejecuciones de sincronización (también usado como cola de jobs).
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id SERIAL PRIMARY KEY,
+  mode TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  modified_after TIMESTAMPTZ,
+  page INTEGER NOT NULL DEFAULT 0,
+  fetched INTEGER NOT NULL DEFAULT 0,
+  synced INTEGER NOT NULL DEFAULT 0,
+  errored INTEGER NOT NULL DEFAULT 0,
+  archived INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]',
+  message TEXT
+);
+
+-- Entornos donde la tabla se creó antes de añadir estas columnas
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS page INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS archived INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_status_started ON sync_runs (status, started_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS sync_runs;
@@ -0,0 +1,9 @@
+-- Productos borrados, despublicados o recategorizados en WooCommerce se archivan.
+
+-- migrate:up
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archive_reason TEXT;
+
+-- migrate:down
+ALTER TABLE products DROP COLUMN IF EXISTS archive_reason;
+ALTER TABLE products DROP COLUMN IF EXISTS archived_at;
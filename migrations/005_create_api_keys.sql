@@ -0,0 +1,16 @@
+-- API keys para los endpoints operativos. Solo se guarda el hash SHA-256 de la clave.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('staff', 'admin')),
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS api_keys;
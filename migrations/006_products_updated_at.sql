@@ -0,0 +1,9 @@
+-- Marca de modificación real del producto: alimenta ETag/Last-Modified y la purga de Cloudflare.
+
+-- migrate:up
+ALTER TABLE products ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- migrate:down
+ALTER TABLE products DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE products DROP COLUMN IF EXISTS content_hash;
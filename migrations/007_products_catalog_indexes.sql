@@ -0,0 +1,20 @@
+-- Índices para búsqueda, filtros y ordenación de GET /products.
+
+-- migrate:up
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_trgm ON products USING gin (
+  (COALESCE(name, '') || ' ' || COALESCE(sku, '') || ' ' || COALESCE(short_description, '') || ' ' || COALESCE(description, '')) gin_trgm_ops
+);
+CREATE INDEX IF NOT EXISTS idx_products_catalog_price ON products ((COALESCE(precio_1_2, price)), woocommerce_id)
+  WHERE status = 'publish' AND archived_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_products_catalog_name ON products (name, woocommerce_id)
+  WHERE status = 'publish' AND archived_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_products_catalog_stock ON products (stock_quantity, woocommerce_id)
+  WHERE status = 'publish' AND archived_at IS NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_products_catalog_stock;
+DROP INDEX IF EXISTS idx_products_catalog_name;
+DROP INDEX IF EXISTS idx_products_catalog_price;
+DROP INDEX IF EXISTS idx_products_search_trgm;
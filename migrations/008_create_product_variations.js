@@ -0,0 +1,52 @@
+// Variaciones en tabla propia, con atributos normalizados (size, color...).
+// Se rellena a partir del JSON variations_stock ya sincronizado en products.
+const { mapWooVariation } = require('../variations');
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS product_variations (
+      woocommerce_id INTEGER PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES products (woocommerce_id) ON DELETE CASCADE,
+      sku TEXT NOT NULL DEFAULT '',
+      price NUMERIC(10, 2),
+      regular_price NUMERIC(10, 2),
+      stock_quantity INTEGER,
+      stock_status TEXT,
+      size TEXT,
+      color TEXT,
+      attributes JSONB NOT NULL DEFAULT '{}',
+      raw_attributes JSONB NOT NULL DEFAULT '[]',
+      menu_order INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_product_variations_product ON product_variations (product_id, menu_order)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_product_variations_size ON product_variations ((upper(size)), product_id)');
+
+  const { rows } = await client.query(
+    `SELECT woocommerce_id, variations_stock FROM products
+     WHERE jsonb_typeof(variations_stock::jsonb) = 'array' AND jsonb_array_length(variations_stock::jsonb) > 0`
+  );
+  for (const product of rows) {
+    const variations = typeof product.variations_stock === 'string' ? JSON.parse(product.variations_stock) : product.variations_stock;
+    for (const variation of variations) {
+      if (!variation || !variation.id) continue;
+      const row = mapWooVariation(variation, product.woocommerce_id);
+      await client.query(
+        `INSERT INTO product_variations (
+           woocommerce_id, product_id, sku, price, regular_price, stock_quantity, stock_status,
+           size, color, attributes, raw_attributes, menu_order
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+         ON CONFLICT (woocommerce_id) DO NOTHING`,
+        [row.woocommerce_id, row.product_id, row.sku, row.price, row.regular_price, row.stock_quantity, row.stock_status,
+          row.size, row.color, JSON.stringify(row.attributes), JSON.stringify(row.raw_attributes), row.menu_order]
+      );
+    }
+  }
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS product_variations');
+}
+
+module.exports = { up, down };
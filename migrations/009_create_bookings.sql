@@ -0,0 +1,33 @@
+-- Reservas creadas desde la API. Cada una bloquea stock en reservations y se
+-- envía a WooCommerce como pedido; el token de acceso solo se guarda como hash.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS bookings (
+  id SERIAL PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'failed', 'cancelled')),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  days INTEGER NOT NULL,
+  customer JSONB NOT NULL,
+  notes TEXT,
+  items JSONB NOT NULL,
+  currency TEXT NOT NULL,
+  subtotal NUMERIC(10,2) NOT NULL,
+  vat_amount NUMERIC(10,2) NOT NULL,
+  total NUMERIC(10,2) NOT NULL,
+  access_token_hash TEXT NOT NULL,
+  woocommerce_order_id INTEGER,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cancelled_at TIMESTAMPTZ,
+  CHECK (end_date >= start_date)
+);
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_reservations_booking ON reservations (booking_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_reservations_booking;
+ALTER TABLE reservations DROP COLUMN IF EXISTS booking_id;
+DROP TABLE IF EXISTS bookings;
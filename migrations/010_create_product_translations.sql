@@ -0,0 +1,17 @@
+-- Textos traducidos del catálogo (WPML/Polylang). product_id es el woocommerce_id del
+-- producto en el idioma por defecto; woocommerce_id es el de su versión traducida.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS product_translations (
+  product_id INTEGER NOT NULL REFERENCES products(woocommerce_id) ON DELETE CASCADE,
+  lang TEXT NOT NULL,
+  woocommerce_id INTEGER NOT NULL UNIQUE,
+  name TEXT,
+  short_description TEXT,
+  description TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (product_id, lang)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS product_translations;
@@ -0,0 +1,25 @@
+-- Extras de alquiler (categoría EXTRAS_CATEGORY_ID) con su tipo de precio y reglas de compatibilidad.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS extras (
+  id SERIAL PRIMARY KEY,
+  woocommerce_id INTEGER NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  sku TEXT,
+  pricing_type TEXT NOT NULL DEFAULT 'per_day' CHECK (pricing_type IN ('per_day', 'flat')),
+  price NUMERIC(10,2) NOT NULL DEFAULT 0,
+  stock_quantity INTEGER,
+  stock_status TEXT,
+  status TEXT NOT NULL DEFAULT 'publish',
+  images JSONB NOT NULL DEFAULT '[]',
+  short_description TEXT,
+  compatible_categories JSONB NOT NULL DEFAULT '[]',
+  compatible_product_ids JSONB NOT NULL DEFAULT '[]',
+  acf_data JSONB,
+  content_hash TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS extras;
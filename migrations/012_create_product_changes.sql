@@ -0,0 +1,21 @@
+-- Historial de cambios de precio, stock y estado de cada producto (y de sus variaciones),
+-- registrado por la sincronización al comparar la fila anterior con la nueva.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS product_changes (
+  id BIGSERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products (woocommerce_id) ON DELETE CASCADE,
+  variation_id INTEGER,
+  field TEXT NOT NULL,
+  old_value JSONB,
+  new_value JSONB,
+  source TEXT NOT NULL CHECK (source IN ('sync', 'webhook', 'reconcile')),
+  sync_run_id INTEGER REFERENCES sync_runs (id) ON DELETE SET NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_changes_product ON product_changes (product_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_product_changes_changed_at ON product_changes (changed_at, id);
+
+-- migrate:down
+DROP TABLE IF EXISTS product_changes;
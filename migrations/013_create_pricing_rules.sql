@@ -0,0 +1,61 @@
+-- Reglas de precio locales sobre los tramos ACF y códigos promocionales.
+-- Una regla sin producto ni categoría aplica a todo el catálogo.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  product_id INTEGER REFERENCES products (woocommerce_id) ON DELETE CASCADE,
+  category_id INTEGER,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  adjustment_type TEXT CHECK (adjustment_type IN ('multiplier', 'override')),
+  adjustment_value NUMERIC(10, 4),
+  min_days INTEGER CHECK (min_days IS NULL OR min_days > 0),
+  priority INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date >= start_date),
+  CHECK ((adjustment_type IS NULL) = (adjustment_value IS NULL)),
+  CHECK (adjustment_type IS NOT NULL OR min_days IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_dates ON pricing_rules (start_date, end_date) WHERE active;
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+  valid_from TIMESTAMPTZ,
+  valid_until TIMESTAMPTZ,
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+  max_uses_per_customer INTEGER CHECK (max_uses_per_customer IS NULL OR max_uses_per_customer > 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (valid_until IS NULL OR valid_from IS NULL OR valid_until > valid_from)
+);
+
+-- Un uso por reserva; solo cuentan las reservas pendientes o confirmadas
+CREATE TABLE IF NOT EXISTS promo_code_redemptions (
+  id SERIAL PRIMARY KEY,
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id) ON DELETE CASCADE,
+  booking_id INTEGER NOT NULL UNIQUE REFERENCES bookings (id) ON DELETE CASCADE,
+  customer_email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_code_redemptions_code ON promo_code_redemptions (promo_code_id, customer_email);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS promo_code TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE bookings DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE bookings DROP COLUMN IF EXISTS promo_code;
+DROP TABLE IF EXISTS promo_code_redemptions;
+DROP TABLE IF EXISTS promo_codes;
+DROP TABLE IF EXISTS pricing_rules;
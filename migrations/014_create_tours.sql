@@ -0,0 +1,46 @@
+-- Tours guiados (categoría TOURS_CATEGORY_ID) y sus salidas. Las plazas ocupadas de cada
+-- salida son las reservas activas que la apuntan en reservations.tour_departure_id.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS tours (
+  id SERIAL PRIMARY KEY,
+  woocommerce_id INTEGER NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  sku TEXT,
+  status TEXT NOT NULL DEFAULT 'publish',
+  images JSONB NOT NULL DEFAULT '[]',
+  short_description TEXT,
+  description TEXT,
+  duration_minutes INTEGER CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+  meeting_point JSONB,
+  capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+  price_per_person NUMERIC(10,2) NOT NULL DEFAULT 0,
+  child_price NUMERIC(10,2),
+  acf_data JSONB,
+  content_hash TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ
+);
+
+-- departure_time vacío = salida sin hora fija
+CREATE TABLE IF NOT EXISTS tour_departures (
+  id SERIAL PRIMARY KEY,
+  tour_id INTEGER NOT NULL REFERENCES tours (woocommerce_id) ON DELETE CASCADE,
+  departure_date DATE NOT NULL,
+  departure_time TEXT NOT NULL DEFAULT '' CHECK (departure_time = '' OR departure_time ~ '^[0-2][0-9]:[0-5][0-9]$'),
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (tour_id, departure_date, departure_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tour_departures_date ON tour_departures (departure_date) WHERE status = 'scheduled';
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS tour_departure_id INTEGER REFERENCES tour_departures (id);
+CREATE INDEX IF NOT EXISTS idx_reservations_tour_departure ON reservations (tour_departure_id) WHERE tour_departure_id IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_reservations_tour_departure;
+ALTER TABLE reservations DROP COLUMN IF EXISTS tour_departure_id;
+DROP TABLE IF EXISTS tour_departures;
+DROP TABLE IF EXISTS tours;
@@ -0,0 +1,38 @@
+-- Flota: una fila por bicicleta física y su historial de mantenimiento. Las unidades en
+-- mantenimiento se descuentan del stock público de su producto/variación.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS fleet_units (
+  id SERIAL PRIMARY KEY,
+  serial_number TEXT NOT NULL UNIQUE,
+  product_id INTEGER NOT NULL REFERENCES products (woocommerce_id) ON DELETE CASCADE,
+  variation_id INTEGER,
+  frame_size TEXT,
+  status TEXT NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'rented', 'maintenance', 'retired')),
+  service_due_date DATE,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fleet_units_product_status ON fleet_units (product_id, status);
+
+-- kind 'status': cambio de estado registrado automáticamente (status_from → status_to)
+CREATE TABLE IF NOT EXISTS fleet_maintenance_log (
+  id SERIAL PRIMARY KEY,
+  unit_id INTEGER NOT NULL REFERENCES fleet_units (id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('service', 'repair', 'inspection', 'status')),
+  description TEXT,
+  cost NUMERIC(10,2) CHECK (cost IS NULL OR cost >= 0),
+  performed_at DATE NOT NULL DEFAULT CURRENT_DATE,
+  status_from TEXT,
+  status_to TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fleet_maintenance_log_unit ON fleet_maintenance_log (unit_id, performed_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS fleet_maintenance_log;
+DROP TABLE IF EXISTS fleet_units;
@@ -0,0 +1,12 @@
+-- Los cambios aplicados con POST /admin/import quedan en el historial con source 'import'.
+
+-- migrate:up
+ALTER TABLE product_changes DROP CONSTRAINT IF EXISTS product_changes_source_check;
+ALTER TABLE product_changes ADD CONSTRAINT product_changes_source_check
+  CHECK (source IN ('sync', 'webhook', 'reconcile', 'import'));
+
+-- migrate:down
+DELETE FROM product_changes WHERE source = 'import';
+ALTER TABLE product_changes DROP CONSTRAINT IF EXISTS product_changes_source_check;
+ALTER TABLE product_changes ADD CONSTRAINT product_changes_source_check
+  CHECK (source IN ('sync', 'webhook', 'reconcile'));
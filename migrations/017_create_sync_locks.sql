@@ -0,0 +1,14 @@
+-- Lock de la sincronización como fila con caducidad (lease) en lugar de un advisory lock de sesión:
+-- detrás de un pooler en modo transacción (Neon, pgbouncer) la sesión no es estable entre consultas.
+-- Quien tiene el lock lo renueva mientras trabaja; si el proceso muere, caduca solo.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sync_locks (
+  name TEXT PRIMARY KEY,
+  holder TEXT NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS sync_locks;
@@ -0,0 +1,15 @@
+-- Productos sin gestión de stock en WooCommerce (manage_stock desactivado): stock_quantity queda a 0
+-- pero no limita las reservas. En productos variables basta con una variación sin gestionar.
+-- Los productos simples se corrigen en la siguiente sincronización.
+
+-- migrate:up
+ALTER TABLE products ADD COLUMN IF NOT EXISTS manage_stock BOOLEAN NOT NULL DEFAULT TRUE;
+
+UPDATE products SET manage_stock = FALSE
+WHERE EXISTS (
+  SELECT 1 FROM jsonb_array_elements(COALESCE(variations_stock, '[]'::jsonb)) v
+  WHERE v->'stock_quantity' IS NULL OR jsonb_typeof(v->'stock_quantity') = 'null'
+);
+
+-- migrate:down
+ALTER TABLE products DROP COLUMN IF EXISTS manage_stock;
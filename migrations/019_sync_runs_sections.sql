@@ -0,0 +1,8 @@
+-- Recuento de extras y tours de cada ejecución, aparte de los productos de ALUGUERES:
+-- { extras: { fetched, synced, errored }, tours: { ... } }
+
+-- migrate:up
+ALTER TABLE sync_runs ADD COLUMN IF NOT EXISTS sections JSONB NOT NULL DEFAULT '{}';
+
+-- migrate:down
+ALTER TABLE sync_runs DROP COLUMN IF EXISTS sections;
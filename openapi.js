@@ -0,0 +1,1017 @@
+// Documento OpenAPI 3 de la API. Lo sirve GET /openapi.json y lo usa validation.js para
+// validar parámetros y cuerpos de cada ruta (por operationId) y los productos que se devuelven.
+// Los límites que también comprueban las rutas (sorts, tamaños de página...) llegan desde index.js.
+const { version } = require('./package.json');
+const { RULE_ADJUSTMENTS, PROMO_DISCOUNT_TYPES } = require('./pricing');
+const { FLEET_STATUSES, MAINTENANCE_KINDS } = require('./fleet');
+const { IMPORT_MAX_ROWS } = require('./bulk');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const response = (description, schema) => (schema ? { description, ...json(schema) } : { description });
+const errorResponse = description => response(description, ref('Error'));
+
+const AUTH = [{ bearerAuth: [] }, { apiKey: [] }];
+const ID = { type: 'integer', minimum: 1 };
+const DATE = { type: 'string', format: 'date' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const nullable = schema => ({ ...schema, nullable: true });
+const object = (properties, required = [], extra = {}) => ({ type: 'object', properties, required, ...extra });
+
+const pathId = (description = 'Identificador') => ({ name: 'id', in: 'path', required: true, description, schema: ID });
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const LANG_PARAM = query('lang', { type: 'string' }, 'Idioma (pt, en, es); tiene prioridad sobre Accept-Language');
+
+// Respuestas de error comunes según el tipo de ruta
+const PUBLIC_ERRORS = {
+  400: response('Parámetros o cuerpo inválidos', ref('ValidationError')),
+  500: errorResponse('Error interno')
+};
+const PROTECTED_ERRORS = {
+  ...PUBLIC_ERRORS,
+  401: errorResponse('Falta la credencial o no es válida'),
+  403: errorResponse('La credencial no tiene el rol necesario')
+};
+
+// bodyContent: cuerpos con varios tipos de contenido ({ 'text/csv': { schema } ... }) en lugar de body
+function operation(operationId, summary, { tags, params = [], body, bodyContent, responses, security, errors = PUBLIC_ERRORS }) {
+  return {
+    operationId,
+    summary,
+    tags,
+    ...(security ? { security } : {}),
+    ...(params.length > 0 ? { parameters: params } : {}),
+    ...(body ? { requestBody: { required: true, ...json(body) } } : {}),
+    ...(bodyContent ? { requestBody: { required: true, content: bodyContent } } : {}),
+    responses: { ...responses, ...errors }
+  };
+}
+const staffOperation = (operationId, summary, options) =>
+  operation(operationId, `${summary} (staff)`, { ...options, security: AUTH, errors: PROTECTED_ERRORS });
+const adminOperation = (operationId, summary, options) =>
+  operation(operationId, `${summary} (admin)`, { ...options, security: AUTH, errors: PROTECTED_ERRORS });
+
+function schemas({ historyTypes, maxQuoteItems, maxNotesLength }) {
+  const syncMode = { type: 'string', enum: ['full', 'delta'] };
+
+  return {
+    Error: object({
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }, ['error']),
+    ValidationError: object({
+      error: { type: 'string' },
+      details: {
+        type: 'array',
+        items: object({
+          location: { type: 'string', enum: ['path', 'query', 'body'] },
+          name: { type: 'string' },
+          message: { type: 'string' }
+        }, ['location', 'name', 'message'])
+      }
+    }, ['error']),
+
+    // Producto tal como lo devuelven /products y /products/:id
+    Product: object({
+      id: { type: 'string', description: 'Id de WooCommerce como texto' },
+      name: { type: 'string' },
+      lang: { type: 'string' },
+      type: { type: 'string', description: 'Slug de la subcategoría principal' },
+      price: { type: 'number', description: 'precio_1_2 de ACF o, si no hay, el precio de WooCommerce' },
+      regular_price: { type: 'number' },
+      available: { type: 'integer' },
+      stock_quantity: { type: 'integer' },
+      stock_status: { type: 'string' },
+      image: { type: 'string' },
+      images: { type: 'array', items: { type: 'object' } },
+      description: { type: 'string' },
+      short_description: { type: 'string' },
+      categories: { type: 'array', items: { type: 'object' } },
+      status: { type: 'string' },
+      woocommerce_id: { type: 'integer' },
+      acf_data: { type: 'object' },
+      acf_pricing: object({
+        precio_1_2: { type: 'number' },
+        precio_3_6: { type: 'number' },
+        precio_7_mais: { type: 'number' }
+      }),
+      meta_data: { type: 'array' },
+      variations_ids: { type: 'array' },
+      variations_stock: { type: 'array' },
+      sku: { type: 'string' },
+      category: { type: 'string' },
+      effective_pricing: ref('EffectivePricing')
+    }, [
+      'id', 'name', 'lang', 'type', 'price', 'regular_price', 'available', 'stock_quantity', 'stock_status', 'image',
+      'images', 'description', 'short_description', 'categories', 'status', 'woocommerce_id', 'acf_data', 'acf_pricing',
+      'meta_data', 'variations_ids', 'variations_stock', 'sku', 'category'
+    ], { additionalProperties: false }),
+    EffectivePricing: object({
+      date: DATE,
+      price: nullable({ type: 'number' }),
+      precio_1_2: nullable({ type: 'number' }),
+      precio_3_6: nullable({ type: 'number' }),
+      precio_7_mais: nullable({ type: 'number' }),
+      min_days: nullable({ type: 'integer' }),
+      rule: nullable(object({
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        adjustment_type: nullable({ type: 'string', enum: RULE_ADJUSTMENTS }),
+        adjustment_value: { type: 'number' }
+      }))
+    }, ['date']),
+    ProductPage: object({
+      products: { type: 'array', items: ref('Product') },
+      pagination: object({
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        total_pages: { type: 'integer' },
+        has_next: { type: 'boolean' }
+      }),
+      sort: { type: 'string' }
+    }, ['products', 'pagination']),
+    Variation: object({
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      sku: { type: 'string' },
+      price: nullable({ type: 'number' }),
+      regular_price: nullable({ type: 'number' }),
+      stock_quantity: nullable({ type: 'integer' }),
+      stock_status: nullable({ type: 'string' }),
+      in_stock: { type: 'boolean' },
+      size: nullable({ type: 'string' }),
+      color: nullable({ type: 'string' }),
+      attributes: { type: 'object', additionalProperties: { type: 'string' } }
+    }),
+    ProductVariations: object({
+      product_id: { type: 'integer' },
+      name: { type: 'string' },
+      attributes: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+      variations: { type: 'array', items: ref('Variation') }
+    }),
+    // data de los eventos 'stock' de /stream/stock
+    StockEvent: object({
+      product_id: { type: 'integer' },
+      status: { type: 'string', description: "Estado en WooCommerce o 'archived'" },
+      price: { type: 'number' },
+      regular_price: { type: 'number' },
+      acf_pricing: object({
+        precio_1_2: { type: 'number' },
+        precio_3_6: { type: 'number' },
+        precio_7_mais: { type: 'number' }
+      }),
+      stock_quantity: nullable({ type: 'integer', description: 'Stock público (sin las unidades retenidas); null sin gestión de stock' }),
+      stock_status: { type: 'string' },
+      available_today: nullable({ type: 'integer', description: 'Stock público menos las reservas de hoy; null sin gestión de stock (in_stock sale de stock_status)' }),
+      in_stock: { type: 'boolean' },
+      variations: {
+        type: 'array',
+        items: object({
+          id: { type: 'integer' },
+          sku: nullable({ type: 'string' }),
+          price: nullable({ type: 'number' }),
+          stock_quantity: nullable({ type: 'integer' }),
+          available_today: nullable({ type: 'integer' }),
+          in_stock: { type: 'boolean' }
+        })
+      },
+      reason: { type: 'string', enum: ['current', 'sync', 'webhook', 'reconcile', 'import', 'fleet', 'booking'] },
+      published_at: { ...DATE_TIME, description: "No viene en los eventos 'current'" }
+    }),
+    // data de los eventos 'availability' de /stream/stock: volver a pedir /availability para ese rango
+    AvailabilityEvent: object({
+      product_ids: { type: 'array', items: { type: 'integer' } },
+      from: DATE,
+      to: DATE,
+      reason: { type: 'string', enum: ['booking'] },
+      published_at: DATE_TIME
+    }),
+    Extra: object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      sku: { type: 'string' },
+      pricing_type: { type: 'string' },
+      price: { type: 'number' },
+      stock_quantity: nullable({ type: 'integer' }),
+      in_stock: { type: 'boolean' },
+      image: { type: 'string' },
+      short_description: { type: 'string' },
+      days: { type: 'integer', description: 'Solo con ?from&to' },
+      unit_total: { type: 'number', description: 'Solo con ?from&to' }
+    }),
+    ProductExtras: object({
+      product_id: { type: 'integer' },
+      name: { type: 'string' },
+      from: DATE,
+      to: DATE,
+      days: { type: 'integer' },
+      extras: { type: 'array', items: ref('Extra') }
+    }),
+    TourDeparture: object({
+      id: { type: 'integer' },
+      date: DATE,
+      time: nullable({ type: 'string', pattern: '^\\d{2}:\\d{2}$' }),
+      capacity: { type: 'integer' },
+      booked: { type: 'integer' },
+      remaining: { type: 'integer' },
+      available: { type: 'boolean' }
+    }),
+    Tour: object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      sku: { type: 'string' },
+      image: { type: 'string' },
+      images: { type: 'array', items: { type: 'object' } },
+      short_description: { type: 'string' },
+      description: { type: 'string', description: 'Solo en /tours/{id}' },
+      duration_minutes: nullable({ type: 'integer' }),
+      meeting_point: nullable(object({ address: { type: 'string' }, lat: nullable({ type: 'number' }), lng: nullable({ type: 'number' }) })),
+      capacity: nullable({ type: 'integer' }),
+      price_per_person: { type: 'number' },
+      child_price: nullable({ type: 'number' }),
+      currency: { type: 'string' },
+      next_departure: nullable(object({ id: { type: 'integer' }, date: DATE, time: nullable({ type: 'string' }), remaining: { type: 'integer' } }))
+    }),
+    TourDepartures: object({
+      tour_id: { type: 'integer' },
+      name: { type: 'string' },
+      from: DATE,
+      to: DATE,
+      departures: { type: 'array', items: ref('TourDeparture') }
+    }),
+    ProductChange: object({
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      product_name: { type: 'string', description: 'Solo en /changes' },
+      variation_id: nullable({ type: 'integer' }),
+      field: { type: 'string' },
+      old_value: { nullable: true },
+      new_value: { nullable: true },
+      source: { type: 'string', enum: ['sync', 'webhook', 'reconcile', 'import'] },
+      sync_run_id: nullable({ type: 'integer' }),
+      changed_at: DATE_TIME
+    }),
+    ProductHistory: object({
+      product_id: { type: 'integer' },
+      name: { type: 'string' },
+      archived: { type: 'boolean' },
+      changes: { type: 'array', items: ref('ProductChange') },
+      next_before: nullable({ type: 'integer' })
+    }),
+    ChangeFeed: object({
+      changes: { type: 'array', items: ref('ProductChange') },
+      has_more: { type: 'boolean' },
+      next_cursor: nullable({ type: 'integer' })
+    }),
+    Availability: object({
+      from: DATE,
+      to: DATE,
+      days: { type: 'integer' },
+      products: {
+        type: 'array',
+        items: object({
+          product_id: { type: 'integer' },
+          name: { type: 'string' },
+          stock_quantity: nullable({ type: 'integer', description: 'null: sin gestión de stock en WooCommerce' }),
+          on_hold: { type: 'integer', description: 'Unidades de la flota en mantenimiento' },
+          reserved: { type: 'integer' },
+          available: nullable({ type: 'integer', description: 'null: sin límite (sin gestión de stock)' }),
+          variations: { type: 'array', items: { type: 'object' } }
+        })
+      }
+    }),
+
+    QuoteItem: object({
+      product_id: ID,
+      variation_id: nullable(ID),
+      quantity: { type: 'integer', minimum: 1, default: 1 }
+    }, ['product_id']),
+    QuoteRequest: object({
+      from: DATE,
+      to: DATE,
+      items: { type: 'array', minItems: 1, maxItems: maxQuoteItems, items: ref('QuoteItem') },
+      promo_code: nullable({ type: 'string', maxLength: 40 })
+    }, ['from', 'to', 'items']),
+    QuoteLine: object({
+      product_id: { type: 'integer' },
+      variation_id: nullable({ type: 'integer' }),
+      name: { type: 'string' },
+      quantity: { type: 'integer' },
+      days: { type: 'integer' },
+      tier: { type: 'string' },
+      daily_rate: { type: 'number' },
+      line_total: { type: 'number' },
+      seasons: { type: 'array', items: { type: 'object' }, description: 'Solo si alguna regla de temporada aplica' }
+    }),
+    Quote: object({
+      from: DATE,
+      to: DATE,
+      days: { type: 'integer' },
+      currency: { type: 'string' },
+      lines: { type: 'array', items: ref('QuoteLine') },
+      subtotal: { type: 'number' },
+      discount: nullable(object({
+        code: { type: 'string' },
+        type: { type: 'string', enum: PROMO_DISCOUNT_TYPES },
+        value: { type: 'number' },
+        amount: { type: 'number' }
+      })),
+      vat: object({
+        rate: { type: 'number' },
+        included: { type: 'boolean' },
+        net_amount: { type: 'number' },
+        amount: { type: 'number' }
+      }),
+      total: { type: 'number' }
+    }),
+    BookingCustomer: object({
+      first_name: { type: 'string', minLength: 1 },
+      last_name: { type: 'string', minLength: 1 },
+      email: { type: 'string', format: 'email' },
+      phone: nullable({ type: 'string' })
+    }, ['first_name', 'last_name', 'email']),
+    BookingRequest: object({
+      from: DATE,
+      to: DATE,
+      items: { type: 'array', minItems: 1, maxItems: maxQuoteItems, items: ref('QuoteItem') },
+      customer: ref('BookingCustomer'),
+      notes: nullable({ type: 'string', maxLength: maxNotesLength }),
+      promo_code: nullable({ type: 'string', maxLength: 40 })
+    }, ['from', 'to', 'items', 'customer']),
+    TourBookingRequest: object({
+      departure_id: ID,
+      adults: { type: 'integer', minimum: 1 },
+      children: { type: 'integer', minimum: 0, default: 0 },
+      customer: ref('BookingCustomer'),
+      notes: nullable({ type: 'string', maxLength: maxNotesLength })
+    }, ['departure_id', 'adults', 'customer']),
+    TourBookingLine: object({
+      product_id: { type: 'integer', description: 'Id de WooCommerce del tour' },
+      variation_id: nullable({ type: 'integer' }),
+      tour_departure_id: { type: 'integer' },
+      name: { type: 'string' },
+      date: DATE,
+      time: nullable({ type: 'string' }),
+      quantity: { type: 'integer', description: 'Plazas (adultos + niños)' },
+      adults: { type: 'integer' },
+      children: { type: 'integer' },
+      price_per_person: { type: 'number' },
+      child_price: { type: 'number' },
+      line_total: { type: 'number' }
+    }),
+    Booking: object({
+      id: { type: 'integer' },
+      status: { type: 'string', enum: ['pending', 'confirmed', 'failed', 'cancelled'] },
+      from: DATE,
+      to: DATE,
+      days: { type: 'integer' },
+      customer: ref('BookingCustomer'),
+      notes: nullable({ type: 'string' }),
+      currency: { type: 'string' },
+      lines: { type: 'array', items: { anyOf: [ref('QuoteLine'), ref('TourBookingLine')] } },
+      subtotal: { type: 'number' },
+      promo_code: nullable({ type: 'string' }),
+      discount_amount: { type: 'number' },
+      vat_amount: { type: 'number' },
+      total: { type: 'number' },
+      woocommerce_order_id: nullable({ type: 'integer' }),
+      error: nullable({ type: 'string' }),
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME,
+      cancelled_at: nullable(DATE_TIME),
+      access_token: { type: 'string', description: 'Solo en la respuesta de creación' }
+    }),
+
+    SyncRun: object({
+      id: { type: 'integer' },
+      mode: syncMode,
+      status: { type: 'string' },
+      started_at: DATE_TIME,
+      finished_at: nullable(DATE_TIME),
+      duration_ms: nullable({ type: 'integer' }),
+      modified_after: nullable(DATE_TIME),
+      page: nullable({ type: 'integer' }),
+      fetched: { type: 'integer' },
+      synced: { type: 'integer' },
+      errored: { type: 'integer' },
+      archived: { type: 'integer' },
+      errors: { type: 'array', items: { type: 'object' } },
+      sections: { type: 'object', description: 'Extras y tours: { extras: { fetched, synced, errored }, tours: { ... } }' },
+      message: nullable({ type: 'string' })
+    }),
+    SyncJobRequest: object({ mode: syncMode }),
+    SyncJob: object({
+      job_id: { type: 'integer' },
+      status: { type: 'string' },
+      mode: syncMode,
+      status_url: { type: 'string' }
+    }),
+    ReconcileRequest: object({
+      dry_run: { anyOf: [{ type: 'boolean' }, { type: 'string', enum: ['true', 'false', '1', '0'] }] }
+    }),
+    ClearCacheRequest: object({
+      product_ids: { type: 'array', items: ID },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }),
+
+    ApiKey: object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      role: { type: 'string', enum: ['staff', 'admin'] },
+      key_prefix: { type: 'string' },
+      created_at: DATE_TIME,
+      last_used_at: nullable(DATE_TIME),
+      revoked_at: nullable(DATE_TIME),
+      key: { type: 'string', description: 'Solo en la respuesta de creación' }
+    }),
+    ApiKeyRequest: object({
+      name: { type: 'string', minLength: 1 },
+      role: { type: 'string', enum: ['staff', 'admin'] }
+    }, ['name', 'role']),
+
+    PricingRuleInput: object({
+      name: { type: 'string', minLength: 1 },
+      product_id: nullable(ID),
+      category_id: nullable(ID),
+      start_date: DATE,
+      end_date: DATE,
+      adjustment_type: nullable({ type: 'string', enum: RULE_ADJUSTMENTS }),
+      adjustment_value: nullable({ type: 'number', minimum: 0 }),
+      min_days: nullable({ type: 'integer', minimum: 1 }),
+      priority: { type: 'integer' },
+      active: { type: 'boolean' }
+    }),
+    PricingRule: object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      product_id: nullable({ type: 'integer' }),
+      category_id: nullable({ type: 'integer' }),
+      start_date: DATE,
+      end_date: DATE,
+      adjustment_type: nullable({ type: 'string', enum: RULE_ADJUSTMENTS }),
+      adjustment_value: nullable({ type: 'number' }),
+      min_days: nullable({ type: 'integer' }),
+      priority: { type: 'integer' },
+      active: { type: 'boolean' },
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME
+    }),
+    PromoCodeInput: object({
+      code: { type: 'string', minLength: 3, maxLength: 40 },
+      description: nullable({ type: 'string' }),
+      discount_type: { type: 'string', enum: PROMO_DISCOUNT_TYPES },
+      discount_value: { type: 'number', exclusiveMinimum: 0 },
+      valid_from: nullable(DATE_TIME),
+      valid_until: nullable(DATE_TIME),
+      max_uses: nullable({ type: 'integer', minimum: 1 }),
+      max_uses_per_customer: nullable({ type: 'integer', minimum: 1 }),
+      active: { type: 'boolean' }
+    }),
+    PromoCode: object({
+      id: { type: 'integer' },
+      code: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      discount_type: { type: 'string', enum: PROMO_DISCOUNT_TYPES },
+      discount_value: { type: 'number' },
+      valid_from: nullable(DATE_TIME),
+      valid_until: nullable(DATE_TIME),
+      max_uses: nullable({ type: 'integer' }),
+      max_uses_per_customer: nullable({ type: 'integer' }),
+      uses: { type: 'integer' },
+      active: { type: 'boolean' },
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME
+    }),
+
+    FleetUnitInput: object({
+      serial_number: { type: 'string', minLength: 1 },
+      product_id: ID,
+      variation_id: nullable(ID),
+      frame_size: nullable({ type: 'string' }),
+      status: { type: 'string', enum: FLEET_STATUSES },
+      service_due_date: nullable(DATE),
+      notes: nullable({ type: 'string' })
+    }),
+    FleetUnit: object({
+      id: { type: 'integer' },
+      serial_number: { type: 'string' },
+      product_id: { type: 'integer' },
+      product_name: { type: 'string' },
+      variation_id: nullable({ type: 'integer' }),
+      frame_size: nullable({ type: 'string' }),
+      status: { type: 'string', enum: FLEET_STATUSES },
+      on_hold: { type: 'boolean', description: 'Se descuenta del stock público' },
+      service_due_date: nullable(DATE),
+      service_overdue: { type: 'boolean' },
+      notes: nullable({ type: 'string' }),
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME,
+      maintenance: { type: 'array', items: ref('MaintenanceEntry'), description: 'Solo en /admin/fleet/{id}' }
+    }),
+    MaintenanceEntryInput: object({
+      kind: { type: 'string', enum: MAINTENANCE_KINDS },
+      description: { type: 'string', minLength: 1 },
+      cost: nullable({ type: 'number', minimum: 0 }),
+      performed_at: DATE,
+      next_service_due: nullable(DATE)
+    }, ['kind', 'description']),
+    MaintenanceEntry: object({
+      id: { type: 'integer' },
+      kind: { type: 'string', enum: [...MAINTENANCE_KINDS, 'status'] },
+      description: nullable({ type: 'string' }),
+      cost: nullable({ type: 'number' }),
+      performed_at: DATE,
+      status_from: nullable({ type: 'string' }),
+      status_to: nullable({ type: 'string' }),
+      created_by: nullable({ type: 'string' }),
+      created_at: DATE_TIME
+    }),
+    CatalogRow: object({
+      type: { type: 'string', enum: ['product', 'variation'] },
+      id: ID,
+      parent_id: nullable(ID),
+      sku: { type: 'string' },
+      name: { type: 'string', description: 'Solo informativo' },
+      precio_1_2: nullable({ type: 'number', minimum: 0 }),
+      precio_3_6: nullable({ type: 'number', minimum: 0 }),
+      precio_7_mais: nullable({ type: 'number', minimum: 0 }),
+      stock_quantity: nullable({ type: 'integer', minimum: 0 })
+    }, ['id']),
+    CatalogExport: object({
+      exported_at: DATE_TIME,
+      rows: { type: 'array', items: ref('CatalogRow') }
+    }),
+    CatalogImportRequest: object({
+      exported_at: DATE_TIME,
+      rows: { type: 'array', maxItems: IMPORT_MAX_ROWS, items: ref('CatalogRow') }
+    }, ['rows']),
+    CatalogImportChange: object({
+      line: { type: 'integer' },
+      type: { type: 'string', enum: ['product', 'variation'] },
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      sku: { type: 'string' },
+      name: { type: 'string' },
+      changes: { type: 'object', additionalProperties: object({ from: nullable({ type: 'number' }), to: { type: 'number' } }) }
+    }),
+    CatalogImportPreview: object({
+      rows: { type: 'integer' },
+      changed: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      changes: { type: 'array', items: ref('CatalogImportChange') },
+      errors: { type: 'array', items: object({ line: { type: 'integer' }, message: { type: 'string' } }) },
+      confirm_token: nullable({ type: 'string', description: 'Para ?confirm; null si hay errores o nada que cambiar' })
+    }),
+    CatalogImportResult: object({
+      status: { type: 'string', enum: ['success', 'partial', 'failed'] },
+      applied: { type: 'integer' },
+      failed: { type: 'array', items: object({ line: { type: 'integer' }, type: { type: 'string' }, id: { type: 'integer' }, message: { type: 'string' } }) },
+      changes: { type: 'array', items: ref('CatalogImportChange') }
+    }),
+    Health: object({
+      status: { type: 'string' },
+      timestamp: DATE_TIME,
+      uptime: { type: 'number' },
+      message: { type: 'string' }
+    }),
+    Readiness: object({
+      status: { type: 'string', enum: ['ok', 'degraded'] },
+      timestamp: DATE_TIME,
+      checks: { type: 'object', additionalProperties: object({ status: { type: 'string', enum: ['ok', 'fail', 'skipped'] } }) }
+    }),
+    HistoryType: { type: 'string', description: `Lista separada por comas de: ${Object.keys(historyTypes).join(', ')}` }
+  };
+}
+
+function paths({ productSorts, productsMaxLimit, historyMaxLimit }, components) {
+  const historyParams = [
+    query('type', ref('HistoryType'), 'Tipo de cambio'),
+    query('trend', { type: 'string', enum: ['up', 'down'] }, 'Solo subidas o bajadas de valores numéricos'),
+    query('limit', { type: 'integer', minimum: 1, maximum: historyMaxLimit }, 'Máximo de cambios')
+  ];
+  const rangeParams = required => [
+    query('from', DATE, 'Primer día del alquiler', required),
+    query('to', DATE, 'Último día del alquiler', required)
+  ];
+  const bookingAccess = [
+    pathId('Id de la reserva'),
+    { name: 'X-Booking-Token', in: 'header', required: false, description: 'access_token de la reserva', schema: { type: 'string' } }
+  ];
+  const list = name => ({ type: 'array', items: ref(name) });
+
+  return {
+    '/health': {
+      get: operation('getHealth', 'Estado del proceso', { tags: ['Operación'], responses: { 200: response('OK', ref('Health')) }, errors: {} })
+    },
+    '/status': {
+      get: operation('getStatus', 'Alias de /health', { tags: ['Operación'], responses: { 200: response('OK', ref('Health')) }, errors: {} })
+    },
+    '/live': {
+      get: operation('getLive', 'Liveness', { tags: ['Operación'], responses: { 200: response('El proceso responde', ref('Health')) }, errors: {} })
+    },
+    '/ready': {
+      get: operation('getReady', 'Readiness: estado de cada dependencia', {
+        tags: ['Operación'],
+        responses: { 200: response('Listo', ref('Readiness')), 503: response('Alguna dependencia falla', ref('Readiness')) },
+        errors: {}
+      })
+    },
+    '/ready/details': {
+      get: staffOperation('getReadyDetails', 'Readiness con el detalle de cada dependencia', {
+        tags: ['Operación'],
+        responses: { 200: response('Listo', ref('Readiness')), 503: response('Alguna dependencia falla', ref('Readiness')) }
+      })
+    },
+    '/metrics': {
+      get: staffOperation('getMetrics', 'Métricas en formato Prometheus', {
+        tags: ['Operación'],
+        responses: { 200: { description: 'text/plain 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      })
+    },
+    '/openapi.json': {
+      get: operation('getOpenApi', 'Este documento', { tags: ['Operación'], responses: { 200: response('Documento OpenAPI 3', { type: 'object' }) }, errors: {} })
+    },
+    '/docs': {
+      get: operation('getDocs', 'Documentación interactiva (Swagger UI)', {
+        tags: ['Operación'],
+        responses: { 200: { description: 'Página HTML', content: { 'text/html': { schema: { type: 'string' } } } } },
+        errors: {}
+      })
+    },
+
+    '/products': {
+      get: operation('listProducts', 'Catálogo de alquiler. Sin page/limit devuelve el array completo', {
+        tags: ['Catálogo'],
+        params: [
+          LANG_PARAM,
+          query('q', { type: 'string' }, 'Búsqueda en nombre, SKU y descripciones (se recorta a 100 caracteres)'),
+          query('category', { type: 'string' }, 'Slug de categoría'),
+          query('size', { type: 'string' }, 'Talla de alguna variación'),
+          query('min_price', { type: 'number', minimum: 0 }, 'Precio diario mínimo'),
+          query('max_price', { type: 'number', minimum: 0 }, 'Precio diario máximo'),
+          query('in_stock', { type: 'boolean' }, 'Solo con stock'),
+          query('ebike', { type: 'boolean' }, 'Solo bicicletas eléctricas (true) o sin ellas (false)'),
+          query('sort', { type: 'string', enum: productSorts }, 'Orden'),
+          query('page', { type: 'integer', minimum: 1 }, 'Página (activa la paginación)'),
+          query('limit', { type: 'integer', minimum: 1, maximum: productsMaxLimit }, 'Tamaño de página (activa la paginación)')
+        ],
+        responses: {
+          200: response('Productos (array) o página de productos', { anyOf: [list('Product'), ref('ProductPage')] }),
+          304: response('Sin cambios (ETag / Last-Modified)')
+        }
+      })
+    },
+    '/products/{id}': {
+      get: operation('getProduct', 'Ficha de un producto por id de WooCommerce', {
+        tags: ['Catálogo'],
+        params: [pathId('Id de WooCommerce'), LANG_PARAM, query('date', DATE, 'Añade effective_pricing con las reglas de temporada de ese día')],
+        responses: { 200: response('Producto', ref('Product')), 304: response('Sin cambios'), 404: errorResponse('No existe o está archivado') }
+      })
+    },
+    '/products/{id}/variations': {
+      get: operation('listProductVariations', 'Variaciones de un producto', {
+        tags: ['Catálogo'],
+        params: [pathId('Id de WooCommerce')],
+        responses: { 200: response('Variaciones', ref('ProductVariations')), 304: response('Sin cambios'), 404: errorResponse('Producto no encontrado') }
+      })
+    },
+    '/variations/{id}': {
+      get: operation('getVariation', 'Una variación', {
+        tags: ['Catálogo'],
+        params: [pathId('Id de WooCommerce de la variación')],
+        responses: { 200: response('Variación', ref('Variation')), 304: response('Sin cambios'), 404: errorResponse('Variación no encontrada') }
+      })
+    },
+    '/stream/stock': {
+      get: operation('streamStock', "Stock y precios en directo (Server-Sent Events): eventos 'stock' (data: StockEvent), 'availability' (data: AvailabilityEvent) y 'ready'", {
+        tags: ['Catálogo'],
+        params: [
+          query('products', { type: 'string', pattern: '^\\d+(,\\d+)*$' }, 'Ids de WooCommerce separados por comas (máximo 100); sin él, todo el catálogo'),
+          { name: 'Last-Event-ID', in: 'header', required: false, description: 'Último id recibido; el navegador lo envía al reconectar', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Stream de eventos', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          503: errorResponse('Demasiados clientes conectados')
+        }
+      })
+    },
+    '/products/{id}/extras': {
+      get: operation('listProductExtras', 'Extras compatibles; con from/to incluye el precio por unidad', {
+        tags: ['Catálogo'],
+        params: [pathId('Id de WooCommerce'), ...rangeParams(false)],
+        responses: { 200: response('Extras', ref('ProductExtras')), 304: response('Sin cambios'), 404: errorResponse('Producto no encontrado') }
+      })
+    },
+    '/tours': {
+      get: operation('listTours', 'Tours guiados con su próxima salida; con from/to solo los que tienen plazas en el rango', {
+        tags: ['Tours'],
+        params: [query('from', DATE, 'Desde (por defecto hoy)'), query('to', DATE, 'Hasta (por defecto un año después de from)')],
+        responses: { 200: response('Tours', list('Tour')), 304: response('Sin cambios') }
+      })
+    },
+    '/tours/{id}': {
+      get: operation('getTour', 'Un tour', {
+        tags: ['Tours'],
+        params: [pathId('Id de WooCommerce del tour')],
+        responses: { 200: response('Tour', ref('Tour')), 304: response('Sin cambios'), 404: errorResponse('Tour no encontrado') }
+      })
+    },
+    '/tours/{id}/departures': {
+      get: operation('listTourDepartures', 'Salidas programadas con plazas libres', {
+        tags: ['Tours'],
+        params: [pathId('Id de WooCommerce del tour'), query('from', DATE, 'Desde (por defecto hoy)'), query('to', DATE, 'Hasta (por defecto un año después de from)')],
+        responses: { 200: response('Salidas', ref('TourDepartures')), 404: errorResponse('Tour no encontrado') }
+      })
+    },
+    '/tours/{id}/bookings': {
+      post: operation('createTourBooking', 'Reserva plazas en una salida del tour y crea su pedido en WooCommerce', {
+        tags: ['Tours'],
+        params: [pathId('Id de WooCommerce del tour')],
+        body: ref('TourBookingRequest'),
+        responses: {
+          201: response('Reserva confirmada (incluye access_token)', ref('Booking')),
+          404: errorResponse('Tour o salida no encontrados (o la salida ya pasó)'),
+          409: errorResponse('Sin plazas suficientes en la salida'),
+          502: errorResponse('WooCommerce no creó el pedido; la reserva queda failed')
+        }
+      })
+    },
+    '/products/{id}/history': {
+      get: staffOperation('getProductHistory', 'Historial de precio, stock y estado de un producto', {
+        tags: ['Historial'],
+        params: [pathId('Id de WooCommerce'), ...historyParams, query('before', { type: 'integer', minimum: 0 }, 'Cambios anteriores a este id')],
+        responses: { 200: response('Cambios', ref('ProductHistory')), 404: errorResponse('Producto no encontrado') }
+      })
+    },
+    '/changes': {
+      get: staffOperation('listChanges', 'Feed de cambios de todos los productos (indicar since o cursor)', {
+        tags: ['Historial'],
+        params: [
+          ...historyParams,
+          query('since', DATE_TIME, 'Primera llamada: cambios desde esta fecha'),
+          query('cursor', { type: 'integer', minimum: 0 }, 'Siguientes llamadas: next_cursor de la anterior')
+        ],
+        responses: { 200: response('Cambios', ref('ChangeFeed')) }
+      })
+    },
+
+    '/availability': {
+      get: operation('getAvailability', 'Unidades libres por producto y variación en un período', {
+        tags: ['Reservas'],
+        params: [...rangeParams(true), query('product', ID, 'Solo este producto')],
+        responses: { 200: response('Disponibilidad', ref('Availability')), 404: errorResponse('Producto no encontrado') }
+      })
+    },
+    '/quote': {
+      post: operation('createQuote', 'Presupuesto de un carrito', {
+        tags: ['Reservas'],
+        body: ref('QuoteRequest'),
+        responses: { 200: response('Presupuesto', ref('Quote')), 404: errorResponse('Producto o variación no encontrados') }
+      })
+    },
+    '/bookings': {
+      post: operation('createBooking', 'Crea una reserva y su pedido en WooCommerce', {
+        tags: ['Reservas'],
+        body: ref('BookingRequest'),
+        responses: {
+          201: response('Reserva confirmada (incluye access_token)', ref('Booking')),
+          404: errorResponse('Producto o variación no encontrados'),
+          409: errorResponse('Sin stock suficiente en el período'),
+          502: errorResponse('WooCommerce no creó el pedido; la reserva queda failed')
+        }
+      })
+    },
+    '/bookings/{id}': {
+      get: operation('getBooking', 'Consulta una reserva (token de la reserva o credencial staff)', {
+        tags: ['Reservas'],
+        params: bookingAccess,
+        responses: { 200: response('Reserva', ref('Booking')), 404: errorResponse('No existe o no hay acceso') }
+      })
+    },
+    '/bookings/{id}/cancel': {
+      post: operation('cancelBooking', 'Cancela una reserva y su pedido', {
+        tags: ['Reservas'],
+        params: bookingAccess,
+        responses: {
+          200: response('Reserva cancelada', ref('Booking')),
+          404: errorResponse('No existe o no hay acceso'),
+          409: errorResponse('El estado no permite cancelar'),
+          502: errorResponse('WooCommerce no canceló el pedido')
+        }
+      })
+    },
+
+    '/sync-products': {
+      get: adminOperation('syncProducts', 'Sincroniza y espera a que termine', {
+        tags: ['Sincronización'],
+        params: [query('mode', { type: 'string', enum: ['full', 'delta'] }, 'Modo de sincronización')],
+        responses: {
+          200: response('Resultado y productos', object({ message: { type: 'string' }, run: ref('SyncRun'), products: list('Product') })),
+          409: errorResponse('Ya hay una sincronización en curso')
+        }
+      })
+    },
+    '/sync-jobs': {
+      post: adminOperation('createSyncJob', 'Encola una sincronización en segundo plano', {
+        tags: ['Sincronización'],
+        params: [query('mode', { type: 'string', enum: ['full', 'delta'] }, 'Alternativa a body.mode')],
+        body: ref('SyncJobRequest'),
+        responses: { 202: response('Encolada', ref('SyncJob')), 409: errorResponse('Ya hay una sincronización en curso') }
+      }),
+      get: staffOperation('listSyncJobs', 'Últimas 20 ejecuciones', { tags: ['Sincronización'], responses: { 200: response('Ejecuciones', list('SyncRun')) } })
+    },
+    '/sync-jobs/{id}': {
+      get: staffOperation('getSyncJob', 'Estado de una ejecución', {
+        tags: ['Sincronización'],
+        params: [pathId('Id de la ejecución')],
+        responses: { 200: response('Ejecución', ref('SyncRun')), 404: errorResponse('No encontrada') }
+      })
+    },
+    '/sync-status': {
+      get: staffOperation('getSyncStatus', 'Resumen de la sincronización', { tags: ['Sincronización'], responses: { 200: response('Resumen', { type: 'object' }) } })
+    },
+    '/reconcile-products': {
+      post: adminOperation('reconcileProducts', 'Archiva los productos que ya no existen en WooCommerce', {
+        tags: ['Sincronización'],
+        params: [query('dry_run', { type: 'string', enum: ['true', 'false', '1', '0'] }, 'Alternativa a body.dry_run')],
+        body: ref('ReconcileRequest'),
+        responses: { 200: response('Resultado', { type: 'object' }), 409: errorResponse('Ya hay una sincronización en curso') }
+      })
+    },
+    '/webhooks/woocommerce': {
+      post: operation('receiveWooWebhook', 'Webhooks de WooCommerce (firmados con WOOCOMMERCE_WEBHOOK_SECRET)', {
+        tags: ['Sincronización'],
+        responses: {
+          200: response('Ping recibido'),
+          202: response('Aceptado; se procesa en segundo plano'),
+          401: errorResponse('Firma inválida'),
+          503: errorResponse('Webhook no configurado')
+        },
+        errors: {}
+      })
+    },
+
+    '/admin/api-keys': {
+      get: adminOperation('listApiKeys', 'API keys emitidas', { tags: ['Administración'], responses: { 200: response('API keys', list('ApiKey')) } }),
+      post: adminOperation('createApiKey', 'Emite una API key (la clave solo se devuelve aquí)', {
+        tags: ['Administración'],
+        body: ref('ApiKeyRequest'),
+        responses: { 201: response('API key', ref('ApiKey')) }
+      })
+    },
+    '/admin/api-keys/{id}': {
+      delete: adminOperation('revokeApiKey', 'Revoca una API key', {
+        tags: ['Administración'],
+        params: [pathId()],
+        responses: { 200: response('API key revocada', ref('ApiKey')), 404: errorResponse('No encontrada') }
+      })
+    },
+    '/admin/pricing-rules': {
+      get: adminOperation('listPricingRules', 'Reglas de temporada', { tags: ['Administración'], responses: { 200: response('Reglas', list('PricingRule')) } }),
+      post: adminOperation('createPricingRule', 'Crea una regla de temporada', {
+        tags: ['Administración'],
+        body: { ...components.PricingRuleInput, required: ['name', 'start_date', 'end_date'] },
+        responses: { 201: response('Regla', ref('PricingRule')) }
+      })
+    },
+    '/admin/pricing-rules/{id}': {
+      patch: adminOperation('updatePricingRule', 'Modifica una regla', {
+        tags: ['Administración'],
+        params: [pathId()],
+        body: ref('PricingRuleInput'),
+        responses: { 200: response('Regla', ref('PricingRule')), 404: errorResponse('No encontrada') }
+      }),
+      delete: adminOperation('deletePricingRule', 'Elimina una regla', {
+        tags: ['Administración'],
+        params: [pathId()],
+        responses: { 200: response('Regla eliminada', ref('PricingRule')), 404: errorResponse('No encontrada') }
+      })
+    },
+    '/admin/promo-codes': {
+      get: adminOperation('listPromoCodes', 'Códigos promocionales con sus usos', { tags: ['Administración'], responses: { 200: response('Códigos', list('PromoCode')) } }),
+      post: adminOperation('createPromoCode', 'Crea un código promocional', {
+        tags: ['Administración'],
+        body: { ...components.PromoCodeInput, required: ['code', 'discount_type', 'discount_value'] },
+        responses: { 201: response('Código', ref('PromoCode')), 409: errorResponse('El código ya existe') }
+      })
+    },
+    '/admin/promo-codes/{id}': {
+      patch: adminOperation('updatePromoCode', 'Modifica un código', {
+        tags: ['Administración'],
+        params: [pathId()],
+        body: ref('PromoCodeInput'),
+        responses: { 200: response('Código', ref('PromoCode')), 404: errorResponse('No encontrado'), 409: errorResponse('El código ya existe') }
+      }),
+      delete: adminOperation('deactivatePromoCode', 'Desactiva un código', {
+        tags: ['Administración'],
+        params: [pathId()],
+        responses: { 200: response('Código desactivado', ref('PromoCode')), 404: errorResponse('No encontrado') }
+      })
+    },
+    '/admin/fleet': {
+      get: adminOperation('listFleetUnits', 'Unidades de la flota', {
+        tags: ['Administración'],
+        params: [
+          query('product_id', ID, 'Solo las de este producto'),
+          query('status', { type: 'string', enum: FLEET_STATUSES }, 'Solo las de este estado'),
+          query('service_due_before', DATE, 'Revisión prevista hasta esta fecha (sin las retiradas)')
+        ],
+        responses: { 200: response('Unidades', list('FleetUnit')) }
+      }),
+      post: adminOperation('createFleetUnit', 'Da de alta una unidad', {
+        tags: ['Administración'],
+        body: { ...components.FleetUnitInput, required: ['serial_number', 'product_id'] },
+        responses: { 201: response('Unidad', ref('FleetUnit')), 409: errorResponse('El número de serie ya existe') }
+      })
+    },
+    '/admin/fleet/{id}': {
+      get: adminOperation('getFleetUnit', 'Una unidad con su historial de mantenimiento', {
+        tags: ['Administración'],
+        params: [pathId()],
+        responses: { 200: response('Unidad', ref('FleetUnit')), 404: errorResponse('No encontrada') }
+      }),
+      patch: adminOperation('updateFleetUnit', 'Modifica una unidad; los cambios de estado quedan en el historial', {
+        tags: ['Administración'],
+        params: [pathId()],
+        body: ref('FleetUnitInput'),
+        responses: { 200: response('Unidad', ref('FleetUnit')), 404: errorResponse('No encontrada'), 409: errorResponse('El número de serie ya existe') }
+      }),
+      delete: adminOperation('retireFleetUnit', 'Retira una unidad', {
+        tags: ['Administración'],
+        params: [pathId()],
+        responses: { 200: response('Unidad retirada', ref('FleetUnit')), 404: errorResponse('No encontrada') }
+      })
+    },
+    '/admin/fleet/{id}/maintenance': {
+      post: adminOperation('createMaintenanceEntry', 'Registra una revisión o reparación', {
+        tags: ['Administración'],
+        params: [pathId()],
+        body: ref('MaintenanceEntryInput'),
+        responses: { 201: response('Unidad', ref('FleetUnit')), 404: errorResponse('No encontrada') }
+      })
+    },
+    '/admin/export': {
+      get: adminOperation('exportCatalog', 'Productos y variaciones con tramos ACF, stock y SKU', {
+        tags: ['Administración'],
+        params: [query('format', { type: 'string', enum: ['csv', 'json'] }, 'csv (por defecto) o json')],
+        responses: {
+          200: {
+            description: 'Catálogo',
+            content: { 'text/csv': { schema: { type: 'string' } }, 'application/json': { schema: ref('CatalogExport') } }
+          }
+        }
+      })
+    },
+    '/admin/import': {
+      post: adminOperation('importCatalog', 'Vista previa de la importación; con confirm la aplica en WooCommerce', {
+        tags: ['Administración'],
+        params: [query('confirm', { type: 'string' }, 'confirm_token de la vista previa')],
+        bodyContent: {
+          'text/csv': { schema: { type: 'string', minLength: 1 } },
+          'application/json': { schema: ref('CatalogImportRequest') }
+        },
+        responses: {
+          200: response('Vista previa (sin confirm) o resultado', { anyOf: [ref('CatalogImportPreview'), ref('CatalogImportResult')] }),
+          409: errorResponse('La diferencia cambió desde la vista previa')
+        }
+      })
+    },
+    '/clear-cache': {
+      post: adminOperation('clearCache', 'Purga Cloudflare (todo el catálogo, o los productos/tags indicados)', {
+        tags: ['Administración'],
+        body: ref('ClearCacheRequest'),
+        responses: { 200: response('Purgado', { type: 'object' }), 502: errorResponse('Cloudflare rechazó la purga') }
+      })
+    },
+    '/cors-test': {
+      get: staffOperation('corsTest', 'Eco de la petición para probar CORS', { tags: ['Operación'], responses: { 200: response('Eco', { type: 'object' }) } })
+    },
+    '/debug-products': {
+      get: staffOperation('debugProducts', 'Recuento y muestra de productos', { tags: ['Operación'], responses: { 200: response('Diagnóstico', { type: 'object' }) } })
+    }
+  };
+}
+
+function buildOpenApiDocument(limits) {
+  const componentSchemas = schemas(limits);
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Bikesul backend',
+      version,
+      description: 'Catálogo de alquiler y tours guiados sincronizados desde WooCommerce, presupuestos y reservas.'
+    },
+    tags: ['Catálogo', 'Tours', 'Reservas', 'Historial', 'Sincronización', 'Administración', 'Operación'].map(name => ({ name })),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'JWT o API key' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: componentSchemas
+    },
+    paths: paths(limits, componentSchemas)
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,116 @@
+// Reglas de precio locales sobre los tramos ACF: temporadas (multiplicador o tarifa diaria
+// fija, con mínimo de días opcional) y códigos promocionales. Aquí solo está el cálculo;
+// la persistencia y las rutas están en index.js. Las fechas van como 'YYYY-MM-DD'.
+
+const RULE_ADJUSTMENTS = ['multiplier', 'override'];
+const PROMO_DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function ruleMatchesProduct(rule, product) {
+  if (rule.product_id !== null && rule.product_id !== undefined) {
+    return Number(rule.product_id) === Number(product.woocommerce_id);
+  }
+  if (rule.category_id !== null && rule.category_id !== undefined) {
+    const categories = Array.isArray(product.categories) ? product.categories : [];
+    return categories.some(category => Number(category && category.id) === Number(rule.category_id));
+  }
+  return true;
+}
+
+// Producto concreto > categoría > todo el catálogo
+function ruleSpecificity(rule) {
+  if (rule.product_id !== null && rule.product_id !== undefined) return 2;
+  if (rule.category_id !== null && rule.category_id !== undefined) return 1;
+  return 0;
+}
+
+// Gana la de mayor prioridad; a igualdad, la más específica y después la más reciente
+function compareRules(a, b) {
+  return (Number(b.priority) - Number(a.priority))
+    || (ruleSpecificity(b) - ruleSpecificity(a))
+    || (Number(b.id) - Number(a.id));
+}
+
+function rulesForProduct(rules, product) {
+  return rules.filter(rule => rule.active !== false && ruleMatchesProduct(rule, product));
+}
+
+// Regla de ajuste de precio que manda en un día, o null
+function priceRuleForDate(rules, product, date) {
+  const candidates = rulesForProduct(rules, product)
+    .filter(rule => rule.adjustment_type && rule.start_date <= date && rule.end_date >= date)
+    .sort(compareRules);
+  return candidates[0] || null;
+}
+
+function applyRule(rate, rule) {
+  if (!rule) return rate;
+  const value = Number(rule.adjustment_value);
+  return rule.adjustment_type === 'override' ? value : rate * value;
+}
+
+// Mínimo de días más exigente entre las temporadas que tocan el rango, o null
+function seasonMinimum(rules, product, from, to) {
+  const candidates = rulesForProduct(rules, product)
+    .filter(rule => rule.min_days && rule.start_date <= to && rule.end_date >= from)
+    .sort((a, b) => Number(b.min_days) - Number(a.min_days));
+  return candidates[0] || null;
+}
+
+// Reparte el alquiler en tramos consecutivos de días con la misma regla y su tarifa diaria
+function seasonalPeriods(rules, product, from, to, baseRate) {
+  const periods = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const rule = priceRuleForDate(rules, product, date);
+    const last = periods[periods.length - 1];
+    if (last && (last.rule ? last.rule.id : null) === (rule ? rule.id : null)) {
+      last.to = date;
+      last.days++;
+    } else {
+      periods.push({ from: date, to: date, days: 1, rule, daily_rate: applyRule(baseRate, rule) });
+    }
+  }
+  return periods;
+}
+
+function promoDiscountAmount(promo, amount) {
+  const value = Number(promo.discount_value);
+  if (promo.discount_type === 'percentage') return amount * Math.min(value, 100) / 100;
+  return Math.min(value, amount);
+}
+
+// Motivo (para el cliente) por el que un código no se puede usar, o null si vale.
+// uses / customerUses: usos ya consumidos en total y por este cliente (si se conoce).
+function promoUnavailableReason(promo, { now = new Date(), uses = 0, customerUses = 0 } = {}) {
+  if (!promo || !promo.active) return 'Código promocional inválido';
+  if (promo.valid_from && now < new Date(promo.valid_from)) return 'Código promocional ainda não está em vigor';
+  if (promo.valid_until && now > new Date(promo.valid_until)) return 'Código promocional expirado';
+  if (promo.max_uses && uses >= promo.max_uses) return 'Código promocional esgotado';
+  if (promo.max_uses_per_customer && customerUses >= promo.max_uses_per_customer) {
+    return 'Código promocional já utilizado o número máximo de vezes por este cliente';
+  }
+  return null;
+}
+
+function normalizePromoCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+module.exports = {
+  RULE_ADJUSTMENTS,
+  PROMO_DISCOUNT_TYPES,
+  addDays,
+  ruleMatchesProduct,
+  priceRuleForDate,
+  applyRule,
+  seasonMinimum,
+  seasonalPeriods,
+  promoDiscountAmount,
+  promoUnavailableReason,
+  normalizePromoCode
+};
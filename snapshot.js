@@ -0,0 +1,125 @@
+// Última copia buena del catálogo ALUGUERES ya procesado (lo que devuelve /products), por idioma.
+// Se guarda en memoria y en disco para seguir sirviendo el catálogo cuando Postgres no responde
+// (Neon dormido o caído), también tras reiniciar el proceso. Los filtros y el orden de
+// GET /products se reproducen aquí en memoria sobre los productos ya procesados.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const SNAPSHOT_FORMAT = 1;
+
+// Precio diario por el que filtra y ordena el catálogo: el tramo 1-2 días o, si no hay, el precio
+function snapshotPrice(product) {
+  const tier = product.acf_pricing && product.acf_pricing.precio_1_2;
+  return tier !== undefined && tier !== null ? Number(tier) : Number(product.price);
+}
+
+const SNAPSHOT_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name, 'pt') || a.woocommerce_id - b.woocommerce_id,
+  price: (a, b) => snapshotPrice(a) - snapshotPrice(b) || a.woocommerce_id - b.woocommerce_id,
+  stock: (a, b) => a.stock_quantity - b.stock_quantity || a.woocommerce_id - b.woocommerce_id
+};
+
+function sortSnapshotProducts(products, sort) {
+  const descending = sort.startsWith('-');
+  const compare = SNAPSHOT_SORTS[descending ? sort.slice(1) : sort] || SNAPSHOT_SORTS.name;
+  return [...products].sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+}
+
+// Mismos filtros que buildProductListQuery, sobre el producto procesado
+function filterSnapshotProducts(products, sizes, filters, { ebikeSlugs = [] } = {}) {
+  const slugs = product => (Array.isArray(product.categories) ? product.categories : []).map(c => c && c.slug);
+  const q = filters.q ? filters.q.toLowerCase() : null;
+  const size = filters.size ? filters.size.toUpperCase() : null;
+
+  return products.filter(product => {
+    if (filters.category && !slugs(product).includes(filters.category)) return false;
+    if (q) {
+      const text = [product.name, product.sku, product.short_description, product.description].join(' ').toLowerCase();
+      if (!text.includes(q)) return false;
+    }
+    if (filters.min_price !== undefined && !(snapshotPrice(product) >= filters.min_price)) return false;
+    if (filters.max_price !== undefined && !(snapshotPrice(product) <= filters.max_price)) return false;
+    if (filters.in_stock && !(product.stock_quantity > 0 && product.stock_status !== 'outofstock')) return false;
+    if (filters.ebike !== undefined && slugs(product).some(slug => ebikeSlugs.includes(slug)) !== filters.ebike) return false;
+    if (size && !(sizes[product.woocommerce_id] || []).includes(size)) return false;
+    return true;
+  });
+}
+
+function createCatalogSnapshot({
+  file = process.env.CATALOG_SNAPSHOT_FILE || path.join(os.tmpdir(), 'bikesul-catalog-snapshot.json'),
+  maxAgeMinutes = parseInt(process.env.CATALOG_SNAPSHOT_MAX_AGE_MINUTES || '1440', 10)
+} = {}) {
+  // { taken_at, catalogs: { pt: [...] }, sizes: { <woocommerce_id>: ['M', 'L'] } }
+  let current = null;
+
+  function ageSeconds() {
+    return current ? Math.floor((Date.now() - new Date(current.taken_at).getTime()) / 1000) : null;
+  }
+
+  // Lee la copia de disco al arrancar; una copia ilegible o de otro formato se ignora
+  function load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data.format !== SNAPSHOT_FORMAT || !data.catalogs) {
+        logger.warn(`Snapshot del catálogo en ${file} con formato desconocido, se ignora`);
+        return;
+      }
+      current = data;
+      logger.info(`Snapshot del catálogo cargado de disco (${ageSeconds()} s de antigüedad)`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn(`No se pudo leer el snapshot del catálogo de ${file}`, { err });
+    }
+  }
+
+  // Sustituye la copia. Se escribe a un temporal y se renombra para no dejar un fichero a medias.
+  async function save({ catalogs, sizes }) {
+    current = { format: SNAPSHOT_FORMAT, taken_at: new Date().toISOString(), catalogs, sizes };
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(current));
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      logger.warn(`No se pudo guardar el snapshot del catálogo en ${file}`, { err });
+    }
+  }
+
+  // Catálogo de un idioma si la copia no supera la antigüedad máxima; null si no hay copia útil
+  function read(lang) {
+    if (!current || !current.catalogs[lang]) return null;
+    const age = ageSeconds();
+    if (age > maxAgeMinutes * 60) {
+      logger.warn(`Snapshot del catálogo demasiado antiguo (${age} s), no se usa`);
+      return null;
+    }
+    return { products: current.catalogs[lang], sizes: current.sizes || {}, takenAt: current.taken_at, ageSeconds: age };
+  }
+
+  return {
+    load,
+    save,
+    read,
+    ageSeconds,
+    get takenAt() { return current ? current.taken_at : null; }
+  };
+}
+
+// Copia única del proceso
+const catalogSnapshot = createCatalogSnapshot();
+
+metrics.createGauge({
+  name: 'catalog_snapshot_age_seconds',
+  help: 'Antigüedad del snapshot del catálogo (-1 si no hay)',
+  collect: () => ({ age: catalogSnapshot.takenAt ? catalogSnapshot.ageSeconds() : -1 })
+});
+
+module.exports = {
+  createCatalogSnapshot,
+  filterSnapshotProducts,
+  sortSnapshotProducts,
+  catalogSnapshot
+};
@@ -0,0 +1,132 @@
+// Cambios de stock y precio del catálogo ALUGUERES en directo (GET /stream/stock, Server-Sent Events).
+// Cada cambio se publica como un evento 'stock' con el estado completo del producto y sus variaciones.
+// Las reservas publican además un evento 'availability' con las fechas afectadas: una reserva futura
+// no cambia el estado de hoy, pero sí lo que /availability devuelve para esas fechas.
+// Los últimos eventos se guardan en memoria para que un cliente que se reconecta con Last-Event-ID
+// reciba los que se perdió. El estado de cada producto se calcula en index.js.
+// Todo vive en el proceso: con varias instancias cada una solo emite los cambios que hace ella.
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const streamEvents = metrics.createCounter({
+  name: 'stock_stream_events_total',
+  help: 'Eventos publicados en /stream/stock por motivo del cambio',
+  labelNames: ['reason']
+});
+
+function formatEvent(event, data, id = null) {
+  return `${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createStockStream({
+  historySize = parseInt(process.env.STOCK_STREAM_HISTORY || '500', 10),
+  heartbeatSeconds = parseInt(process.env.STOCK_STREAM_HEARTBEAT_SECONDS || '25', 10),
+  maxClients = parseInt(process.env.STOCK_STREAM_MAX_CLIENTS || '500', 10),
+  retryMs = 3000
+} = {}) {
+  // Los ids empiezan en la hora de arranque y son consecutivos: tras un reinicio siguen creciendo
+  // y un Last-Event-ID del proceso anterior no está en el historial, así que se trata como hueco.
+  let lastId = Date.now();
+  const history = []; // [{ id, event, productIds, data }]
+  const lastStates = new Map(); // product_id → JSON del último estado publicado
+  const clients = new Set(); // { res, productIds: Set | null }
+  let heartbeat = null;
+
+  const wants = (client, productIds) => !client.productIds || productIds.some(id => client.productIds.has(id));
+
+  // Los comentarios SSE mantienen viva la conexión a través de proxies y del CDN; EventSource los ignora
+  function startHeartbeat() {
+    if (heartbeat || heartbeatSeconds <= 0) return;
+    heartbeat = setInterval(() => {
+      clients.forEach(client => client.res.write(`: heartbeat ${new Date().toISOString()}\n\n`));
+    }, heartbeatSeconds * 1000);
+    heartbeat.unref();
+  }
+
+  function stopHeartbeatIfIdle() {
+    if (heartbeat && clients.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  // true si todos los eventos posteriores a lastEventId siguen en memoria
+  function canReplay(lastEventId) {
+    if (lastEventId === lastId) return true;
+    return history.length > 0 && lastEventId >= history[0].id - 1 && lastEventId < lastId;
+  }
+
+  // Guarda el evento en el historial y lo manda a los clientes que siguen alguno de sus productos
+  function emit(name, productIds, data, reason) {
+    const event = { id: ++lastId, event: name, productIds, data: { ...data, reason, published_at: new Date().toISOString() } };
+    history.push(event);
+    if (history.length > historySize) history.shift();
+    streamEvents.inc({ reason });
+
+    const text = formatEvent(name, event.data, event.id);
+    clients.forEach(client => {
+      if (wants(client, productIds)) client.res.write(text);
+    });
+    return event.id;
+  }
+
+  // Publica el estado de un producto si cambió desde el último publicado. Devuelve el id del evento o null.
+  function publish(state, reason) {
+    const key = JSON.stringify(state);
+    if (lastStates.get(state.product_id) === key) return null;
+    lastStates.set(state.product_id, key);
+    return emit('stock', [state.product_id], state, reason);
+  }
+
+  // Disponibilidad de los productos cambiada entre from y to ('YYYY-MM-DD'). Siempre se publica:
+  // el estado de hoy puede no cambiar. Devuelve el id del evento.
+  function publishAvailability({ productIds, from, to }, reason) {
+    return emit('availability', productIds, { product_ids: productIds, from, to }, reason);
+  }
+
+  // Registra un cliente con las cabeceras ya enviadas. states: estado actual de los productos (cliente
+  // nuevo o hueco en el historial); después van los eventos posteriores a since y un 'ready' con el
+  // último id, que es el que el navegador devolverá en Last-Event-ID al reconectar.
+  function open(res, { productIds = null, since, states = null }) {
+    const client = { res, productIds: productIds ? new Set(productIds) : null };
+    res.write(`retry: ${retryMs}\n\n`);
+    (states || []).forEach(state => res.write(formatEvent('stock', { ...state, reason: 'current' })));
+
+    const missed = history.filter(event => event.id > since && wants(client, event.productIds));
+    missed.forEach(event => res.write(formatEvent(event.event, event.data, event.id)));
+    res.write(formatEvent('ready', { last_event_id: lastId, replayed: missed.length, full_state: states !== null }, lastId));
+
+    clients.add(client);
+    startHeartbeat();
+    logger.debug(`Cliente conectado a /stream/stock (${clients.size} abiertos)`);
+    res.on('close', () => {
+      clients.delete(client);
+      stopHeartbeatIfIdle();
+      logger.debug(`Cliente desconectado de /stream/stock (${clients.size} abiertos)`);
+    });
+  }
+
+  return {
+    canReplay,
+    publish,
+    publishAvailability,
+    open,
+    get lastEventId() { return lastId; },
+    get clientCount() { return clients.size; },
+    get isFull() { return clients.size >= maxClients; }
+  };
+}
+
+// Stream único del proceso
+const stockStream = createStockStream();
+
+metrics.createGauge({
+  name: 'stock_stream_clients',
+  help: 'Clientes conectados a /stream/stock',
+  collect: () => ({ clients: stockStream.clientCount })
+});
+
+module.exports = {
+  createStockStream,
+  stockStream
+};
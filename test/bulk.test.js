@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_COLUMNS, toCsv, parseCsv, csvToRows, exportProductRow, exportVariationRow, diffCatalogImport, importToken } = require('../bulk');
+
+test('parseCsv lee comillas, comillas dobles y saltos de línea dentro de una celda', () => {
+  const records = parseCsv('id,name\r\n1,"Bike ""Pro"", 29"\n2,"linha\numa"\n');
+  assert.deepEqual(records, [
+    { line: 1, values: ['id', 'name'] },
+    { line: 2, values: ['1', 'Bike "Pro", 29'] },
+    { line: 3, values: ['2', 'linha\numa'] }
+  ]);
+});
+
+test('parseCsv detecta ; como separador, quita el BOM y salta las filas vacías', () => {
+  const records = parseCsv('\uFEFFid;precio_1_2\n\n10;25,50\n;\n');
+  assert.deepEqual(records, [
+    { line: 1, values: ['id', 'precio_1_2'] },
+    { line: 3, values: ['10', '25,50'] }
+  ]);
+});
+
+test('parseCsv lanza con la línea de unas comillas sin cerrar', () => {
+  assert.throws(() => parseCsv('id,name\n1,ok\n2,"sem fim\n'), /Aspas por fechar na linha 3/);
+});
+
+test('csvToRows devuelve las columnas conocidas con su línea', () => {
+  const rows = csvToRows('ID, Name ,extra,stock_quantity\n10, Bike A ,x, 4 \n11,Bike B\n');
+  assert.deepEqual(rows, [
+    { line: 2, id: '10', name: 'Bike A', stock_quantity: '4' },
+    { line: 3, id: '11', name: 'Bike B', stock_quantity: '' }
+  ]);
+});
+
+test('csvToRows exige cabecera con id', () => {
+  assert.throws(() => csvToRows(''), /Ficheiro vazio/);
+  assert.throws(() => csvToRows('sku,name\nA,B\n'), /Falta a coluna 'id'/);
+});
+
+test('toCsv escapa separadores, comillas y fórmulas, y csvToRows lo deshace', () => {
+  const rows = [
+    { type: 'product', id: 10, sku: '=HYPERLINK("x")', name: 'Bike; "Pro"', precio_1_2: 25.5, stock_quantity: -1 },
+    { type: 'product', id: 11, sku: '\t+1', name: '\r@SUM(A1)', precio_1_2: null, stock_quantity: 3 },
+    { type: 'product', id: 12, sku: "'texto", name: '-', stock_quantity: 0 }
+  ];
+  const csv = toCsv(rows);
+  const lines = csv.split('\r\n');
+  assert.equal(lines[0], EXPORT_COLUMNS.join(','));
+  assert.equal(lines[1], 'product,10,,"\'=HYPERLINK(""x"")","Bike; ""Pro""",25.5,,,-1');
+  assert.match(csv, /,'\t\+1,"'\r@SUM\(A1\)",/);
+
+  const parsed = csvToRows(csv);
+  assert.equal(parsed[0].sku, '=HYPERLINK("x")');
+  assert.equal(parsed[0].name, 'Bike; "Pro"');
+  assert.equal(parsed[0].stock_quantity, '-1');
+  assert.equal(parsed[1].name, '\r@SUM(A1)');
+  assert.equal(parsed[2].sku, "'texto");
+  assert.equal(parsed[2].name, '-');
+});
+
+test('exportProductRow y exportVariationRow dan una fila por producto y variación', () => {
+  const product = { woocommerce_id: 10, sku: 'A', name: 'Bike A', precio_1_2: '25.00', precio_3_6: null, precio_7_mais: '18', stock_quantity: 4 };
+  assert.deepEqual(exportProductRow(product), {
+    type: 'product', id: 10, parent_id: null, sku: 'A', name: 'Bike A', precio_1_2: 25, precio_3_6: null, precio_7_mais: 18, stock_quantity: 4
+  });
+  const variation = { woocommerce_id: 101, product_id: 10, sku: 'A-M', attributes: { size: 'M', color: 'Azul' }, stock_quantity: null };
+  assert.deepEqual(exportVariationRow(variation, product), {
+    type: 'variation', id: 101, parent_id: 10, sku: 'A-M', name: 'Bike A - M / Azul', precio_1_2: null, precio_3_6: null, precio_7_mais: null, stock_quantity: null
+  });
+});
+
+const catalog = () => ({
+  products: new Map([
+    [10, { woocommerce_id: 10, sku: 'A', name: 'Bike A', precio_1_2: '25.00', precio_3_6: '20.00', precio_7_mais: null, stock_quantity: 4, has_variations: false }],
+    [20, { woocommerce_id: 20, sku: 'B', name: 'Bike B', precio_1_2: '30.00', precio_3_6: null, precio_7_mais: null, stock_quantity: 5, has_variations: true }]
+  ]),
+  variations: new Map([
+    [201, { woocommerce_id: 201, product_id: 20, sku: 'B-M', name: 'Bike B - M', stock_quantity: 2 }]
+  ])
+});
+
+test('diffCatalogImport devuelve solo los campos que cambian', () => {
+  const { items, unchanged, errors } = diffCatalogImport([
+    { line: 2, type: 'product', id: '10', sku: 'A', precio_1_2: '27,5', precio_3_6: '20', stock_quantity: '4' },
+    { line: 3, type: 'variation', id: '201', parent_id: '20', stock_quantity: '3' },
+    { line: 4, type: 'product', id: '20', precio_1_2: '30' }
+  ], catalog());
+
+  assert.deepEqual(errors, []);
+  assert.equal(unchanged, 1);
+  assert.deepEqual(items, [
+    { line: 2, type: 'product', id: 10, product_id: 10, sku: 'A', name: 'Bike A', changes: { precio_1_2: { from: 25, to: 27.5 } } },
+    { line: 3, type: 'variation', id: 201, product_id: 20, sku: 'B-M', name: 'Bike B - M', changes: { stock_quantity: { from: 2, to: 3 } } }
+  ]);
+});
+
+test('diffCatalogImport informa de cada fila inválida con su línea', () => {
+  const { items, errors } = diffCatalogImport([
+    { line: 2, id: 'x' },
+    { line: 3, type: 'kit', id: '10' },
+    { line: 4, type: 'product', id: '99' },
+    { line: 5, type: 'product', id: '10', sku: 'OUTRO' },
+    { line: 6, type: 'product', id: '10' },
+    { line: 7, type: 'variation', id: '201', parent_id: '10', precio_1_2: '5' },
+    { line: 8, type: 'product', id: '20', stock_quantity: '9' },
+    { line: 9, type: 'product', id: '20', precio_3_6: '-1' }
+  ], catalog());
+
+  assert.deepEqual(items, []);
+  assert.deepEqual(errors.map(error => error.line), [2, 3, 4, 5, 6, 7, 7, 8, 9]);
+  assert.match(errors[3].message, /SKU 'OUTRO' não corresponde ao produto 10/);
+  assert.equal(errors[4].message, 'Produto 10 repetido no ficheiro');
+  assert.equal(errors[5].message, 'A variação 201 não pertence ao produto 10');
+  assert.match(errors[7].message, /soma das variações/);
+});
+
+test('importToken depende solo de la diferencia', () => {
+  const items = [{ line: 2, type: 'product', id: 10, name: 'Bike A', changes: { stock_quantity: { from: 4, to: 5 } } }];
+  assert.equal(importToken(items), importToken([{ ...items[0], line: 9, name: 'Outro' }]));
+  assert.notEqual(importToken(items), importToken([{ ...items[0], changes: { stock_quantity: { from: 4, to: 6 } } }]));
+});
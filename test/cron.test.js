@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCronExpression, cronMatches } = require('../cron');
+
+// Fecha local: cronMatches usa la hora del proceso, igual que el programador
+const at = (year, month, day, hour, minute) => new Date(year, month - 1, day, hour, minute);
+
+test('parseCronExpression expande listas, rangos y pasos', () => {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parseCronExpression('*/15 8-10 1,15 * 1-5');
+  assert.deepEqual([...minute.values], [0, 15, 30, 45]);
+  assert.deepEqual([...hour.values], [8, 9, 10]);
+  assert.deepEqual([...dayOfMonth.values], [1, 15]);
+  assert.equal(month.values.size, 12);
+  assert.equal(month.wildcard, true);
+  assert.deepEqual([...dayOfWeek.values], [1, 2, 3, 4, 5]);
+});
+
+test('parseCronExpression trata "5/20" como desde 5 hasta el máximo y el 7 como domingo', () => {
+  const [minute, , , , dayOfWeek] = parseCronExpression('5/20 * * * 5-7');
+  assert.deepEqual([...minute.values], [5, 25, 45]);
+  assert.deepEqual([...dayOfWeek.values].sort(), [0, 5, 6]);
+});
+
+test('parseCronExpression rechaza expresiones mal formadas', () => {
+  assert.throws(() => parseCronExpression('* * * *'), /Expresión cron inválida/);
+  assert.throws(() => parseCronExpression('60 * * * *'), /Campo cron inválido: "60"/);
+  assert.throws(() => parseCronExpression('*/0 * * * *'), /Campo cron inválido/);
+  assert.throws(() => parseCronExpression('10-5 * * * *'), /Campo cron inválido/);
+  assert.throws(() => parseCronExpression('a * * * *'), /Campo cron inválido/);
+  assert.throws(() => parseCronExpression('* * 0 * *'), /Campo cron inválido/);
+});
+
+test('cronMatches compara minuto, hora y mes', () => {
+  const fields = parseCronExpression('30 6 * 7 *');
+  assert.equal(cronMatches(fields, at(2026, 7, 10, 6, 30)), true);
+  assert.equal(cronMatches(fields, at(2026, 7, 10, 6, 31)), false);
+  assert.equal(cronMatches(fields, at(2026, 8, 10, 6, 30)), false);
+});
+
+test('cronMatches acepta el día del mes o el de la semana si se restringen ambos', () => {
+  // 1 de cada mes o los lunes
+  const fields = parseCronExpression('0 0 1 * 1');
+  assert.equal(cronMatches(fields, at(2026, 10, 1, 0, 0)), true); // jueves 1
+  assert.equal(cronMatches(fields, at(2026, 10, 5, 0, 0)), true); // lunes 5
+  assert.equal(cronMatches(fields, at(2026, 10, 6, 0, 0)), false);
+});
+
+test('cronMatches exige el día de la semana si el del mes es *', () => {
+  const fields = parseCronExpression('0 0 * * 0');
+  assert.equal(cronMatches(fields, at(2026, 10, 4, 0, 0)), true); // domingo
+  assert.equal(cronMatches(fields, at(2026, 10, 5, 0, 0)), false);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  addDays,
+  ruleMatchesProduct,
+  priceRuleForDate,
+  applyRule,
+  seasonMinimum,
+  seasonalPeriods,
+  promoDiscountAmount,
+  promoUnavailableReason,
+  normalizePromoCode
+} = require('../pricing');
+
+const product = { woocommerce_id: 10, categories: [{ id: 319 }, { id: 5 }] };
+
+const rule = (overrides = {}) => ({
+  id: 1,
+  product_id: null,
+  category_id: null,
+  priority: 0,
+  active: true,
+  adjustment_type: 'multiplier',
+  adjustment_value: '1.5',
+  min_days: null,
+  start_date: '2026-07-01',
+  end_date: '2026-08-31',
+  ...overrides
+});
+
+test('addDays cruza meses y años en UTC', () => {
+  assert.equal(addDays('2026-02-28', 1), '2026-03-01');
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('ruleMatchesProduct filtra por producto, por categoría o aplica a todo', () => {
+  assert.equal(ruleMatchesProduct(rule({ product_id: 10 }), product), true);
+  assert.equal(ruleMatchesProduct(rule({ product_id: 11 }), product), false);
+  assert.equal(ruleMatchesProduct(rule({ category_id: 5 }), product), true);
+  assert.equal(ruleMatchesProduct(rule({ category_id: 6 }), product), false);
+  assert.equal(ruleMatchesProduct(rule(), product), true);
+});
+
+test('priceRuleForDate elige por prioridad, después especificidad y después la más reciente', () => {
+  const global = rule({ id: 1 });
+  const category = rule({ id: 2, category_id: 5 });
+  const specific = rule({ id: 3, product_id: 10 });
+  const urgent = rule({ id: 4, priority: 5 });
+  const newerGlobal = rule({ id: 5 });
+
+  assert.equal(priceRuleForDate([global, category, specific], product, '2026-07-10').id, 3);
+  assert.equal(priceRuleForDate([global, category, specific, urgent], product, '2026-07-10').id, 4);
+  assert.equal(priceRuleForDate([global, newerGlobal], product, '2026-07-10').id, 5);
+});
+
+test('priceRuleForDate ignora reglas inactivas, fuera de fecha o sin ajuste', () => {
+  const rules = [
+    rule({ id: 1, active: false }),
+    rule({ id: 2, start_date: '2026-09-01', end_date: '2026-09-30' }),
+    rule({ id: 3, adjustment_type: null, min_days: 3 })
+  ];
+  assert.equal(priceRuleForDate(rules, product, '2026-07-10'), null);
+});
+
+test('applyRule multiplica o sustituye la tarifa diaria', () => {
+  assert.equal(applyRule(20, null), 20);
+  assert.equal(applyRule(20, rule({ adjustment_value: '1.5' })), 30);
+  assert.equal(applyRule(20, rule({ adjustment_type: 'override', adjustment_value: '25' })), 25);
+});
+
+test('seasonMinimum devuelve la regla con el mínimo más alto que toca el rango', () => {
+  const rules = [
+    rule({ id: 1, adjustment_type: null, min_days: 3 }),
+    rule({ id: 2, adjustment_type: null, min_days: 7, start_date: '2026-08-01' }),
+    rule({ id: 3, adjustment_type: null, min_days: 10, start_date: '2026-09-01', end_date: '2026-09-30' })
+  ];
+  assert.equal(seasonMinimum(rules, product, '2026-07-30', '2026-08-02').id, 2);
+  assert.equal(seasonMinimum(rules, product, '2026-07-10', '2026-07-12').id, 1);
+  assert.equal(seasonMinimum(rules, product, '2026-10-01', '2026-10-02'), null);
+});
+
+test('seasonalPeriods agrupa días consecutivos con la misma regla', () => {
+  const summer = rule({ id: 7, start_date: '2026-07-01', end_date: '2026-07-31', adjustment_value: '2' });
+  const periods = seasonalPeriods([summer], product, '2026-06-29', '2026-07-02', 10);
+  assert.deepEqual(periods.map(({ from, to, days, daily_rate, rule: applied }) => ({ from, to, days, daily_rate, rule: applied && applied.id })), [
+    { from: '2026-06-29', to: '2026-06-30', days: 2, daily_rate: 10, rule: null },
+    { from: '2026-07-01', to: '2026-07-02', days: 2, daily_rate: 20, rule: 7 }
+  ]);
+});
+
+test('promoDiscountAmount limita el porcentaje al 100 % y el fijo al importe', () => {
+  assert.equal(promoDiscountAmount({ discount_type: 'percentage', discount_value: '10' }, 200), 20);
+  assert.equal(promoDiscountAmount({ discount_type: 'percentage', discount_value: '150' }, 200), 200);
+  assert.equal(promoDiscountAmount({ discount_type: 'fixed', discount_value: '15' }, 200), 15);
+  assert.equal(promoDiscountAmount({ discount_type: 'fixed', discount_value: '500' }, 200), 200);
+});
+
+test('promoUnavailableReason comprueba estado, vigencia y usos', () => {
+  const now = new Date('2026-07-10T12:00:00Z');
+  const promo = { active: true, valid_from: '2026-07-01T00:00:00Z', valid_until: '2026-07-31T23:59:59Z', max_uses: 5, max_uses_per_customer: 1 };
+
+  assert.equal(promoUnavailableReason(promo, { now }), null);
+  assert.equal(promoUnavailableReason(null, { now }), 'Código promocional inválido');
+  assert.equal(promoUnavailableReason({ ...promo, active: false }, { now }), 'Código promocional inválido');
+  assert.equal(promoUnavailableReason(promo, { now: new Date('2026-06-30T00:00:00Z') }), 'Código promocional ainda não está em vigor');
+  assert.equal(promoUnavailableReason(promo, { now: new Date('2026-08-01T00:00:00Z') }), 'Código promocional expirado');
+  assert.equal(promoUnavailableReason(promo, { now, uses: 5 }), 'Código promocional esgotado');
+  assert.match(promoUnavailableReason(promo, { now, customerUses: 1 }), /número máximo de vezes/);
+});
+
+test('normalizePromoCode quita espacios y pasa a mayúsculas', () => {
+  assert.equal(normalizePromoCode('  verao26 '), 'VERAO26');
+  assert.equal(normalizePromoCode(null), '');
+});
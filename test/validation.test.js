@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createValidator } = require('../validation');
+
+const document = {
+  paths: {
+    '/items/{id}': {
+      get: {
+        operationId: 'getItem',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 50 } },
+          { name: 'in_stock', in: 'query', schema: { type: 'boolean' } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'X-Token', in: 'header', required: true, schema: { type: 'string' } }
+        ]
+      }
+    },
+    '/items': {
+      post: {
+        operationId: 'createItem',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/ItemRequest' } } } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Size: { type: 'string', enum: ['S', 'M', 'L'] },
+      ItemRequest: {
+        type: 'object',
+        required: ['name', 'sizes'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 2, maxLength: 10 },
+          email: { type: 'string', format: 'email' },
+          sizes: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/Size' } },
+          notes: { type: 'string', nullable: true },
+          price: { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string', pattern: '^\\d+(\\.\\d+)?$' }] }
+        }
+      }
+    }
+  }
+};
+
+const { validate, validateRequest, validateSchema } = createValidator(document);
+
+// Ejecuta el middleware y devuelve { status, body, validated } (status null si pasó)
+function run(operationId, { params = {}, query = {}, body, contentType = 'application/json' } = {}) {
+  const req = {
+    params,
+    query,
+    body,
+    is: types => (types.includes(contentType) ? contentType : false),
+    get: () => undefined
+  };
+  const result = { status: null, body: null, validated: null };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(payload) { result.body = payload; return this; }
+  };
+  validateRequest(operationId)(req, res, () => { result.validated = req.validated; });
+  return result;
+}
+
+test('validateRequest convierte path y query al tipo del esquema', () => {
+  const { status, validated } = run('getItem', { params: { id: '7' }, query: { limit: '20', in_stock: 'yes', from: '2026-07-01' } });
+  assert.equal(status, null);
+  assert.deepEqual(validated.params, { id: 7 });
+  assert.deepEqual(validated.query, { limit: 20, in_stock: true, from: '2026-07-01' });
+});
+
+test('validateRequest responde 400 con el detalle de cada parámetro', () => {
+  const { status, body, validated } = run('getItem', { params: { id: 'abc' }, query: { limit: '99', in_stock: 'talvez', from: '2026-02-30' } });
+  assert.equal(status, 400);
+  assert.equal(validated, null);
+  assert.equal(body.error, 'Pedido inválido');
+  assert.deepEqual(body.details.map(d => `${d.location}:${d.name}`), ['path:id', 'query:limit', 'query:in_stock', 'query:from']);
+  assert.equal(body.details[0].message, 'deve ser do tipo integer');
+});
+
+test('validateRequest trata un query vacío como ausente e ignora las cabeceras', () => {
+  const { status, validated } = run('getItem', { params: { id: '1' }, query: { limit: '' } });
+  assert.equal(status, null);
+  assert.deepEqual(validated.query, {});
+});
+
+test('validateRequest rechaza parámetros repetidos y deja tal cual lo que no es texto', () => {
+  const repeated = run('getItem', { params: { id: '1' }, query: { limit: ['1', '2'] } });
+  assert.equal(repeated.status, 400);
+  assert.equal(repeated.body.details[0].message, 'só pode aparecer uma vez');
+
+  const bracketed = run('getItem', { params: { id: '1' }, query: { from: { gte: '2026-01-01' } } });
+  assert.equal(bracketed.status, 400);
+  assert.equal(bracketed.body.details[0].message, 'deve ser do tipo string');
+});
+
+test('validateRequest valida el body con $ref, required y additionalProperties', () => {
+  const ok = run('createItem', { body: { name: 'Capacete', sizes: ['M'], notes: null, price: '12.5' } });
+  assert.equal(ok.status, null);
+  assert.deepEqual(ok.validated.body, { name: 'Capacete', sizes: ['M'], notes: null, price: '12.5' });
+
+  const bad = run('createItem', { body: { name: 'X', sizes: ['XL'], email: 'nao', extra: 1, price: -1 } });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.details.map(d => d.name).sort(), ['email', 'extra', 'name', 'price', 'sizes[0]']);
+});
+
+test('validateRequest exige el body aunque no se envíe', () => {
+  const { status, body } = run('createItem', {});
+  assert.equal(status, 400);
+  assert.deepEqual(body.details.map(d => d.name), ['name', 'sizes']);
+});
+
+test('validateRequest lanza con un operationId desconocido', () => {
+  assert.throws(() => validateRequest('missing'), /Operación OpenAPI desconocida/);
+});
+
+test('validate comprueba null, enum, límites y listas', () => {
+  assert.deepEqual(validate({ type: 'string' }, null), [{ path: '', message: 'não pode ser null' }]);
+  assert.deepEqual(validate({ type: 'integer', nullable: true }, null), []);
+  assert.equal(validate({ $ref: '#/components/schemas/Size' }, 'XL')[0].message, 'deve ser um de: S, M, L');
+  assert.equal(validate({ type: 'number', exclusiveMinimum: 0 }, 0)[0].message, 'deve ser > 0');
+  assert.equal(validate({ type: 'array', maxItems: 1 }, [1, 2])[0].message, 'deve ter no máximo 1 elementos');
+  assert.equal(validate({ type: 'string', format: 'date-time' }, '2026-07-01T10:00:00Z').length, 0);
+});
+
+test('validateSchema valida contra un esquema de components', () => {
+  assert.deepEqual(validateSchema('ItemRequest', { name: 'Selim', sizes: ['S'] }), []);
+  assert.deepEqual(validateSchema('ItemRequest', { name: 'Selim' }), [{ path: 'sizes', message: 'é obrigatório' }]);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createWooClient, createCircuitBreaker, createLimiter, isRetryable } = require('../woocommerce');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+// Tienda de pruebas en un puerto libre: handler(req, url) devuelve { status, body, headers }
+async function startStore(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+    const { status = 200, body = {}, headers = {} } = handler(req, url, requests.length);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.WOOCOMMERCE_API_BASE = `http://127.0.0.1:${server.address().port}`;
+  return { requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const fastClient = (options = {}) => createWooClient({ retryBaseMs: 1, breakerThreshold: 10, ...options });
+
+test('isRetryable reintenta 429, 5xx y errores de red, pero no 4xx ni el circuito abierto', () => {
+  assert.equal(isRetryable(httpError(503), 'get'), true);
+  assert.equal(isRetryable(httpError(429), 'get'), true);
+  assert.equal(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'get'), true);
+  assert.equal(isRetryable(httpError(404), 'get'), false);
+  assert.equal(isRetryable(Object.assign(new Error('abierto'), { code: 'WOO_CIRCUIT_OPEN' }), 'get'), false);
+});
+
+test('isRetryable solo reintenta un POST con 429', () => {
+  assert.equal(isRetryable(httpError(429), 'post'), true);
+  assert.equal(isRetryable(httpError(500), 'POST'), false);
+  assert.equal(isRetryable(new Error('timeout'), 'post'), false);
+});
+
+test('el circuit breaker se abre tras threshold fallos seguidos', () => {
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 60000 });
+  breaker.before();
+  breaker.failure();
+  assert.equal(breaker.state, 'closed');
+  breaker.failure();
+  assert.equal(breaker.state, 'open');
+  assert.throws(() => breaker.before(), err => err.code === 'WOO_CIRCUIT_OPEN');
+});
+
+test('un éxito pone a cero los fallos acumulados', () => {
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 60000 });
+  breaker.failure();
+  breaker.success();
+  breaker.failure();
+  assert.equal(breaker.state, 'closed');
+});
+
+test('tras el cooldown el breaker deja pasar una única petición de prueba', () => {
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 0 });
+  breaker.failure();
+  assert.equal(breaker.state, 'open');
+
+  breaker.before();
+  assert.equal(breaker.state, 'half_open');
+  assert.throws(() => breaker.before(), err => err.code === 'WOO_CIRCUIT_OPEN');
+
+  breaker.success();
+  assert.equal(breaker.state, 'closed');
+  breaker.before();
+});
+
+test('un fallo de la petición de prueba vuelve a abrir el breaker', () => {
+  const breaker = createCircuitBreaker({ threshold: 3, cooldownMs: 0 });
+  breaker.failure();
+  breaker.failure();
+  breaker.failure();
+  breaker.before();
+  breaker.failure();
+  assert.equal(breaker.state, 'open');
+});
+
+test('createLimiter no supera la concurrencia indicada', async () => {
+  const limiter = createLimiter(2);
+  let running = 0;
+  let peak = 0;
+  const task = () => limiter.run(async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+  });
+  await Promise.all([task(), task(), task(), task(), task()]);
+  assert.equal(peak, 2);
+  assert.equal(limiter.active, 0);
+  assert.equal(limiter.pending, 0);
+});
+
+test('el cliente reintenta un GET ante 503 hasta que responde', async t => {
+  const store = await startStore((req, url, count) => (count < 3 ? { status: 503 } : { body: { id: 10 } }));
+  t.after(store.close);
+
+  const resp = await fastClient().get('/products/10');
+  assert.deepEqual(resp.data, { id: 10 });
+  assert.equal(store.requests.length, 3);
+});
+
+test('el cliente no reintenta un 404 ni un POST con 500', async t => {
+  const store = await startStore(req => ({ status: req.method === 'POST' ? 500 : 404 }));
+  t.after(store.close);
+  const woo = fastClient();
+
+  await assert.rejects(woo.get('/products/99'), err => err.response.status === 404);
+  await assert.rejects(woo.post('/orders', { status: 'pending' }), err => err.response.status === 500);
+  assert.equal(store.requests.length, 2);
+});
+
+test('el cliente abre el circuito y deja de llamar a la tienda', async t => {
+  const store = await startStore(() => ({ status: 500 }));
+  t.after(store.close);
+  const woo = fastClient({ maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 60000 });
+
+  await assert.rejects(woo.get('/products'));
+  await assert.rejects(woo.get('/products'));
+  await assert.rejects(woo.get('/products'), err => err.code === 'WOO_CIRCUIT_OPEN');
+  assert.equal(woo.breaker.state, 'open');
+  assert.equal(store.requests.length, 2);
+});
+
+test('getAllPages junta todas las páginas', async t => {
+  const items = Array.from({ length: 5 }, (_, i) => ({ id: i + 1 }));
+  const store = await startStore((req, url) => {
+    const page = Number(url.searchParams.get('page'));
+    const perPage = Number(url.searchParams.get('per_page'));
+    return {
+      body: items.slice((page - 1) * perPage, page * perPage),
+      headers: { 'X-WP-Total': String(items.length), 'X-WP-TotalPages': String(Math.ceil(items.length / perPage)) }
+    };
+  });
+  t.after(store.close);
+
+  const all = await fastClient().getAllPages('/products', { status: 'publish' }, { perPage: 2 });
+  assert.deepEqual(all.map(item => item.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual(store.requests.map(r => r.query.page), ['1', '2', '3']);
+  assert.equal(store.requests[0].query.status, 'publish');
+});
+
+test('getAllPages lanza WOO_INCOMPLETE si faltan productos respecto a X-WP-Total', async t => {
+  const store = await startStore(() => ({ body: [{ id: 1 }], headers: { 'X-WP-Total': '3' } }));
+  t.after(store.close);
+
+  await assert.rejects(fastClient().getAllPages('/products'), err => err.code === 'WOO_INCOMPLETE');
+});
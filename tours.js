@@ -0,0 +1,151 @@
+// Tours guiados. Son productos de WooCommerce de la categoría TOURS_CATEGORY_ID; duración,
+// punto de encuentro, capacidad, precio por persona y salidas se leen de ACF (o de meta_data).
+const { readField } = require('./extras');
+
+const ACF_FIELDS = {
+  pricePerPerson: ['preco_pessoa', 'precio_persona', 'price_per_person'],
+  childPrice: ['preco_crianca', 'precio_nino', 'child_price'],
+  duration: ['duracao', 'duracion', 'duration'],
+  meetingPoint: ['ponto_encontro', 'punto_encuentro', 'meeting_point'],
+  capacity: ['capacidade', 'capacidad', 'capacity'],
+  departures: ['datas', 'salidas', 'departures']
+};
+
+// Claves de cada fila del repetidor de salidas
+const DEPARTURE_FIELDS = {
+  date: ['data', 'fecha', 'date'],
+  time: ['hora', 'time'],
+  capacity: ['vagas', 'plazas', 'capacidade', 'capacidad', 'capacity']
+};
+
+function firstKey(row, keys) {
+  for (const key of keys) {
+    if (row[key] !== undefined && row[key] !== null && row[key] !== '') return row[key];
+  }
+  return undefined;
+}
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function optionalCapacity(value) {
+  const number = optionalNumber(value);
+  return number !== null && Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// 'YYYY-MM-DD', 'YYYYMMDD' (formato por defecto del date picker de ACF) o 'DD/MM/YYYY'
+function parseDepartureDate(value) {
+  const text = String(value || '').trim();
+  let match;
+  let date = null;
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) date = `${match[1]}-${match[2]}-${match[3]}`;
+  else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) date = `${match[1]}-${match[2]}-${match[3]}`;
+  else if ((match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/))) date = `${match[3]}-${match[2]}-${match[1]}`;
+  if (!date) return null;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date ? date : null;
+}
+
+// '9:00', '09:00:00', '9h', '9h30' → 'HH:MM'; '' si no hay hora
+function parseDepartureTime(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?:[:h](\d{2})?)?(?::\d{2})?$/);
+  if (!match) return '';
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (hours > 23 || minutes > 59) return '';
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Número (horas), '3h', '3h30', '2,5 h', '90 min' → minutos; null si no se entiende
+function parseDurationMinutes(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? Math.round(value * 60) : null;
+  const text = String(value).trim().toLowerCase().replace(',', '.');
+  let match;
+  if ((match = text.match(/^(\d+(?:\.\d+)?)\s*(?:h|horas?|hours?)?$/))) return Math.round(Number(match[1]) * 60) || null;
+  if ((match = text.match(/^(\d+)\s*h\s*(\d{1,2})\s*(?:m|min)?$/))) return Number(match[1]) * 60 + Number(match[2]);
+  if ((match = text.match(/^(\d+)\s*(?:m|min|minutos?|minutes?)$/))) return Number(match[1]) || null;
+  return null;
+}
+
+// Texto o campo Google Map de ACF ({ address, lat, lng })
+function parseMeetingPoint(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') {
+    const address = String(value.address || value.name || '').trim();
+    const lat = optionalCoordinate(value.lat);
+    const lng = optionalCoordinate(value.lng);
+    return address || lat !== null ? { address, lat, lng } : null;
+  }
+  return { address: String(value).trim(), lat: null, lng: null };
+}
+
+function optionalCoordinate(value) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : null;
+}
+
+// Repetidor de ACF (filas con fecha, hora y plazas) o texto "2027-07-01 09:00, 2027-07-08".
+// Sin plazas en la fila se usa la capacidad del tour; las salidas sin capacidad se descartan.
+function parseDepartures(value, defaultCapacity) {
+  let rows = [];
+  if (Array.isArray(value)) {
+    rows = value.map(row => (row && typeof row === 'object'
+      ? { date: firstKey(row, DEPARTURE_FIELDS.date), time: firstKey(row, DEPARTURE_FIELDS.time), capacity: firstKey(row, DEPARTURE_FIELDS.capacity) }
+      : { date: row }));
+  } else if (typeof value === 'string') {
+    rows = value.split(/[,;\n]+/).map(entry => {
+      const [date, time] = entry.trim().split(/\s+/);
+      return { date, time };
+    });
+  }
+
+  const departures = new Map();
+  rows.forEach(row => {
+    const date = parseDepartureDate(row.date);
+    const capacity = optionalCapacity(row.capacity) || defaultCapacity;
+    if (!date || !capacity) return;
+    const time = parseDepartureTime(row.time);
+    departures.set(`${date} ${time}`, { date, time, capacity });
+  });
+  return [...departures.values()].sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+// Fila de la tabla tours (y sus salidas) a partir de un producto de la API de WooCommerce
+function mapWooTour(product) {
+  const acfData = product.acf || {};
+  const metaData = product.meta_data || [];
+  const field = keys => readField(acfData, metaData, keys);
+  const acfPrice = optionalNumber(field(ACF_FIELDS.pricePerPerson));
+  const wooPrice = optionalNumber(product.price);
+  const capacity = optionalCapacity(field(ACF_FIELDS.capacity));
+
+  return {
+    woocommerce_id: product.id,
+    name: product.name || '',
+    sku: product.sku || '',
+    status: product.status || 'publish',
+    images: Array.isArray(product.images) ? product.images : [],
+    short_description: product.short_description || '',
+    description: product.description || '',
+    duration_minutes: parseDurationMinutes(field(ACF_FIELDS.duration)),
+    meeting_point: parseMeetingPoint(field(ACF_FIELDS.meetingPoint)),
+    capacity,
+    price_per_person: acfPrice !== null ? acfPrice : (wooPrice !== null ? wooPrice : 0),
+    child_price: optionalNumber(field(ACF_FIELDS.childPrice)),
+    departures: parseDepartures(field(ACF_FIELDS.departures), capacity),
+    acf_data: acfData
+  };
+}
+
+module.exports = {
+  parseDepartureDate,
+  parseDepartureTime,
+  parseDurationMinutes,
+  parseMeetingPoint,
+  parseDepartures,
+  mapWooTour
+};
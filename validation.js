@@ -0,0 +1,177 @@
+// Validación de peticiones y respuestas contra los esquemas del documento OpenAPI (openapi.js).
+// Implementa el subconjunto de JSON Schema que usa ese documento: type, nullable, enum, anyOf,
+// minimum/maximum, minLength/maxLength, pattern, format (date, date-time, email), required,
+// properties, additionalProperties, items, minItems/maxItems y $ref a components.
+const { resolveLanguage, translate } = require('./i18n');
+
+const BOOLEAN_STRINGS = { true: true, 1: true, yes: true, false: false, 0: false, no: false };
+
+const FORMATS = {
+  date: value => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  },
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+function createValidator(document) {
+  const resolve = schema => {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+      resolved = document.components.schemas[resolved.$ref.replace('#/components/schemas/', '')];
+    }
+    return resolved;
+  };
+
+  // Lista de errores { path, message }; vacía si el valor cumple el esquema
+  function validate(schemaOrRef, value, path = '') {
+    const schema = resolve(schemaOrRef);
+    const errors = [];
+    if (!schema) return errors;
+    const fail = message => errors.push({ path, message });
+
+    if (value === null) {
+      if (!schema.nullable) fail('não pode ser null');
+      return errors;
+    }
+    if (schema.anyOf) {
+      if (!schema.anyOf.some(option => validate(option, value, path).length === 0)) fail('não corresponde a nenhum dos formatos aceites');
+      return errors;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+      fail(`deve ser do tipo ${schema.type}`);
+      return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`deve ser um de: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`deve ser >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`deve ser <= ${schema.maximum}`);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`deve ser > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) fail(`deve ter pelo menos ${schema.minLength} caracteres`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`deve ter no máximo ${schema.maxLength} caracteres`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('formato inválido');
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`deve ter o formato ${schema.format}`);
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) fail(`deve ter pelo menos ${schema.minItems} elementos`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`deve ter no máximo ${schema.maxItems} elementos`);
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+      }
+    }
+    if (matchesType(value, 'object')) {
+      const properties = schema.properties || {};
+      const child = key => (path ? `${path}.${key}` : key);
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push({ path: child(key), message: 'é obrigatório' });
+      });
+      Object.entries(value).forEach(([key, item]) => {
+        if (item === undefined) return;
+        if (properties[key]) {
+          errors.push(...validate(properties[key], item, child(key)));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: child(key), message: 'campo não permitido' });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          errors.push(...validate(schema.additionalProperties, item, child(key)));
+        }
+      });
+    }
+    return errors;
+  }
+
+  // Los parámetros de ruta y query llegan como texto: se convierten al tipo del esquema.
+  // Si no se puede, se deja el texto para que la validación informe del tipo. Lo que no es texto
+  // (parámetros repetidos o con corchetes, que Express convierte en arrays u objetos) se deja tal cual.
+  function coerce(raw, schemaOrRef) {
+    const schema = resolve(schemaOrRef) || {};
+    if (typeof raw !== 'string') return raw;
+    if (schema.type === 'integer' && /^-?\d+$/.test(raw)) return Number(raw);
+    if (schema.type === 'number' && raw.trim() !== '' && Number.isFinite(Number(raw))) return Number(raw);
+    if (schema.type === 'boolean' && BOOLEAN_STRINGS[String(raw).toLowerCase()] !== undefined) {
+      return BOOLEAN_STRINGS[String(raw).toLowerCase()];
+    }
+    return raw;
+  }
+
+  const operations = new Map();
+  Object.entries(document.paths).forEach(([path, item]) => {
+    Object.entries(item).forEach(([method, operation]) => {
+      if (operation.operationId) operations.set(operation.operationId, { path, method, operation });
+    });
+  });
+
+  // Middleware para la operación indicada. Deja los valores ya convertidos en req.validated
+  // ({ params, query, body }) y responde 400 con la lista de problemas si algo no cumple.
+  function validateRequest(operationId) {
+    const entry = operations.get(operationId);
+    if (!entry) throw new Error(`Operación OpenAPI desconocida: ${operationId}`);
+    const { operation } = entry;
+    const parameters = (operation.parameters || []).filter(param => param.in === 'path' || param.in === 'query');
+    const bodyContent = operation.requestBody ? operation.requestBody.content : null;
+
+    return (req, res, next) => {
+      const details = [];
+      const validated = { params: {}, query: {}, body: undefined };
+
+      for (const param of parameters) {
+        const source = param.in === 'path' ? req.params : req.query || {};
+        const raw = source[param.name];
+        const schema = resolve(param.schema) || {};
+        // En query un valor vacío (?min_price=) equivale a no enviarlo
+        if (raw === undefined || (raw === '' && param.in === 'query')) {
+          if (param.required) details.push({ location: param.in, name: param.name, message: 'é obrigatório' });
+          continue;
+        }
+        if (Array.isArray(raw) && schema.type !== 'array') {
+          details.push({ location: param.in, name: param.name, message: 'só pode aparecer uma vez' });
+          continue;
+        }
+        const value = coerce(raw, schema);
+        validate(schema, value).forEach(error => details.push({ location: param.in, name: param.name, message: error.message }));
+        validated[param.in === 'path' ? 'params' : 'query'][param.name] = value;
+      }
+
+      if (bodyContent) {
+        // Con varios tipos de contenido (JSON o CSV) se usa el esquema del que envía el cliente
+        const mediaType = req.is(Object.keys(bodyContent)) || 'application/json';
+        const bodySchema = bodyContent[mediaType] ? bodyContent[mediaType].schema : null;
+        const body = req.body === undefined ? {} : req.body;
+        validate(bodySchema, body).forEach(error => details.push({ location: 'body', name: error.path || '(body)', message: error.message }));
+        validated.body = body;
+      }
+
+      if (details.length > 0) {
+        const lang = resolveLanguage(req);
+        return res.status(400).json({ error: translate(lang, 'invalid_request'), details });
+      }
+      req.validated = validated;
+      next();
+    };
+  }
+
+  // Errores de un valor frente a un esquema de components (p. ej. respuestas salientes)
+  function validateSchema(name, value) {
+    return validate({ $ref: `#/components/schemas/${name}` }, value);
+  }
+
+  return { validate, validateRequest, validateSchema };
+}
+
+module.exports = { createValidator };
@@ -0,0 +1,64 @@
+// Normalización de atributos de variaciones de WooCommerce.
+// Los nombres llegan tal cual se escribieron en WP admin ("Tamanho", "pa_cor", "Frame size"...)
+// y aquí se reducen a claves estables para el frontend.
+
+const ATTRIBUTE_ALIASES = {
+  size: ['tamanho', 'tamanho do quadro', 'quadro', 'size', 'frame size', 'talla', 'tamaño'],
+  color: ['cor', 'color', 'colour']
+};
+
+function slugifyAttributeName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function normalizeAttributeName(name) {
+  const cleaned = String(name || '').trim().toLowerCase().replace(/^pa_/, '').replace(/-/g, ' ');
+  for (const [key, aliases] of Object.entries(ATTRIBUTE_ALIASES)) {
+    if (aliases.includes(cleaned)) return key;
+  }
+  return slugifyAttributeName(cleaned) || null;
+}
+
+// [{ name: 'Tamanho', option: 'M' }, { name: 'Cor', option: 'Azul' }] → { size: 'M', color: 'Azul' }
+function normalizeVariationAttributes(attributes) {
+  const normalized = {};
+  if (!Array.isArray(attributes)) return normalized;
+  for (const attribute of attributes) {
+    if (!attribute || attribute.option === undefined || attribute.option === null || attribute.option === '') continue;
+    const key = normalizeAttributeName(attribute.name || attribute.slug);
+    if (key && normalized[key] === undefined) normalized[key] = String(attribute.option).trim();
+  }
+  return normalized;
+}
+
+// Fila de product_variations a partir de una variación de la API de WooCommerce
+function mapWooVariation(variation, productId) {
+  const attributes = normalizeVariationAttributes(variation.attributes);
+  const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  return {
+    woocommerce_id: variation.id,
+    product_id: productId,
+    sku: variation.sku || '',
+    price: toNumber(variation.price),
+    regular_price: toNumber(variation.regular_price),
+    stock_quantity: toNumber(variation.stock_quantity),
+    stock_status: variation.stock_status || null,
+    size: attributes.size || null,
+    color: attributes.color || null,
+    attributes,
+    raw_attributes: Array.isArray(variation.attributes) ? variation.attributes : [],
+    menu_order: Number(variation.menu_order) || 0
+  };
+}
+
+module.exports = {
+  ATTRIBUTE_ALIASES,
+  normalizeAttributeName,
+  normalizeVariationAttributes,
+  mapWooVariation
+};
@@ -0,0 +1,240 @@
+// Cliente compartido de la API REST de WooCommerce.
+// - Reintentos con backoff exponencial (y Retry-After) ante 429, 5xx y errores de red.
+//   Los POST solo se reintentan con 429: repetir un POST que llegó a procesarse duplicaría pedidos.
+// - Límite de peticiones simultáneas para no saturar la tienda (sync + webhooks + reservas).
+// - Circuit breaker: tras varios fallos seguidos deja de llamar durante un tiempo y
+//   después deja pasar una única petición de prueba.
+// La URL y las credenciales se leen del entorno en cada llamada, como el resto del backend.
+const axios = require('axios');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function circuitOpenError(retryInMs) {
+  const err = new Error(`WooCommerce no disponible (circuit breaker abierto, reintento en ${Math.ceil(retryInMs / 1000)} s)`);
+  err.code = 'WOO_CIRCUIT_OPEN';
+  return err;
+}
+
+// Fallos que indican que la tienda no está sana (cuentan para el breaker)
+function isUpstreamFailure(err) {
+  if (!err.response) return true;
+  return err.response.status === 429 || err.response.status >= 500;
+}
+
+function isRetryable(err, method) {
+  if (err.code === 'WOO_CIRCUIT_OPEN') return false;
+  if (String(method).toLowerCase() === 'post') return Boolean(err.response && err.response.status === 429);
+  return isUpstreamFailure(err);
+}
+
+function retryDelay(err, attempt, baseMs) {
+  const retryAfter = err.response && Number(err.response.headers && err.response.headers['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, 30000);
+  const exponential = baseMs * 2 ** attempt;
+  return Math.min(exponential + Math.floor(Math.random() * baseMs), 30000);
+}
+
+function createLimiter(maxConcurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= maxConcurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return {
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+      });
+    },
+    get active() { return active; },
+    get pending() { return queue.length; }
+  };
+}
+
+function createCircuitBreaker({ threshold, cooldownMs }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const transition = to => {
+    if (state === to) return;
+    logger[to === 'open' ? 'error' : 'info'](`Circuit breaker de WooCommerce: ${state} → ${to}`, { failures });
+    state = to;
+  };
+
+  return {
+    get state() { return state; },
+    // Lanza si no se debe llamar ahora; en half_open solo deja pasar una petición
+    before() {
+      if (state === 'open') {
+        const elapsed = Date.now() - openedAt;
+        if (elapsed < cooldownMs) throw circuitOpenError(cooldownMs - elapsed);
+        transition('half_open');
+      }
+      if (state === 'half_open') {
+        if (trialInFlight) throw circuitOpenError(cooldownMs);
+        trialInFlight = true;
+      }
+    },
+    success() {
+      failures = 0;
+      trialInFlight = false;
+      transition('closed');
+    },
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (state === 'half_open' || failures >= threshold) {
+        openedAt = Date.now();
+        transition('open');
+      }
+    }
+  };
+}
+
+// "/products/10/variations" → "/products/:id/variations" para las métricas
+function resourceLabel(path) {
+  return String(path).replace(/\?.*$/, '').replace(/\/\d+(?=\/|$)/g, '/:id') || '/';
+}
+
+function createWooClient({
+  maxRetries = envInt('WOOCOMMERCE_MAX_RETRIES', 3),
+  retryBaseMs = envInt('WOOCOMMERCE_RETRY_BASE_MS', 500),
+  maxConcurrency = Math.max(1, envInt('WOOCOMMERCE_MAX_CONCURRENCY', 4)),
+  timeoutMs = envInt('WOOCOMMERCE_TIMEOUT_MS', 30000),
+  breakerThreshold = Math.max(1, envInt('WOOCOMMERCE_BREAKER_THRESHOLD', 5)),
+  breakerCooldownMs = envInt('WOOCOMMERCE_BREAKER_COOLDOWN_MS', 30000)
+} = {}) {
+  const http = axios.create();
+  const limiter = createLimiter(maxConcurrency);
+  const breaker = createCircuitBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs });
+
+  async function attempt(method, path, { params, data, timeout }) {
+    const labels = { method: method.toUpperCase(), resource: resourceLabel(path) };
+    const endTimer = metrics.wooRequestDuration.startTimer(labels);
+    try {
+      const resp = await http.request({
+        method,
+        url: `${process.env.WOOCOMMERCE_API_BASE}${path}`,
+        params,
+        data,
+        auth: {
+          username: process.env.WOOCOMMERCE_CONSUMER_KEY,
+          password: process.env.WOOCOMMERCE_CONSUMER_SECRET
+        },
+        timeout: timeout || timeoutMs
+      });
+      metrics.wooRequests.inc({ ...labels, status: resp.status });
+      return resp;
+    } catch (err) {
+      metrics.wooRequests.inc({ ...labels, status: err.response ? err.response.status : 'error' });
+      metrics.wooRequestErrors.inc(labels);
+      throw err;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Devuelve la respuesta de axios. `retries` permite bajar los reintentos para una llamada concreta.
+  async function request(method, path, { params, data, timeout, retries = maxRetries } = {}) {
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      breaker.before();
+      try {
+        const resp = await limiter.run(() => attempt(method, path, { params, data, timeout }));
+        breaker.success();
+        return resp;
+      } catch (err) {
+        // Un 4xx (salvo 429) significa que la tienda responde bien: no abre el circuito
+        if (isUpstreamFailure(err)) breaker.failure();
+        else breaker.success();
+
+        if (!isRetryable(err, method) || attemptNumber >= retries) throw err;
+        const delay = retryDelay(err, attemptNumber, retryBaseMs);
+        metrics.wooRetries.inc({ method: method.toUpperCase(), resource: resourceLabel(path) });
+        logger.warn(`Reintentando ${method.toUpperCase()} ${path} (${attemptNumber + 1}/${retries}) en ${delay} ms`, {
+          status: err.response ? err.response.status : null,
+          reason: err.code || err.message
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Recorre todas las páginas de un listado. Lanza si alguna página falla o si el total
+  // que anuncia WooCommerce (X-WP-Total) no coincide con lo recibido.
+  async function getAllPages(path, params = {}, { perPage = 100 } = {}) {
+    const all = [];
+    let announcedTotal = null;
+    for (let page = 1; ; page++) {
+      const resp = await request('get', path, { params: { ...params, per_page: perPage, page } });
+      const items = Array.isArray(resp.data) ? resp.data : [];
+      const total = parseInt(resp.headers && resp.headers['x-wp-total'], 10);
+      if (Number.isInteger(total)) announcedTotal = total;
+      all.push(...items);
+
+      const totalPages = parseInt(resp.headers && resp.headers['x-wp-totalpages'], 10);
+      if (items.length < perPage || (Number.isInteger(totalPages) && page >= totalPages)) break;
+    }
+    if (announcedTotal !== null && all.length < announcedTotal) {
+      const err = new Error(`Listado incompleto de ${path}: recibidos ${all.length} de ${announcedTotal}`);
+      err.code = 'WOO_INCOMPLETE';
+      throw err;
+    }
+    return all;
+  }
+
+  return {
+    request,
+    get: (path, options) => request('get', path, options),
+    post: (path, data, options) => request('post', path, { ...options, data }),
+    put: (path, data, options) => request('put', path, { ...options, data }),
+    getAllPages,
+    breaker,
+    limiter
+  };
+}
+
+// Cliente único del proceso: el límite de concurrencia y el breaker se comparten entre usos
+const woo = createWooClient();
+
+metrics.createGauge({
+  name: 'woocommerce_circuit_state',
+  help: 'Estado del circuit breaker de WooCommerce (0 cerrado, 1 semiabierto, 2 abierto)',
+  collect: () => ({ state: CIRCUIT_STATES[woo.breaker.state] })
+});
+
+metrics.createGauge({
+  name: 'woocommerce_requests_in_flight',
+  help: 'Peticiones a WooCommerce en curso y en cola por el límite de concurrencia',
+  labelNames: ['state'],
+  collect: () => ({ active: woo.limiter.active, queued: woo.limiter.pending })
+});
+
+module.exports = {
+  createWooClient,
+  createCircuitBreaker,
+  createLimiter,
+  isRetryable,
+  woo
+};